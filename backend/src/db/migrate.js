@@ -2,6 +2,45 @@ require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const { pool } = require('./index');
+const { hashApiKey } = require('../services/quota');
+
+/**
+ * Move keys stored on channel rows (and YOUTUBE_API_KEY) into the api_keys pool.
+ * Each channel keeps using its own key by being assigned to it.
+ */
+async function seedApiKeyPool(client) {
+  const envKey = process.env.YOUTUBE_API_KEY;
+  const channels = await client.query(
+    'SELECT id, api_key FROM channel WHERE api_key IS NOT NULL'
+  );
+
+  const keys = new Set(channels.rows.map(row => row.api_key));
+  if (envKey) keys.add(envKey);
+
+  for (const apiKey of keys) {
+    await client.query(
+      `INSERT INTO api_keys (api_key, key_hash, label)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (api_key) DO NOTHING`,
+      [apiKey, hashApiKey(apiKey), apiKey === envKey ? 'Default (YOUTUBE_API_KEY)' : null]
+    );
+  }
+
+  for (const channel of channels.rows) {
+    // Leave channels whose assignments were already set up alone
+    await client.query(
+      `INSERT INTO channel_api_keys (channel_id, api_key_id)
+       SELECT $1, k.id FROM api_keys k
+       WHERE k.api_key = $2
+         AND NOT EXISTS (SELECT 1 FROM channel_api_keys ck WHERE ck.channel_id = $1)`,
+      [channel.id, channel.api_key]
+    );
+  }
+
+  if (keys.size > 0) {
+    console.log(`API key pool contains ${keys.size} key(s) from existing configuration`);
+  }
+}
 
 async function runMigration() {
   const client = await pool.connect();
@@ -83,6 +122,8 @@ async function runMigration() {
       console.log('You can add channels via the API: POST /api/channels');
     }
 
+    await seedApiKeyPool(client);
+
     console.log('\nMigration completed successfully!');
     process.exit(0);
   } catch (error) {
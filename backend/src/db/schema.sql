@@ -68,6 +68,236 @@ CREATE TABLE IF NOT EXISTS sync_log (
     completed_at TIMESTAMP
 );
 
+-- Download job queue (worked off by DownloadQueue, survives restarts)
+CREATE TABLE IF NOT EXISTS download_jobs (
+    id SERIAL PRIMARY KEY,
+    video_id VARCHAR(255) REFERENCES videos(id) ON DELETE CASCADE,
+    channel_id VARCHAR(255) REFERENCES channel(id) ON DELETE CASCADE,
+    status VARCHAR(50) NOT NULL DEFAULT 'queued', -- queued, running, completed, failed
+    priority INTEGER DEFAULT 0, -- higher runs first
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 5,
+    last_error TEXT,
+    run_after TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- next attempt not before this time
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- YouTube Data API quota usage per key, channel and endpoint per Pacific-time day
+CREATE TABLE IF NOT EXISTS api_quota_usage (
+    id SERIAL PRIMARY KEY,
+    quota_date DATE NOT NULL, -- Pacific-time day the units count against
+    api_key_hash VARCHAR(64) NOT NULL, -- truncated SHA-256 of the key, never the key itself
+    api_key_hint VARCHAR(10), -- last characters of the key, for display
+    channel_id VARCHAR(255), -- channel the call was made for (NULL for ad-hoc calls)
+    endpoint VARCHAR(50) NOT NULL, -- channels, playlistItems, videos, commentThreads, ...
+    units_used INTEGER DEFAULT 0,
+    request_count INTEGER DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Managed pool of YouTube API keys
+CREATE TABLE IF NOT EXISTS api_keys (
+    id SERIAL PRIMARY KEY,
+    label VARCHAR(255),
+    api_key VARCHAR(500) NOT NULL UNIQUE,
+    key_hash VARCHAR(64) NOT NULL, -- matches api_quota_usage.api_key_hash
+    status VARCHAR(50) DEFAULT 'active', -- active, cooling_down, disabled, invalid
+    cooldown_until TIMESTAMP, -- cooling_down keys become usable again after this
+    last_error TEXT,
+    last_error_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Keys assigned to a channel (channels without assignments use the whole pool)
+CREATE TABLE IF NOT EXISTS channel_api_keys (
+    channel_id VARCHAR(255) REFERENCES channel(id) ON DELETE CASCADE,
+    api_key_id INTEGER REFERENCES api_keys(id) ON DELETE CASCADE,
+    PRIMARY KEY (channel_id, api_key_id)
+);
+
+-- Download worker settings that can be changed at runtime (single row)
+CREATE TABLE IF NOT EXISTS download_settings (
+    id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+    concurrency INTEGER, -- downloads running at once across all channels; 0 pauses the queue
+    per_channel_concurrency INTEGER, -- downloads running at once per channel, unless the channel overrides it
+    rate_limit_bytes BIGINT, -- total download bandwidth in bytes/s; NULL = unlimited
+    path_template TEXT, -- where new downloads are saved; NULL = STORAGE_PATH_TEMPLATE
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Named download quality settings, assigned per channel
+CREATE TABLE IF NOT EXISTS quality_profiles (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    max_height INTEGER, -- NULL = no cap (original resolution)
+    container VARCHAR(10) DEFAULT 'mp4', -- mp4, mkv, webm
+    video_codec VARCHAR(10), -- preferred codec: avc1, vp9, av01; NULL = any
+    audio_only BOOLEAN DEFAULT false,
+    audio_format VARCHAR(10) DEFAULT 'm4a', -- m4a, mp3, opus (audio-only profiles)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Built-in profiles; 'default' is used by channels without a profile
+INSERT INTO quality_profiles (name, max_height, container, video_codec, audio_only) VALUES
+    ('default', NULL, 'mp4', NULL, false),
+    ('1080p', 1080, 'mp4', 'avc1', false),
+    ('720p', 720, 'mp4', 'avc1', false),
+    ('original', NULL, 'mkv', NULL, false),
+    ('audio', NULL, 'mp4', NULL, true)
+ON CONFLICT (name) DO NOTHING;
+
+-- Subtitle tracks downloaded as WebVTT next to the video file
+CREATE TABLE IF NOT EXISTS video_subtitles (
+    id SERIAL PRIMARY KEY,
+    video_id VARCHAR(255) REFERENCES videos(id) ON DELETE CASCADE,
+    language VARCHAR(50) NOT NULL, -- language code as reported by YouTube (en, en-US, de, ...)
+    is_auto BOOLEAN DEFAULT false, -- automatic captions (speech recognition or auto-translated)
+    file_path TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (video_id, language)
+);
+
+-- Earlier versions of comments that were edited on YouTube
+CREATE TABLE IF NOT EXISTS comment_revisions (
+    id SERIAL PRIMARY KEY,
+    comment_id VARCHAR(255) REFERENCES comments(id) ON DELETE CASCADE,
+    text_display TEXT,
+    text_original TEXT,
+    updated_at TIMESTAMP, -- when this version was written on YouTube
+    captured_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP -- when the edit was noticed
+);
+
+-- Video statistics each time a sync sees a video, for growth history
+CREATE TABLE IF NOT EXISTS video_stat_snapshots (
+    id SERIAL PRIMARY KEY,
+    video_id VARCHAR(255) REFERENCES videos(id) ON DELETE CASCADE,
+    view_count BIGINT,
+    like_count INTEGER,
+    comment_count INTEGER,
+    captured_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Public playlists created by archived channels
+CREATE TABLE IF NOT EXISTS playlists (
+    id VARCHAR(255) PRIMARY KEY,
+    channel_id VARCHAR(255) REFERENCES channel(id) ON DELETE CASCADE,
+    title VARCHAR(500) NOT NULL,
+    description TEXT,
+    thumbnail_url TEXT,
+    privacy_status VARCHAR(50),
+    item_count INTEGER DEFAULT 0,
+    published_at TIMESTAMP,
+    removed_at TIMESTAMP, -- set when the playlist is no longer on YouTube
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Videos in a playlist, in playlist order (videos may belong to other channels)
+CREATE TABLE IF NOT EXISTS playlist_items (
+    id VARCHAR(255) PRIMARY KEY, -- YouTube playlistItem id
+    playlist_id VARCHAR(255) REFERENCES playlists(id) ON DELETE CASCADE,
+    video_id VARCHAR(255) NOT NULL,
+    position INTEGER NOT NULL,
+    title VARCHAR(500),
+    thumbnail_url TEXT,
+    video_owner_channel_id VARCHAR(255),
+    added_at TIMESTAMP, -- when the video was added to the playlist
+    removed_at TIMESTAMP, -- set when the video is no longer in the playlist
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Playlist changes detected between syncs
+CREATE TABLE IF NOT EXISTS playlist_changes (
+    id SERIAL PRIMARY KEY,
+    playlist_id VARCHAR(255) REFERENCES playlists(id) ON DELETE CASCADE,
+    change_type VARCHAR(50) NOT NULL, -- created, renamed, description_changed, removed, restored, item_added, item_removed, item_moved
+    video_id VARCHAR(255),
+    old_value TEXT,
+    new_value TEXT,
+    detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Thumbnails and avatars stored locally, one file per distinct image
+CREATE TABLE IF NOT EXISTS media_files (
+    sha256 CHAR(64) PRIMARY KEY, -- hash of the file content
+    file_path TEXT NOT NULL,
+    content_type VARCHAR(100) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Remote image URLs that have been fetched, so they are not downloaded again
+CREATE TABLE IF NOT EXISTS media_sources (
+    url TEXT PRIMARY KEY,
+    sha256 CHAR(64) REFERENCES media_files(sha256) ON DELETE CASCADE,
+    fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Complete metadata as received, kept apart from videos so video queries stay small
+CREATE TABLE IF NOT EXISTS video_raw_metadata (
+    video_id VARCHAR(255) PRIMARY KEY REFERENCES videos(id) ON DELETE CASCADE,
+    api_resource JSONB, -- the YouTube Data API videos resource from the latest sync
+    api_fetched_at TIMESTAMP,
+    ytdlp_info JSONB, -- the info JSON yt-dlp wrote when the video was downloaded
+    ytdlp_fetched_at TIMESTAMP
+);
+
+-- How far each video has been watched in the web interface
+CREATE TABLE IF NOT EXISTS watch_progress (
+    video_id VARCHAR(255) PRIMARY KEY REFERENCES videos(id) ON DELETE CASCADE,
+    position_seconds REAL NOT NULL,
+    duration_seconds REAL, -- as reported by the player; the API duration until then
+    watched BOOLEAN DEFAULT false, -- set once playback gets near the end
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Columns added after the initial schema
+ALTER TABLE channel ADD COLUMN IF NOT EXISTS quota_budget INTEGER; -- daily API unit budget, NULL = unlimited
+ALTER TABLE sync_log ADD COLUMN IF NOT EXISTS resume_state JSONB; -- progress saved when a sync is paused
+ALTER TABLE channel ADD COLUMN IF NOT EXISTS sync_cursor_video_id VARCHAR(255); -- newest upload seen by the last sync
+ALTER TABLE channel ADD COLUMN IF NOT EXISTS sync_cursor_updated_at TIMESTAMP;
+ALTER TABLE channel ADD COLUMN IF NOT EXISTS last_deep_verify_at TIMESTAMP; -- last sync that checked the whole uploads playlist
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS remote_status VARCHAR(50) DEFAULT 'available'; -- available, unlisted, private, deleted
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS remote_status_changed_at TIMESTAMP;
+ALTER TABLE channel ADD COLUMN IF NOT EXISTS quality_profile_id INTEGER REFERENCES quality_profiles(id) ON DELETE SET NULL;
+ALTER TABLE channel ADD COLUMN IF NOT EXISTS download_concurrency INTEGER; -- NULL = the global per-channel setting
+ALTER TABLE channel ADD COLUMN IF NOT EXISTS subtitle_languages VARCHAR(255); -- comma-separated; NULL = SUBTITLE_LANGUAGES, '' = none
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS quality_profile VARCHAR(100); -- profile the file was downloaded with
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS file_format VARCHAR(20); -- container/extension of the downloaded file
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS video_height INTEGER; -- NULL for audio-only downloads
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS format_id VARCHAR(100); -- yt-dlp format id(s) that were downloaded
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP; -- set when the comment disappears from YouTube
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS total_reply_count INTEGER; -- replies YouTube reports for a top-level comment
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS archived_reply_count INTEGER; -- replies archived and still on YouTube
+ALTER TABLE download_settings ADD COLUMN IF NOT EXISTS path_template TEXT;
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS file_size_bytes BIGINT;
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS file_sha256 CHAR(64); -- checksum taken right after the download
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS file_duration REAL; -- seconds, as probed by ffprobe
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS video_codec VARCHAR(50);
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS audio_codec VARCHAR(50);
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS video_width INTEGER;
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS integrity_status VARCHAR(50); -- ok, mismatch, missing, unreadable; NULL = not checked yet
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS integrity_checked_at TIMESTAMP;
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS thumbnail_sha256 CHAR(64) REFERENCES media_files(sha256) ON DELETE SET NULL; -- local copy of the thumbnail
+ALTER TABLE channel ADD COLUMN IF NOT EXISTS thumbnail_sha256 CHAR(64) REFERENCES media_files(sha256) ON DELETE SET NULL; -- local copy of the avatar
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS author_image_sha256 CHAR(64) REFERENCES media_files(sha256) ON DELETE SET NULL; -- local copy of the author avatar
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS chapters JSONB; -- [{start, end, title}] in seconds; NULL = not worked out yet
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS chapters_source VARCHAR(20); -- ytdlp or description; NULL = no chapters
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS preview_status VARCHAR(20); -- pending, generating, ready, failed, none (audio only); NULL = not made yet
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS preview_error TEXT;
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS previews_generated_at TIMESTAMP;
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS preview_sprite_sha256 CHAR(64) REFERENCES media_files(sha256) ON DELETE SET NULL; -- frames for seek previews
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS preview_vtt_sha256 CHAR(64) REFERENCES media_files(sha256) ON DELETE SET NULL; -- WebVTT thumbnails track into the sprite
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS preview_clip_sha256 CHAR(64) REFERENCES media_files(sha256) ON DELETE SET NULL; -- short silent clip played on hover
+
 -- Create indexes for better query performance
 CREATE INDEX IF NOT EXISTS idx_videos_channel_id ON videos(channel_id);
 CREATE INDEX IF NOT EXISTS idx_videos_upload_date ON videos(upload_date DESC);
@@ -77,6 +307,24 @@ CREATE INDEX IF NOT EXISTS idx_comments_parent_id ON comments(parent_comment_id)
 CREATE INDEX IF NOT EXISTS idx_comments_published_at ON comments(published_at DESC);
 CREATE INDEX IF NOT EXISTS idx_sync_log_channel_id ON sync_log(channel_id);
 CREATE INDEX IF NOT EXISTS idx_sync_log_started_at ON sync_log(started_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_api_quota_usage_bucket
+    ON api_quota_usage(quota_date, api_key_hash, (COALESCE(channel_id, '')), endpoint);
+CREATE INDEX IF NOT EXISTS idx_api_quota_usage_channel ON api_quota_usage(channel_id, quota_date);
+CREATE INDEX IF NOT EXISTS idx_api_keys_key_hash ON api_keys(key_hash);
+CREATE INDEX IF NOT EXISTS idx_videos_remote_status ON videos(remote_status);
+CREATE INDEX IF NOT EXISTS idx_videos_integrity ON videos(integrity_status, integrity_checked_at);
+CREATE INDEX IF NOT EXISTS idx_comment_revisions_comment_id ON comment_revisions(comment_id);
+CREATE INDEX IF NOT EXISTS idx_video_stat_snapshots_video_id ON video_stat_snapshots(video_id, captured_at);
+CREATE INDEX IF NOT EXISTS idx_watch_progress_updated_at ON watch_progress(updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_videos_preview_status ON videos(preview_status);
+CREATE INDEX IF NOT EXISTS idx_playlists_channel_id ON playlists(channel_id);
+CREATE INDEX IF NOT EXISTS idx_playlist_items_playlist_position ON playlist_items(playlist_id, position);
+CREATE INDEX IF NOT EXISTS idx_playlist_items_video_id ON playlist_items(video_id);
+CREATE INDEX IF NOT EXISTS idx_playlist_changes_playlist_id ON playlist_changes(playlist_id, detected_at DESC);
+CREATE INDEX IF NOT EXISTS idx_download_jobs_pickup ON download_jobs(status, priority DESC, run_after);
+-- Only one active job per video
+CREATE UNIQUE INDEX IF NOT EXISTS idx_download_jobs_active_video ON download_jobs(video_id)
+    WHERE status IN ('queued', 'running');
 
 -- Create a function to update the updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -87,9 +335,39 @@ BEGIN
 END;
 $$ language 'plpgsql';
 
--- Create triggers to auto-update updated_at
+-- Create triggers to auto-update updated_at (dropped first so migrations can be re-run)
+DROP TRIGGER IF EXISTS update_channel_updated_at ON channel;
 CREATE TRIGGER update_channel_updated_at BEFORE UPDATE ON channel
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_videos_updated_at ON videos;
 CREATE TRIGGER update_videos_updated_at BEFORE UPDATE ON videos
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_api_keys_updated_at ON api_keys;
+CREATE TRIGGER update_api_keys_updated_at BEFORE UPDATE ON api_keys
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_playlists_updated_at ON playlists;
+CREATE TRIGGER update_playlists_updated_at BEFORE UPDATE ON playlists
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_playlist_items_updated_at ON playlist_items;
+CREATE TRIGGER update_playlist_items_updated_at BEFORE UPDATE ON playlist_items
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_video_subtitles_updated_at ON video_subtitles;
+CREATE TRIGGER update_video_subtitles_updated_at BEFORE UPDATE ON video_subtitles
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_download_settings_updated_at ON download_settings;
+CREATE TRIGGER update_download_settings_updated_at BEFORE UPDATE ON download_settings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_quality_profiles_updated_at ON quality_profiles;
+CREATE TRIGGER update_quality_profiles_updated_at BEFORE UPDATE ON quality_profiles
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_download_jobs_updated_at ON download_jobs;
+CREATE TRIGGER update_download_jobs_updated_at BEFORE UPDATE ON download_jobs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
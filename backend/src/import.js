@@ -0,0 +1,74 @@
+require('dotenv').config();
+const path = require('path');
+const db = require('./db');
+const MediaStore = require('./services/media-store');
+const LibraryImporter = require('./services/importer');
+const { IMPORT_MODES, IMPORT_SOURCE_PATH } = LibraryImporter;
+const { DEFAULT_PATH_TEMPLATE } = require('./services/storage-layout');
+
+const USAGE = `Usage: npm run import -- [source directory] [--copy | --link] [--dry-run]
+
+Imports videos downloaded with yt-dlp (--write-info-json) into the archive.
+Files are moved into the video directory unless --copy or --link (hard links) is given.
+The source directory defaults to IMPORT_SOURCE_PATH (${IMPORT_SOURCE_PATH}).`;
+
+function parseArgs(args) {
+  const options = { sourceDir: IMPORT_SOURCE_PATH, mode: 'move', dryRun: false };
+
+  for (const arg of args) {
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg.startsWith('--') && IMPORT_MODES.includes(arg.slice(2))) {
+      options.mode = arg.slice(2);
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      options.sourceDir = path.resolve(arg);
+    }
+  }
+  return options;
+}
+
+async function runImport() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.log(USAGE);
+    process.exit(1);
+  }
+  if (options.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  try {
+    // Same template the download queue uses, so imports end up next to downloads
+    const settings = await db.query('SELECT path_template FROM download_settings WHERE id = 1');
+    const pathTemplate = settings.rows[0]?.path_template || DEFAULT_PATH_TEMPLATE;
+
+    const importer = new LibraryImporter(process.env.VIDEO_STORAGE_PATH || '/data/videos', new MediaStore());
+    const result = await importer.import(options.sourceDir, { mode: options.mode, pathTemplate, dryRun: options.dryRun });
+
+    for (const item of result.skipped) {
+      console.log(`Skipped ${item.videoId || item.infoPath}: ${item.reason}`);
+    }
+
+    if (result.dryRun) {
+      result.imports.forEach(item => console.log(`Would import ${item.videoId}: ${item.from} -> ${item.to}`));
+      console.log(`\n${result.found} info JSON files found: ${result.imports.length} to import, ${result.skipped.length} skipped`);
+      process.exit(0);
+    }
+
+    console.log(`\n${result.found} info JSON files found: ${result.imported} imported, ${result.failed.length} failed, ${result.skipped.length} skipped`);
+    process.exit(result.failed.length > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('Import failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runImport();
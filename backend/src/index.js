@@ -2,6 +2,7 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const Scheduler = require('./services/scheduler');
+const HlsTranscoder = require('./services/transcoder');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -14,10 +15,26 @@ app.use(express.json());
 const videosRoutes = require('./routes/videos');
 const syncRoutes = require('./routes/sync');
 const channelsRoutes = require('./routes/channels');
+const downloadsRoutes = require('./routes/downloads');
+const quotaRoutes = require('./routes/quota');
+const apiKeysRoutes = require('./routes/api-keys');
+const playlistsRoutes = require('./routes/playlists');
+const qualityProfilesRoutes = require('./routes/quality-profiles');
+const mediaRoutes = require('./routes/media');
+const maintenanceRoutes = require('./routes/maintenance');
+const historyRoutes = require('./routes/history');
 
 app.use('/api/videos', videosRoutes);
 app.use('/api/sync', syncRoutes);
 app.use('/api/channels', channelsRoutes);
+app.use('/api/downloads', downloadsRoutes);
+app.use('/api/quota', quotaRoutes);
+app.use('/api/keys', apiKeysRoutes);
+app.use('/api/playlists', playlistsRoutes);
+app.use('/api/quality-profiles', qualityProfilesRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/maintenance', maintenanceRoutes);
+app.use('/api/history', historyRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -31,27 +48,50 @@ app.set('scheduler', scheduler);
 // Make sync service available for cancellation
 app.set('syncService', scheduler.syncService);
 
+// Start the download queue worker (resumes jobs interrupted by a restart)
+const downloadQueue = scheduler.syncService.downloadQueue;
+app.set('downloadQueue', downloadQueue);
+downloadQueue.start();
+app.set('storageRelocator', scheduler.syncService.storageRelocator);
+app.set('libraryReconciler', scheduler.syncService.libraryReconciler);
+app.set('libraryImporter', scheduler.syncService.libraryImporter);
+
+// Seek previews and hover clips of downloaded videos
+const previewGenerator = scheduler.syncService.previewGenerator;
+app.set('previewGenerator', previewGenerator);
+previewGenerator.start();
+
+// HLS versions of videos browsers cannot play, made on demand
+const hlsTranscoder = new HlsTranscoder();
+app.set('hlsTranscoder', hlsTranscoder);
+
 // Start daily sync scheduler
 const CRON_SCHEDULE = process.env.SYNC_CRON || '0 2 * * *'; // Default: 2 AM daily
 scheduler.startDailySync(CRON_SCHEDULE);
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully...');
-  scheduler.stopAll();
-  process.exit(0);
-});
+// Re-hash downloaded files to catch bit rot
+const VERIFY_CRON = process.env.VERIFY_CRON || '0 4 * * *'; // Default: 4 AM daily
+app.set('integrityVerifier', scheduler.integrityVerifier);
+scheduler.startIntegrityVerification(VERIFY_CRON);
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully...');
+// Graceful shutdown: interrupted downloads go back in the queue
+const shutdown = async (signal) => {
+  console.log(`${signal} received, shutting down gracefully...`);
   scheduler.stopAll();
+  hlsTranscoder.stopAll();
+  previewGenerator.stop();
+  await downloadQueue.stop();
   process.exit(0);
-});
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Start server
 app.listen(PORT, () => {
   console.log(`YouTube Archiver Backend running on port ${PORT}`);
   console.log(`Scheduled sync: ${CRON_SCHEDULE}`);
+  console.log(`Scheduled integrity verification: ${VERIFY_CRON}`);
   console.log(`YouTube Channel ID: ${process.env.YOUTUBE_CHANNEL_ID}`);
 });
 
@@ -0,0 +1,54 @@
+require('dotenv').config();
+const MediaStore = require('./services/media-store');
+const PreviewGenerator = require('./services/previews');
+
+const USAGE = `Usage: npm run previews -- [--force]
+
+Makes seek-preview sprites and hover clips for downloaded videos that do not have them yet,
+and retries videos whose previews failed. With --force, previews of all videos are made again.`;
+
+function parseArgs(args) {
+  const options = { force: false };
+
+  for (const arg of args) {
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--force') {
+      options.force = true;
+    } else {
+      throw new Error(`Unknown argument ${arg}`);
+    }
+  }
+  return options;
+}
+
+async function runBackfill() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.log(USAGE);
+    process.exit(1);
+  }
+  if (options.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  try {
+    const generator = new PreviewGenerator(new MediaStore());
+    // A running backend picks up marked videos too; each video is only processed once
+    const marked = await generator.markForBackfill({ force: options.force });
+    console.log(`${marked} videos marked for previews`);
+
+    const result = await generator.processPending();
+    console.log(`\n${result.generated} generated, ${result.noVideo} without a video stream, ${result.failed} failed`);
+    process.exit(result.failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('Backfill failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runBackfill();
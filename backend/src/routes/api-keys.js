@@ -0,0 +1,157 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const ApiKeyPool = require('../services/api-key-pool');
+const { apiKeyHint, DEFAULT_DAILY_QUOTA, PACIFIC_DATE_SQL } = require('../services/quota');
+
+/**
+ * GET /api/keys - List API keys in the pool with their health
+ * Keys themselves are never returned, only a short hint
+ */
+router.get('/', async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT k.id, k.label, k.api_key, k.status, k.cooldown_until,
+              k.last_error, k.last_error_at, k.created_at,
+              COALESCE((
+                SELECT SUM(q.units_used) FROM api_quota_usage q
+                WHERE q.api_key_hash = k.key_hash AND q.quota_date = ${PACIFIC_DATE_SQL}
+              ), 0) as units_used_today,
+              ARRAY(
+                SELECT ck.channel_id FROM channel_api_keys ck WHERE ck.api_key_id = k.id
+              ) as channel_ids
+       FROM api_keys k
+       ORDER BY k.id`
+    );
+
+    const now = new Date();
+    const keys = result.rows.map(({ api_key: apiKey, ...key }) => ({
+      ...key,
+      hint: apiKeyHint(apiKey),
+      // A cooldown that has run out means the key is usable again
+      status: key.status === 'cooling_down' && key.cooldown_until && new Date(key.cooldown_until) <= now
+        ? 'active'
+        : key.status,
+      units_used_today: parseInt(key.units_used_today)
+    }));
+
+    res.json({ dailyLimit: DEFAULT_DAILY_QUOTA, keys });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+/**
+ * POST /api/keys - Add a key to the pool
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { apiKey, label = null } = req.body;
+
+    if (!apiKey || !apiKey.trim()) {
+      return res.status(400).json({ error: 'apiKey is required' });
+    }
+
+    const id = await ApiKeyPool.addKey(apiKey.trim(), label || null);
+
+    res.status(201).json({
+      message: 'API key added successfully',
+      key: { id, label, hint: apiKeyHint(apiKey.trim()) }
+    });
+  } catch (error) {
+    console.error('Error adding API key:', error);
+    res.status(500).json({ error: 'Failed to add API key' });
+  }
+});
+
+/**
+ * PUT /api/keys/:id - Update a key's label or enable/disable it
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { label, enabled } = req.body;
+
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (label !== undefined) {
+      updates.push(`label = $${paramCount++}`);
+      values.push(label || null);
+    }
+
+    if (enabled !== undefined) {
+      updates.push(`status = $${paramCount++}`);
+      values.push(enabled ? 'active' : 'disabled');
+      updates.push('cooldown_until = NULL');
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    values.push(id);
+
+    const result = await db.query(
+      `UPDATE api_keys SET ${updates.join(', ')} WHERE id = $${paramCount}`,
+      values
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({ message: 'API key updated successfully' });
+  } catch (error) {
+    console.error('Error updating API key:', error);
+    res.status(500).json({ error: 'Failed to update API key' });
+  }
+});
+
+/**
+ * POST /api/keys/:id/reset - Clear a key's cooldown or invalid state
+ */
+router.post('/:id/reset', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(
+      `UPDATE api_keys SET status = 'active', cooldown_until = NULL, last_error = NULL, last_error_at = NULL
+       WHERE id = $1`,
+      [id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({ message: 'API key reset successfully' });
+  } catch (error) {
+    console.error('Error resetting API key:', error);
+    res.status(500).json({ error: 'Failed to reset API key' });
+  }
+});
+
+/**
+ * DELETE /api/keys/:id - Remove a key from the pool
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query('DELETE FROM api_keys WHERE id = $1', [id]);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({ message: 'API key deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting API key:', error);
+    res.status(500).json({ error: 'Failed to delete API key' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,68 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db');
 const YouTubeAPIService = require('../services/youtube-api');
+const ApiKeyPool = require('../services/api-key-pool');
+const { isValidConcurrency } = require('../services/download-queue');
+
+/**
+ * API key IDs are given as a list of ids of keys in the pool
+ */
+async function isValidApiKeyIds(value) {
+  if (!Array.isArray(value) || !value.every(id => Number.isInteger(id) && id > 0 && id <= 2147483647)) return false;
+  if (value.length === 0) return true;
+
+  const result = await db.query('SELECT COUNT(*) FROM api_keys WHERE id = ANY($1::int[])', [value]);
+  return parseInt(result.rows[0].count) === new Set(value).size;
+}
+
+/**
+ * A quota budget is a positive whole number of API units per day, or empty for no limit
+ */
+function isValidQuotaBudget(value) {
+  return value === null || value === '' || (Number.isInteger(Number(value)) && Number(value) > 0);
+}
+
+/**
+ * Normalize subtitle languages given as an array or comma-separated string.
+ * Returns the comma-separated form ('' for none, null for the server default),
+ * or undefined if a language code is invalid.
+ */
+function normalizeSubtitleLanguages(value) {
+  if (value === null) return null;
+
+  const languages = (Array.isArray(value) ? value : String(value).split(','))
+    .map(language => String(language).trim())
+    .filter(Boolean);
+
+  if (!languages.every(language => /^[A-Za-z0-9-]+$/.test(language))) return undefined;
+  return [...new Set(languages)].join(',');
+}
+
+/**
+ * A quality profile reference is an existing profile id, or empty for the default profile
+ */
+async function isValidQualityProfile(value) {
+  if (value === null || value === '') return true;
+  if (!Number.isInteger(Number(value))) return false;
+
+  const result = await db.query('SELECT id FROM quality_profiles WHERE id = $1', [Number(value)]);
+  return result.rows.length > 0;
+}
+
+/**
+ * Replace the pool keys assigned to a channel
+ */
+async function setChannelApiKeys(channelId, keyIds) {
+  await db.query('DELETE FROM channel_api_keys WHERE channel_id = $1', [channelId]);
+
+  for (const keyId of keyIds) {
+    await db.query(
+      `INSERT INTO channel_api_keys (channel_id, api_key_id) VALUES ($1, $2)
+       ON CONFLICT DO NOTHING`,
+      [channelId, keyId]
+    );
+  }
+}
 
 /**
  * GET /api/channels - Get all channels
@@ -10,8 +72,14 @@ router.get('/', async (req, res) => {
   try {
     const result = await db.query(
       `SELECT id, title, description, custom_url, subscriber_count,
-              video_count, view_count, thumbnail_url, sync_enabled,
-              sync_schedule, created_at, updated_at
+              video_count, view_count, thumbnail_url, thumbnail_sha256, sync_enabled,
+              sync_schedule, quota_budget, quality_profile_id, subtitle_languages,
+              download_concurrency, sync_cursor_video_id,
+              sync_cursor_updated_at, last_deep_verify_at, created_at, updated_at,
+              ARRAY(
+                SELECT ck.api_key_id FROM channel_api_keys ck
+                WHERE ck.channel_id = channel.id ORDER BY ck.api_key_id
+              ) as api_key_ids
        FROM channel
        ORDER BY created_at DESC`
     );
@@ -32,8 +100,14 @@ router.get('/:id', async (req, res) => {
 
     const result = await db.query(
       `SELECT id, title, description, custom_url, subscriber_count,
-              video_count, view_count, thumbnail_url, sync_enabled,
-              sync_schedule, created_at, updated_at
+              video_count, view_count, thumbnail_url, thumbnail_sha256, sync_enabled,
+              sync_schedule, quota_budget, quality_profile_id, subtitle_languages,
+              download_concurrency, sync_cursor_video_id,
+              sync_cursor_updated_at, last_deep_verify_at, created_at, updated_at,
+              ARRAY(
+                SELECT ck.api_key_id FROM channel_api_keys ck
+                WHERE ck.channel_id = channel.id ORDER BY ck.api_key_id
+              ) as api_key_ids
        FROM channel
        WHERE id = $1`,
       [id]
@@ -50,28 +124,93 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/channels/:id/playlists - Get a channel's archived playlists
+ * Query params: includeRemoved - also return playlists no longer on YouTube
+ */
+router.get('/:id/playlists', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const includeRemoved = req.query.includeRemoved === 'true';
+
+    const result = await db.query(
+      `SELECT p.id, p.title, p.description, p.thumbnail_url, p.privacy_status,
+              p.item_count, p.published_at, p.removed_at, p.updated_at,
+              (SELECT COUNT(*) FROM playlist_items pi
+               INNER JOIN videos v ON v.id = pi.video_id
+               WHERE pi.playlist_id = p.id AND pi.removed_at IS NULL
+                 AND v.download_status = 'completed') as archived_count
+       FROM playlists p
+       WHERE p.channel_id = $1 ${includeRemoved ? '' : 'AND p.removed_at IS NULL'}
+       ORDER BY p.published_at DESC`,
+      [id]
+    );
+
+    res.json(result.rows.map(row => ({
+      ...row,
+      archived_count: parseInt(row.archived_count)
+    })));
+  } catch (error) {
+    console.error('Error fetching playlists:', error);
+    res.status(500).json({ error: 'Failed to fetch playlists' });
+  }
+});
+
 /**
  * POST /api/channels - Add a new channel
  */
 router.post('/', async (req, res) => {
   try {
-    const { channelId, apiKey, syncSchedule = '0 2 * * *' } = req.body;
+    const {
+      channelId,
+      apiKey,
+      apiKeyIds = [],
+      syncSchedule = '0 2 * * *',
+      quotaBudget = null,
+      qualityProfileId = null,
+      subtitleLanguages = null
+    } = req.body;
 
     if (!channelId) {
       return res.status(400).json({ error: 'channelId is required' });
     }
 
-    // Use provided API key or fall back to default from environment
-    const effectiveApiKey = apiKey || process.env.YOUTUBE_API_KEY;
+    if (!(await isValidApiKeyIds(apiKeyIds))) {
+      return res.status(400).json({ error: 'apiKeyIds must be an array of existing API key IDs' });
+    }
+
+    if (!isValidQuotaBudget(quotaBudget)) {
+      return res.status(400).json({ error: 'quotaBudget must be a positive integer or null' });
+    }
+
+    if (!(await isValidQualityProfile(qualityProfileId))) {
+      return res.status(400).json({ error: 'qualityProfileId must be an existing quality profile or null' });
+    }
+
+    const subtitleLanguageList = normalizeSubtitleLanguages(subtitleLanguages);
+    if (subtitleLanguageList === undefined) {
+      return res.status(400).json({ error: 'subtitleLanguages must be a list of language codes such as en or pt-BR' });
+    }
 
-    if (!effectiveApiKey) {
+    // Use the provided API key, the selected pool keys, or the whole pool
+    // (which falls back to YOUTUBE_API_KEY when empty)
+    let keyPool;
+    if (apiKey) {
+      keyPool = ApiKeyPool.fromKey(apiKey);
+    } else if (apiKeyIds.length > 0) {
+      keyPool = await ApiKeyPool.fromIds(apiKeyIds);
+    } else {
+      keyPool = await ApiKeyPool.forChannel(null);
+    }
+
+    if (!keyPool.current()) {
       return res.status(400).json({
-        error: 'API key is required. Either provide apiKey in request or set YOUTUBE_API_KEY in environment variables.'
+        error: 'API key is required. Provide apiKey in request, add a key to the API key pool, or set YOUTUBE_API_KEY in environment variables.'
       });
     }
 
     // Validate the channel ID and API key by fetching channel details
-    const youtubeAPI = new YouTubeAPIService(effectiveApiKey);
+    const youtubeAPI = new YouTubeAPIService(keyPool);
     let channelDetails;
 
     try {
@@ -98,16 +237,25 @@ router.post('/', async (req, res) => {
       `INSERT INTO channel (
         id, title, description, custom_url, subscriber_count,
         video_count, view_count, thumbnail_url, api_key,
-        sync_enabled, sync_schedule
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+        sync_enabled, sync_schedule, quota_budget, quality_profile_id, subtitle_languages
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
       [
         channelDetails.id, channelDetails.title, channelDetails.description,
         channelDetails.customUrl, channelDetails.subscriberCount,
         channelDetails.videoCount, channelDetails.viewCount,
-        channelDetails.thumbnailUrl, effectiveApiKey, true, syncSchedule
+        channelDetails.thumbnailUrl, apiKey || null, true, syncSchedule,
+        quotaBudget || null, qualityProfileId || null, subtitleLanguageList
       ]
     );
 
+    // A key entered for this channel joins the pool, assigned to this channel
+    if (apiKey) {
+      const keyId = await ApiKeyPool.addKey(apiKey);
+      await setChannelApiKeys(channelId, [keyId]);
+    } else if (apiKeyIds.length > 0) {
+      await setChannelApiKeys(channelId, apiKeyIds);
+    }
+
     // Get the scheduler and register this channel
     const scheduler = req.app.get('scheduler');
     if (scheduler) {
@@ -121,7 +269,10 @@ router.post('/', async (req, res) => {
         title: channelDetails.title,
         customUrl: channelDetails.customUrl,
         syncEnabled: true,
-        syncSchedule
+        syncSchedule,
+        quotaBudget: quotaBudget || null,
+        qualityProfileId: qualityProfileId || null,
+        subtitleLanguages: subtitleLanguageList
       }
     });
   } catch (error) {
@@ -136,7 +287,16 @@ router.post('/', async (req, res) => {
 router.put('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { syncEnabled, syncSchedule, apiKey } = req.body;
+    const {
+      syncEnabled,
+      syncSchedule,
+      apiKey,
+      apiKeyIds,
+      quotaBudget,
+      qualityProfileId,
+      subtitleLanguages,
+      downloadConcurrency
+    } = req.body;
 
     // Check if channel exists
     const existing = await db.query(
@@ -148,6 +308,10 @@ router.put('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Channel not found' });
     }
 
+    if (apiKeyIds !== undefined && !(await isValidApiKeyIds(apiKeyIds))) {
+      return res.status(400).json({ error: 'apiKeyIds must be an array of existing API key IDs' });
+    }
+
     // Build update query dynamically based on provided fields
     const updates = [];
     const values = [];
@@ -168,16 +332,67 @@ router.put('/:id', async (req, res) => {
       values.push(apiKey);
     }
 
-    if (updates.length === 0) {
+    if (quotaBudget !== undefined) {
+      if (!isValidQuotaBudget(quotaBudget)) {
+        return res.status(400).json({ error: 'quotaBudget must be a positive integer or null' });
+      }
+      updates.push(`quota_budget = $${paramCount++}`);
+      values.push(quotaBudget || null);
+    }
+
+    if (qualityProfileId !== undefined) {
+      if (!(await isValidQualityProfile(qualityProfileId))) {
+        return res.status(400).json({ error: 'qualityProfileId must be an existing quality profile or null' });
+      }
+      // Only applies to future downloads
+      updates.push(`quality_profile_id = $${paramCount++}`);
+      values.push(qualityProfileId || null);
+    }
+
+    if (subtitleLanguages !== undefined) {
+      const subtitleLanguageList = normalizeSubtitleLanguages(subtitleLanguages);
+      if (subtitleLanguageList === undefined) {
+        return res.status(400).json({ error: 'subtitleLanguages must be a list of language codes such as en or pt-BR' });
+      }
+      updates.push(`subtitle_languages = $${paramCount++}`);
+      values.push(subtitleLanguageList);
+    }
+
+    if (downloadConcurrency !== undefined) {
+      // null falls back to the global per-channel setting
+      if (downloadConcurrency !== null && !isValidConcurrency(downloadConcurrency, { allowZero: false })) {
+        return res.status(400).json({ error: 'downloadConcurrency must be a positive whole number or null' });
+      }
+      updates.push(`download_concurrency = $${paramCount++}`);
+      values.push(downloadConcurrency);
+    }
+
+    if (updates.length === 0 && apiKeyIds === undefined) {
       return res.status(400).json({ error: 'No fields to update' });
     }
 
-    values.push(id);
+    if (updates.length > 0) {
+      values.push(id);
 
-    await db.query(
-      `UPDATE channel SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${paramCount}`,
-      values
-    );
+      await db.query(
+        `UPDATE channel SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${paramCount}`,
+        values
+      );
+    }
+
+    if (apiKey) {
+      const keyId = await ApiKeyPool.addKey(apiKey);
+      await db.query(
+        `INSERT INTO channel_api_keys (channel_id, api_key_id) VALUES ($1, $2)
+         ON CONFLICT DO NOTHING`,
+        [id, keyId]
+      );
+    }
+
+    if (apiKeyIds !== undefined) {
+      // An empty list means the channel uses the whole pool
+      await setChannelApiKeys(id, apiKeyIds);
+    }
 
     // Update scheduler if sync settings changed
     const scheduler = req.app.get('scheduler');
@@ -231,7 +446,7 @@ router.delete('/:id', async (req, res) => {
 router.post('/:id/sync', async (req, res) => {
   try {
     const { id } = req.params;
-    const { syncType = 'incremental' } = req.body;
+    const { syncType = 'incremental', deepVerify = false } = req.body;
 
     // Check if channel exists
     const result = await db.query(
@@ -249,7 +464,7 @@ router.post('/:id/sync', async (req, res) => {
     }
 
     // Trigger sync in background
-    scheduler.triggerManualSync(syncType, id)
+    scheduler.triggerManualSync(syncType, id, { deepVerify: Boolean(deepVerify) })
       .then(result => {
         console.log(`Manual sync completed for ${id}:`, result);
       })
@@ -258,9 +473,10 @@ router.post('/:id/sync', async (req, res) => {
       });
 
     res.json({
-      message: `${syncType} sync started for channel ${id}`,
+      message: `${syncType} sync${deepVerify ? ' (deep verify)' : ''} started for channel ${id}`,
       channelId: id,
-      syncType
+      syncType,
+      deepVerify: Boolean(deepVerify)
     });
   } catch (error) {
     console.error('Error triggering channel sync:', error);
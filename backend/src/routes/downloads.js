@@ -0,0 +1,305 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { parseRateLimit, isValidConcurrency } = require('../services/download-queue');
+const { validatePathTemplate } = require('../services/storage-layout');
+
+/**
+ * GET /api/downloads - Get download queue status and jobs
+ * Supports optional status and channelId query parameters
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status = '', channelId = '', limit = 50 } = req.query;
+
+    const downloadQueue = req.app.get('downloadQueue');
+    if (!downloadQueue) {
+      return res.status(500).json({ error: 'Download queue not initialized' });
+    }
+
+    let query = `
+      SELECT j.*, v.title
+      FROM download_jobs j
+      LEFT JOIN videos v ON v.id = j.video_id
+      WHERE 1=1
+    `;
+    const queryParams = [];
+
+    if (status) {
+      query += ` AND j.status = $${queryParams.length + 1}`;
+      queryParams.push(status);
+    }
+
+    if (channelId) {
+      query += ` AND j.channel_id = $${queryParams.length + 1}`;
+      queryParams.push(channelId);
+    }
+
+    query += ` ORDER BY j.updated_at DESC LIMIT $${queryParams.length + 1}`;
+    queryParams.push(parseInt(limit));
+
+    const [jobs, stats] = await Promise.all([
+      db.query(query, queryParams),
+      downloadQueue.getStats()
+    ]);
+
+    res.json({
+      stats,
+      jobs: jobs.rows
+    });
+  } catch (error) {
+    console.error('Error fetching download queue:', error);
+    res.status(500).json({ error: 'Failed to fetch download queue' });
+  }
+});
+
+/**
+ * GET /api/downloads/progress - Bytes downloaded, total size, speed and ETA of running downloads
+ * Supports optional channelId and videoIds (comma-separated) query parameters
+ */
+router.get('/progress', (req, res) => {
+  const { channelId = '', videoIds = '' } = req.query;
+
+  const downloadQueue = req.app.get('downloadQueue');
+  if (!downloadQueue) {
+    return res.status(500).json({ error: 'Download queue not initialized' });
+  }
+
+  const ids = videoIds.split(',').filter(Boolean);
+  const downloads = downloadQueue.getProgress(channelId || null)
+    .filter(progress => ids.length === 0 || ids.includes(progress.videoId));
+
+  res.json({ downloads });
+});
+
+/**
+ * POST /api/downloads/retry - Re-queue failed downloads
+ * Retries all failed jobs, or a single video if videoId is given
+ */
+router.post('/retry', async (req, res) => {
+  try {
+    const { videoId } = req.body;
+
+    const downloadQueue = req.app.get('downloadQueue');
+    if (!downloadQueue) {
+      return res.status(500).json({ error: 'Download queue not initialized' });
+    }
+
+    const requeued = await downloadQueue.retryFailed(videoId || null);
+
+    res.json({
+      message: `${requeued} download(s) re-queued`,
+      requeued
+    });
+  } catch (error) {
+    console.error('Error retrying downloads:', error);
+    res.status(500).json({ error: 'Failed to retry downloads' });
+  }
+});
+
+/**
+ * GET /api/downloads/settings - Get the download worker settings
+ */
+router.get('/settings', (req, res) => {
+  const downloadQueue = req.app.get('downloadQueue');
+  if (!downloadQueue) {
+    return res.status(500).json({ error: 'Download queue not initialized' });
+  }
+
+  res.json(downloadQueue.getSettings());
+});
+
+/**
+ * PUT /api/downloads/settings - Change the download worker settings at runtime
+ * Body: concurrency (0 pauses downloads), perChannelConcurrency,
+ * rateLimit (bytes/s or e.g. "5M"; null for unlimited),
+ * pathTemplate (where new downloads are saved; null for the default)
+ */
+router.put('/settings', async (req, res) => {
+  try {
+    const { concurrency, perChannelConcurrency, rateLimit, pathTemplate } = req.body;
+
+    const downloadQueue = req.app.get('downloadQueue');
+    if (!downloadQueue) {
+      return res.status(500).json({ error: 'Download queue not initialized' });
+    }
+
+    const { maxConcurrency } = downloadQueue.getSettings();
+
+    if (concurrency !== undefined && !isValidConcurrency(concurrency)) {
+      return res.status(400).json({ error: `concurrency must be a whole number from 0 to ${maxConcurrency}` });
+    }
+
+    if (perChannelConcurrency !== undefined && !isValidConcurrency(perChannelConcurrency, { allowZero: false })) {
+      return res.status(400).json({ error: `perChannelConcurrency must be a whole number from 1 to ${maxConcurrency}` });
+    }
+
+    const rateLimitBytes = rateLimit === undefined ? undefined : parseRateLimit(rateLimit);
+    if (rateLimit !== undefined && rateLimitBytes === undefined) {
+      return res.status(400).json({ error: 'rateLimit must be a number of bytes per second (e.g. 500K, 5M) or null' });
+    }
+
+    if (pathTemplate !== undefined && pathTemplate !== null) {
+      const templateError = validatePathTemplate(pathTemplate);
+      if (templateError) {
+        return res.status(400).json({ error: templateError });
+      }
+    }
+
+    if (concurrency === undefined && perChannelConcurrency === undefined &&
+        rateLimit === undefined && pathTemplate === undefined) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const settings = await downloadQueue.updateSettings({
+      concurrency,
+      perChannelConcurrency,
+      rateLimit: rateLimitBytes,
+      pathTemplate: typeof pathTemplate === 'string' ? pathTemplate.trim() : pathTemplate
+    });
+
+    res.json({
+      message: 'Download settings updated successfully',
+      settings
+    });
+  } catch (error) {
+    console.error('Error updating download settings:', error);
+    res.status(500).json({ error: 'Failed to update download settings' });
+  }
+});
+
+/**
+ * GET /api/downloads/verify - Integrity check results: counts per status,
+ * flagged files, and whether verification is running
+ */
+router.get('/verify', async (req, res) => {
+  try {
+    const integrityVerifier = req.app.get('integrityVerifier');
+    if (!integrityVerifier) {
+      return res.status(500).json({ error: 'Integrity verifier not initialized' });
+    }
+
+    const countsResult = await db.query(
+      `SELECT COALESCE(integrity_status, 'unchecked') as status, COUNT(*) as count
+       FROM videos
+       WHERE download_status = 'completed'
+       GROUP BY COALESCE(integrity_status, 'unchecked')`
+    );
+
+    const flaggedResult = await db.query(
+      `SELECT id, title, channel_id, file_path, file_sha256, integrity_status, integrity_checked_at
+       FROM videos
+       WHERE integrity_status IN ('mismatch', 'missing', 'unreadable')
+       ORDER BY integrity_checked_at DESC`
+    );
+
+    res.json({
+      ...integrityVerifier.getStatus(),
+      counts: Object.fromEntries(countsResult.rows.map(row => [row.status, parseInt(row.count)])),
+      flagged: flaggedResult.rows
+    });
+  } catch (error) {
+    console.error('Error fetching integrity status:', error);
+    res.status(500).json({ error: 'Failed to fetch integrity status' });
+  }
+});
+
+/**
+ * POST /api/downloads/verify - Re-hash downloaded files now
+ * Body: videoId (optional) verifies one video; otherwise the files that are due
+ * are verified in the background
+ */
+router.post('/verify', async (req, res) => {
+  try {
+    const { videoId } = req.body;
+
+    const integrityVerifier = req.app.get('integrityVerifier');
+    if (!integrityVerifier) {
+      return res.status(500).json({ error: 'Integrity verifier not initialized' });
+    }
+
+    if (integrityVerifier.getStatus().running) {
+      return res.status(409).json({ error: 'Verification is already running' });
+    }
+
+    if (videoId) {
+      const run = await integrityVerifier.verify({ videoId });
+      if (run.checked === 0) {
+        return res.status(404).json({ error: 'No downloaded file found for this video' });
+      }
+      return res.json(run);
+    }
+
+    // Don't wait for the files to be hashed, run in background
+    integrityVerifier.verify()
+      .catch(error => {
+        console.error('Integrity verification error:', error);
+      });
+
+    res.status(202).json({ message: 'Integrity verification started' });
+  } catch (error) {
+    console.error('Error verifying downloads:', error);
+    res.status(500).json({ error: 'Failed to verify downloads' });
+  }
+});
+
+/**
+ * GET /api/downloads/relocate - Whether a relocation is running, and the outcome of the last one
+ */
+router.get('/relocate', (req, res) => {
+  const storageRelocator = req.app.get('storageRelocator');
+  if (!storageRelocator) {
+    return res.status(500).json({ error: 'Storage relocator not initialized' });
+  }
+
+  res.json(storageRelocator.getStatus());
+});
+
+/**
+ * POST /api/downloads/relocate - Move downloaded files to match the path template
+ * Body: dryRun (default true) only reports what would be moved; pathTemplate
+ * previews a different template in a dry run. A real run continues in the
+ * background; poll GET /api/downloads/relocate for its outcome.
+ */
+router.post('/relocate', async (req, res) => {
+  try {
+    const { dryRun = true, pathTemplate } = req.body;
+
+    const storageRelocator = req.app.get('storageRelocator');
+    const downloadQueue = req.app.get('downloadQueue');
+    if (!storageRelocator || !downloadQueue) {
+      return res.status(500).json({ error: 'Storage relocator not initialized' });
+    }
+
+    if (pathTemplate !== undefined && !dryRun) {
+      return res.status(400).json({ error: 'Save the path template in the download settings before relocating to it' });
+    }
+
+    const template = pathTemplate !== undefined ? String(pathTemplate).trim() : downloadQueue.getSettings().pathTemplate;
+    const templateError = validatePathTemplate(template);
+    if (templateError) {
+      return res.status(400).json({ error: templateError });
+    }
+
+    if (storageRelocator.getStatus().running) {
+      return res.status(409).json({ error: 'A relocation is already running' });
+    }
+
+    if (dryRun) {
+      return res.json(await storageRelocator.relocate(template, { dryRun: true }));
+    }
+
+    // Don't wait for the files to be moved, run in background
+    storageRelocator.relocate(template)
+      .catch(error => {
+        console.error('Relocation error:', error);
+      });
+
+    res.status(202).json({ message: 'Relocation started', pathTemplate: template });
+  } catch (error) {
+    console.error('Error relocating files:', error);
+    res.status(500).json({ error: 'Failed to relocate files' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { MIN_PROGRESS_SECONDS } = require('../services/watch-progress');
+
+/**
+ * GET /api/history - Videos played in the web interface, most recently watched first
+ * inProgress=true only returns videos that were started but not finished ("continue watching")
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, inProgress = 'false' } = req.query;
+    const offset = (page - 1) * limit;
+
+    const where = inProgress === 'true'
+      ? `WHERE NOT w.watched AND w.position_seconds >= ${MIN_PROGRESS_SECONDS} AND v.download_status = 'completed'`
+      : '';
+
+    const result = await db.query(
+      `SELECT
+         v.id, v.title, v.upload_date, v.duration, v.view_count, v.like_count, v.comment_count,
+         v.thumbnail_url, v.thumbnail_sha256, v.download_status, v.channel_id,
+         v.remote_status, v.remote_status_changed_at, v.preview_clip_sha256,
+         w.position_seconds as watch_position, w.watched, w.updated_at as last_watched_at
+       FROM watch_progress w
+       INNER JOIN videos v ON v.id = w.video_id
+       ${where}
+       ORDER BY w.updated_at DESC
+       LIMIT $1 OFFSET $2`,
+      [parseInt(limit), offset]
+    );
+    const countResult = await db.query(
+      `SELECT COUNT(*)
+       FROM watch_progress w
+       INNER JOIN videos v ON v.id = w.video_id
+       ${where}`
+    );
+    const totalCount = parseInt(countResult.rows[0].count);
+
+    res.json({
+      videos: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalCount,
+        totalPages: Math.ceil(totalCount / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching watch history:', error);
+    res.status(500).json({ error: 'Failed to fetch watch history' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,154 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs').promises;
+const path = require('path');
+const { RECONCILE_CATEGORIES } = require('../services/reconcile');
+const { IMPORT_MODES, IMPORT_SOURCE_PATH } = require('../services/importer');
+
+/**
+ * GET /api/maintenance/reconcile - Whether reconciliation is running, and the outcome of the last run
+ */
+router.get('/reconcile', (req, res) => {
+  const libraryReconciler = req.app.get('libraryReconciler');
+  if (!libraryReconciler) {
+    return res.status(500).json({ error: 'Library reconciler not initialized' });
+  }
+
+  res.json(libraryReconciler.getStatus());
+});
+
+/**
+ * POST /api/maintenance/reconcile - Compare the video directory with the database
+ * Body: fix - true to fix everything found, or a list of categories to fix
+ * (missing, moved, orphaned); without it nothing is changed
+ */
+router.post('/reconcile', async (req, res) => {
+  try {
+    const { fix = false } = req.body;
+
+    const libraryReconciler = req.app.get('libraryReconciler');
+    if (!libraryReconciler) {
+      return res.status(500).json({ error: 'Library reconciler not initialized' });
+    }
+
+    let categories;
+    if (fix === true) {
+      categories = RECONCILE_CATEGORIES;
+    } else if (fix === false || fix === null) {
+      categories = [];
+    } else if (Array.isArray(fix) && fix.every(category => RECONCILE_CATEGORIES.includes(category))) {
+      categories = fix;
+    } else {
+      return res.status(400).json({
+        error: `fix must be true, false or a list of: ${RECONCILE_CATEGORIES.join(', ')}`
+      });
+    }
+
+    if (libraryReconciler.getStatus().running) {
+      return res.status(409).json({ error: 'Reconciliation is already running' });
+    }
+
+    res.json(await libraryReconciler.reconcile({ fix: categories }));
+  } catch (error) {
+    console.error('Error reconciling library:', error);
+    res.status(500).json({ error: 'Failed to reconcile library' });
+  }
+});
+
+/**
+ * GET /api/maintenance/import - Whether an import is running with its progress, or the outcome of the last one
+ */
+router.get('/import', (req, res) => {
+  const libraryImporter = req.app.get('libraryImporter');
+  if (!libraryImporter) {
+    return res.status(500).json({ error: 'Library importer not initialized' });
+  }
+
+  res.json(libraryImporter.getStatus());
+});
+
+/**
+ * POST /api/maintenance/import - Import videos downloaded with yt-dlp from their .info.json files
+ * Body: sourceDir (default IMPORT_SOURCE_PATH), mode (move, copy or link; default move),
+ * dryRun (default true) only reports what would be imported. A real run continues
+ * in the background; poll GET /api/maintenance/import for its progress.
+ */
+router.post('/import', async (req, res) => {
+  try {
+    const { sourceDir = IMPORT_SOURCE_PATH, mode = 'move', dryRun = true } = req.body;
+
+    const libraryImporter = req.app.get('libraryImporter');
+    const downloadQueue = req.app.get('downloadQueue');
+    if (!libraryImporter || !downloadQueue) {
+      return res.status(500).json({ error: 'Library importer not initialized' });
+    }
+
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${IMPORT_MODES.join(', ')}` });
+    }
+    if (typeof sourceDir !== 'string' || !path.isAbsolute(sourceDir)) {
+      return res.status(400).json({ error: 'sourceDir must be an absolute path' });
+    }
+
+    const stats = await fs.stat(sourceDir).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+      return res.status(400).json({ error: `${sourceDir} is not a directory` });
+    }
+
+    if (libraryImporter.getStatus().running) {
+      return res.status(409).json({ error: 'An import is already running' });
+    }
+
+    const options = { mode, pathTemplate: downloadQueue.getSettings().pathTemplate };
+    if (dryRun) {
+      return res.json(await libraryImporter.import(sourceDir, { ...options, dryRun: true }));
+    }
+
+    // Don't wait for the files to be imported, run in background
+    libraryImporter.import(sourceDir, options)
+      .catch(error => {
+        console.error('Import error:', error);
+      });
+
+    res.status(202).json({ message: 'Import started', sourceDir, mode });
+  } catch (error) {
+    console.error('Error importing videos:', error);
+    res.status(500).json({ error: 'Failed to import videos' });
+  }
+});
+
+/**
+ * GET /api/maintenance/transcoder - Running HLS transcodes and cache usage
+ */
+router.get('/transcoder', async (req, res) => {
+  try {
+    const hlsTranscoder = req.app.get('hlsTranscoder');
+    if (!hlsTranscoder) {
+      return res.status(500).json({ error: 'Transcoder not initialized' });
+    }
+
+    res.json(await hlsTranscoder.getStatus());
+  } catch (error) {
+    console.error('Error fetching transcoder status:', error);
+    res.status(500).json({ error: 'Failed to fetch transcoder status' });
+  }
+});
+
+/**
+ * GET /api/maintenance/previews - Video being processed and how many videos have previews
+ */
+router.get('/previews', async (req, res) => {
+  try {
+    const previewGenerator = req.app.get('previewGenerator');
+    if (!previewGenerator) {
+      return res.status(500).json({ error: 'Preview generator not initialized' });
+    }
+
+    res.json(await previewGenerator.getStatus());
+  } catch (error) {
+    console.error('Error fetching preview status:', error);
+    res.status(500).json({ error: 'Failed to fetch preview status' });
+  }
+});
+
+module.exports = router;
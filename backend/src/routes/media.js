@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const MediaStore = require('../services/media-store');
+const { isValidHash } = MediaStore;
+const { streamFile } = require('../services/file-stream');
+
+const mediaStore = new MediaStore();
+
+/**
+ * GET /api/media/:sha256 - Serve a locally stored thumbnail, avatar or video preview
+ * Files are addressed by their content hash, so they never change and can be cached indefinitely
+ */
+router.get('/:sha256', async (req, res) => {
+  try {
+    const { sha256 } = req.params;
+
+    if (!isValidHash(sha256)) {
+      return res.status(400).json({ error: 'Invalid media hash' });
+    }
+
+    const media = await mediaStore.getFile(sha256);
+    if (!media) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    const found = await streamFile(req, res, media.file_path, {
+      contentType: media.content_type,
+      cacheControl: 'public, max-age=31536000, immutable',
+      etag: `"${sha256}"`
+    });
+    if (!found) {
+      return res.status(404).json({ error: 'Media file not found on disk' });
+    }
+  } catch (error) {
+    console.error('Error serving media:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to serve media' });
+    }
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+
+/**
+ * GET /api/playlists/:id - Get a playlist with its items in playlist order
+ * Items include the archived video when it is in the database.
+ * Query params: includeRemoved - also return items no longer in the playlist
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const includeRemoved = req.query.includeRemoved === 'true';
+
+    const playlistResult = await db.query(
+      `SELECT p.*, c.title as channel_title
+       FROM playlists p
+       LEFT JOIN channel c ON c.id = p.channel_id
+       WHERE p.id = $1`,
+      [id]
+    );
+
+    if (playlistResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    const itemsResult = await db.query(
+      `SELECT pi.id, pi.video_id, pi.position, pi.title, pi.thumbnail_url,
+              pi.video_owner_channel_id, pi.added_at, pi.removed_at,
+              v.title as video_title, v.duration, v.upload_date,
+              v.thumbnail_url as video_thumbnail_url, v.thumbnail_sha256 as video_thumbnail_sha256,
+              v.download_status
+       FROM playlist_items pi
+       LEFT JOIN videos v ON v.id = pi.video_id
+       WHERE pi.playlist_id = $1 ${includeRemoved ? '' : 'AND pi.removed_at IS NULL'}
+       ORDER BY pi.removed_at IS NOT NULL, pi.position ASC`,
+      [id]
+    );
+
+    const changesResult = await db.query(
+      `SELECT id, change_type, video_id, old_value, new_value, detected_at
+       FROM playlist_changes
+       WHERE playlist_id = $1
+       ORDER BY detected_at DESC, id DESC
+       LIMIT 50`,
+      [id]
+    );
+
+    res.json({
+      ...playlistResult.rows[0],
+      items: itemsResult.rows,
+      changes: changesResult.rows
+    });
+  } catch (error) {
+    console.error('Error fetching playlist:', error);
+    res.status(500).json({ error: 'Failed to fetch playlist' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,169 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { DEFAULT_PROFILE_NAME, validateProfile } = require('../services/quality-profiles');
+
+// Request body field -> column
+const PROFILE_FIELDS = {
+  name: 'name',
+  maxHeight: 'max_height',
+  container: 'container',
+  videoCodec: 'video_codec',
+  audioOnly: 'audio_only',
+  audioFormat: 'audio_format'
+};
+
+/**
+ * GET /api/quality-profiles - List quality profiles with how many channels use each
+ */
+router.get('/', async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT p.*,
+              (SELECT COUNT(*) FROM channel c WHERE c.quality_profile_id = p.id) as channel_count,
+              (SELECT COUNT(*) FROM videos v WHERE v.quality_profile = p.name) as video_count
+       FROM quality_profiles p
+       ORDER BY (p.name = $1) DESC, p.name`,
+      [DEFAULT_PROFILE_NAME]
+    );
+
+    res.json(result.rows.map(profile => ({
+      ...profile,
+      channel_count: parseInt(profile.channel_count),
+      video_count: parseInt(profile.video_count)
+    })));
+  } catch (error) {
+    console.error('Error fetching quality profiles:', error);
+    res.status(500).json({ error: 'Failed to fetch quality profiles' });
+  }
+});
+
+/**
+ * POST /api/quality-profiles - Create a quality profile
+ */
+router.post('/', async (req, res) => {
+  try {
+    const {
+      name,
+      maxHeight = null,
+      container = 'mp4',
+      videoCodec = null,
+      audioOnly = false,
+      audioFormat = 'm4a'
+    } = req.body;
+
+    const validationError = validateProfile({ name, maxHeight, container, videoCodec, audioFormat });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const existing = await db.query('SELECT id FROM quality_profiles WHERE name = $1', [name.trim()]);
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ error: 'A quality profile with this name already exists' });
+    }
+
+    const result = await db.query(
+      `INSERT INTO quality_profiles (name, max_height, container, video_codec, audio_only, audio_format)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [name.trim(), maxHeight, container, videoCodec, Boolean(audioOnly), audioFormat]
+    );
+
+    res.status(201).json({
+      message: 'Quality profile created successfully',
+      profile: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error creating quality profile:', error);
+    res.status(500).json({ error: 'Failed to create quality profile' });
+  }
+});
+
+/**
+ * PUT /api/quality-profiles/:id - Update a quality profile
+ * Only affects future downloads; files already downloaded are kept as they are
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const validationError = validateProfile(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const existing = await db.query('SELECT name FROM quality_profiles WHERE id = $1', [id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Quality profile not found' });
+    }
+
+    const { name } = req.body;
+    if (name !== undefined && existing.rows[0].name === DEFAULT_PROFILE_NAME && name.trim() !== DEFAULT_PROFILE_NAME) {
+      return res.status(400).json({ error: 'The default profile cannot be renamed' });
+    }
+
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    for (const [field, column] of Object.entries(PROFILE_FIELDS)) {
+      if (req.body[field] === undefined) continue;
+
+      let value = req.body[field];
+      if (field === 'name') value = value.trim();
+      if (field === 'audioOnly') value = Boolean(value);
+
+      updates.push(`${column} = $${paramCount++}`);
+      values.push(value);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    values.push(id);
+
+    const result = await db.query(
+      `UPDATE quality_profiles SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+      values
+    );
+
+    res.json({
+      message: 'Quality profile updated successfully',
+      profile: result.rows[0]
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A quality profile with this name already exists' });
+    }
+    console.error('Error updating quality profile:', error);
+    res.status(500).json({ error: 'Failed to update quality profile' });
+  }
+});
+
+/**
+ * DELETE /api/quality-profiles/:id - Delete a quality profile
+ * Channels using it fall back to the default profile
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await db.query('SELECT name FROM quality_profiles WHERE id = $1', [id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Quality profile not found' });
+    }
+    if (existing.rows[0].name === DEFAULT_PROFILE_NAME) {
+      return res.status(400).json({ error: 'The default profile cannot be deleted' });
+    }
+
+    await db.query('DELETE FROM quality_profiles WHERE id = $1', [id]);
+
+    res.json({ message: 'Quality profile deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting quality profile:', error);
+    res.status(500).json({ error: 'Failed to delete quality profile' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { getQuotaSummary } = require('../services/quota');
+
+/**
+ * GET /api/quota - Get today's YouTube API quota usage
+ * Usage is grouped per API key, per channel and per endpoint for the current Pacific-time day
+ */
+router.get('/', async (req, res) => {
+  try {
+    const summary = await getQuotaSummary();
+    res.json(summary);
+  } catch (error) {
+    console.error('Error fetching quota usage:', error);
+    res.status(500).json({ error: 'Failed to fetch quota usage' });
+  }
+});
+
+module.exports = router;
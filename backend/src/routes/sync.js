@@ -7,7 +7,7 @@ const db = require('../db');
  */
 router.post('/trigger', async (req, res) => {
   try {
-    const { syncType = 'incremental' } = req.body;
+    const { syncType = 'incremental', deepVerify = false } = req.body;
 
     // Get scheduler from app context
     const scheduler = req.app.get('scheduler');
@@ -17,7 +17,7 @@ router.post('/trigger', async (req, res) => {
     }
 
     // Don't wait for sync to complete, run in background
-    scheduler.triggerManualSync(syncType)
+    scheduler.triggerManualSync(syncType, null, { deepVerify: Boolean(deepVerify) })
       .then(result => {
         console.log('Manual sync completed:', result);
       })
@@ -26,8 +26,9 @@ router.post('/trigger', async (req, res) => {
       });
 
     res.json({
-      message: `${syncType} sync started`,
-      syncType
+      message: `${syncType} sync${deepVerify ? ' (deep verify)' : ''} started`,
+      syncType,
+      deepVerify: Boolean(deepVerify)
     });
   } catch (error) {
     console.error('Error triggering sync:', error);
@@ -1,12 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
-const fs = require('fs');
-const path = require('path');
+const { TranscoderBusyError, getPlaybackMode } = require('../services/transcoder');
+const { contentTypeForFile, streamFile } = require('../services/file-stream');
+const { saveWatchProgress, attachWatchProgress } = require('../services/watch-progress');
+const { refreshChapters } = require('../services/chapters');
 
 /**
  * GET /api/videos - Get all videos with pagination and search
  * searchIn options: 'all', 'title', 'description', 'comments'
+ * remoteStatus: comma-separated statuses on YouTube to filter by,
+ * e.g. 'deleted,private' (available, unlisted, private, deleted)
  */
 router.get('/', async (req, res) => {
   try {
@@ -17,7 +21,8 @@ router.get('/', async (req, res) => {
       searchIn = 'all',
       sortBy = 'upload_date',
       order = 'DESC',
-      channelId = ''
+      channelId = '',
+      remoteStatus = ''
     } = req.query;
 
     const offset = (page - 1) * limit;
@@ -33,8 +38,8 @@ router.get('/', async (req, res) => {
       query = `
         SELECT DISTINCT
           v.id, v.title, v.description, v.upload_date, v.duration, v.view_count,
-          v.like_count, v.comment_count, v.thumbnail_url, v.tags, v.download_status,
-          v.file_path, v.downloaded_at, v.channel_id
+          v.like_count, v.comment_count, v.thumbnail_url, v.thumbnail_sha256, v.tags, v.download_status,
+          v.file_path, v.downloaded_at, v.channel_id, v.remote_status, v.remote_status_changed_at, v.preview_clip_sha256
         FROM videos v
         INNER JOIN comments c ON v.id = c.video_id
         WHERE c.text_display ILIKE $1
@@ -61,8 +66,8 @@ router.get('/', async (req, res) => {
       query = `
         SELECT
           id, title, description, upload_date, duration, view_count,
-          like_count, comment_count, thumbnail_url, tags, download_status,
-          file_path, downloaded_at, channel_id
+          like_count, comment_count, thumbnail_url, thumbnail_sha256, tags, download_status,
+          file_path, downloaded_at, channel_id, remote_status, remote_status_changed_at, preview_clip_sha256
         FROM videos
         WHERE 1=1
       `;
@@ -89,8 +94,8 @@ router.get('/', async (req, res) => {
           query = `
             SELECT DISTINCT
               v.id, v.title, v.description, v.upload_date, v.duration, v.view_count,
-              v.like_count, v.comment_count, v.thumbnail_url, v.tags, v.download_status,
-              v.file_path, v.downloaded_at, v.channel_id
+              v.like_count, v.comment_count, v.thumbnail_url, v.thumbnail_sha256, v.tags, v.download_status,
+              v.file_path, v.downloaded_at, v.channel_id, v.remote_status, v.remote_status_changed_at, v.preview_clip_sha256
             FROM videos v
             LEFT JOIN comments c ON v.id = c.video_id
             WHERE (v.title ILIKE $${queryParams.length + 1} OR v.description ILIKE $${queryParams.length + 1} OR c.text_display ILIKE $${queryParams.length + 1})
@@ -121,6 +126,14 @@ router.get('/', async (req, res) => {
       }
     }
 
+    if (remoteStatus) {
+      const statuses = remoteStatus.split(',').map(status => status.trim()).filter(Boolean);
+      query += ` AND remote_status = ANY($${queryParams.length + 1})`;
+      countQuery += ` AND remote_status = ANY($${countParams.length + 1})`;
+      queryParams.push(statuses);
+      countParams.push(statuses);
+    }
+
     query += ` ORDER BY ${sortBy} ${order} LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`;
     queryParams.push(parseInt(limit), offset);
 
@@ -129,7 +142,7 @@ router.get('/', async (req, res) => {
     const totalCount = parseInt(countResult.rows[0].count);
 
     res.json({
-      videos: result.rows,
+      videos: await attachWatchProgress(result.rows),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -144,14 +157,20 @@ router.get('/', async (req, res) => {
 });
 
 /**
- * GET /api/videos/:id - Get single video details
+ * GET /api/videos/:id - Get single video details, with how it can be played
+ * (playback_mode: direct, remux or transcode; the last two via HLS), how far
+ * it has been watched and its chapters
  */
 router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
     const result = await db.query(
-      'SELECT * FROM videos WHERE id = $1',
+      `SELECT v.*, w.position_seconds as watch_position, COALESCE(w.watched, false) as watched,
+              w.updated_at as last_watched_at
+       FROM videos v
+       LEFT JOIN watch_progress w ON w.video_id = v.id
+       WHERE v.id = $1`,
       [id]
     );
 
@@ -159,7 +178,19 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    res.json(result.rows[0]);
+    const video = result.rows[0];
+
+    // Videos archived before chapters were kept get them on first view
+    if (video.chapters === null) {
+      const refreshed = await refreshChapters(id).catch(error => {
+        console.error(`Error saving chapters for ${id}:`, error.message);
+        return null;
+      });
+      video.chapters = refreshed ? refreshed.chapters : [];
+      video.chapters_source = refreshed ? refreshed.source : null;
+    }
+
+    res.json({ ...video, playback_mode: video.file_path ? getPlaybackMode(video) : null });
   } catch (error) {
     console.error('Error fetching video:', error);
     res.status(500).json({ error: 'Failed to fetch video' });
@@ -167,14 +198,108 @@ router.get('/:id', async (req, res) => {
 });
 
 /**
- * GET /api/videos/:id/stream - Stream video file
+ * GET /api/videos/:id/raw - Complete metadata as received: the API videos
+ * resource from the latest sync and the info JSON yt-dlp wrote when downloading.
+ * Either is null if it was never stored.
+ */
+router.get('/:id/raw', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(
+      `SELECT v.id as video_id, r.api_resource, r.api_fetched_at, r.ytdlp_info, r.ytdlp_fetched_at
+       FROM videos v
+       LEFT JOIN video_raw_metadata r ON r.video_id = v.id
+       WHERE v.id = $1`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error fetching raw metadata:', error);
+    res.status(500).json({ error: 'Failed to fetch raw metadata' });
+  }
+});
+
+/**
+ * PUT /api/videos/:id/progress - Save the playback position, in seconds
+ * Body: { position, duration } (duration as reported by the player, optional)
+ */
+router.put('/:id/progress', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { position, duration = null } = req.body;
+
+    if (typeof position !== 'number' || !Number.isFinite(position) || position < 0) {
+      return res.status(400).json({ error: 'position must be a number of seconds' });
+    }
+    if (duration !== null && (typeof duration !== 'number' || !Number.isFinite(duration) || duration <= 0)) {
+      return res.status(400).json({ error: 'duration must be a positive number of seconds' });
+    }
+
+    const progress = await saveWatchProgress(id, position, duration);
+    if (!progress) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    res.json(progress);
+  } catch (error) {
+    console.error('Error saving watch progress:', error);
+    res.status(500).json({ error: 'Failed to save watch progress' });
+  }
+});
+
+/**
+ * GET /api/videos/:id/stats/history - Statistics snapshots over time, oldest first
+ */
+router.get('/:id/stats/history', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const videoResult = await db.query(
+      'SELECT id, upload_date FROM videos WHERE id = $1',
+      [id]
+    );
+
+    if (videoResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const result = await db.query(
+      `SELECT view_count, like_count, comment_count, captured_at
+       FROM video_stat_snapshots
+       WHERE video_id = $1
+       ORDER BY captured_at ASC`,
+      [id]
+    );
+
+    res.json({
+      videoId: id,
+      uploadDate: videoResult.rows[0].upload_date,
+      snapshots: result.rows.map(row => ({
+        ...row,
+        view_count: parseInt(row.view_count)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching stats history:', error);
+    res.status(500).json({ error: 'Failed to fetch stats history' });
+  }
+});
+
+/**
+ * GET /api/videos/:id/stream - Stream the video file, with range and conditional request support
  */
 router.get('/:id/stream', async (req, res) => {
   try {
     const { id } = req.params;
 
     const result = await db.query(
-      'SELECT file_path FROM videos WHERE id = $1',
+      'SELECT file_path, video_codec, audio_codec FROM videos WHERE id = $1',
       [id]
     );
 
@@ -182,69 +307,162 @@ router.get('/:id/stream', async (req, res) => {
       return res.status(404).json({ error: 'Video file not found' });
     }
 
-    const filePath = result.rows[0].file_path;
+    const { file_path: filePath, video_codec: videoCodec, audio_codec: audioCodec } = result.rows[0];
+    const contentType = contentTypeForFile(filePath, { audioOnly: !videoCodec && !!audioCodec });
 
-    // Check if file exists
-    if (!fs.existsSync(filePath)) {
+    if (!await streamFile(req, res, filePath, { contentType })) {
       return res.status(404).json({ error: 'Video file not found on disk' });
     }
+  } catch (error) {
+    console.error('Error streaming video:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to stream video' });
+    }
+  }
+});
 
-    const stat = fs.statSync(filePath);
-    const fileSize = stat.size;
-    const range = req.headers.range;
-
-    if (range) {
-      // Handle range request for video seeking
-      const parts = range.replace(/bytes=/, '').split('-');
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-      const chunksize = (end - start) + 1;
-      const file = fs.createReadStream(filePath, { start, end });
-      const head = {
-        'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-        'Accept-Ranges': 'bytes',
-        'Content-Length': chunksize,
-        'Content-Type': 'video/mp4',
-      };
-
-      res.writeHead(206, head);
-      file.pipe(res);
-    } else {
-      // No range, send entire file
-      const head = {
-        'Content-Length': fileSize,
-        'Content-Type': 'video/mp4',
-      };
-
-      res.writeHead(200, head);
-      fs.createReadStream(filePath).pipe(res);
+/**
+ * GET /api/videos/:id/hls/index.m3u8 - HLS playlist of a video, remuxed or
+ * transcoded on first request. While a transcode runs the playlist grows;
+ * players reload it until it ends.
+ */
+router.get('/:id/hls/index.m3u8', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const hlsTranscoder = req.app.get('hlsTranscoder');
+    if (!hlsTranscoder) {
+      return res.status(500).json({ error: 'Transcoder not initialized' });
+    }
+
+    const result = await db.query(
+      `SELECT id, file_path, file_format, video_codec, audio_codec
+       FROM videos WHERE id = $1 AND download_status = 'completed'`,
+      [id]
+    );
+
+    if (result.rows.length === 0 || !result.rows[0].file_path) {
+      return res.status(404).json({ error: 'Video file not found' });
     }
+
+    const playlist = await hlsTranscoder.getPlaylist(result.rows[0]);
+    res.set('Cache-Control', 'no-cache');
+    res.type('application/vnd.apple.mpegurl');
+    res.send(playlist);
   } catch (error) {
-    console.error('Error streaming video:', error);
-    res.status(500).json({ error: 'Failed to stream video' });
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Video file not found on disk' });
+    }
+    if (error instanceof TranscoderBusyError) {
+      res.set('Retry-After', '30');
+      return res.status(503).json({ error: error.message });
+    }
+    console.error('Error serving HLS playlist:', error);
+    res.status(500).json({ error: `Failed to transcode video: ${error.message}` });
+  }
+});
+
+/**
+ * GET /api/videos/:id/hls/:segment - A segment of a video's HLS playlist
+ */
+router.get('/:id/hls/:segment', async (req, res) => {
+  try {
+    const { id, segment } = req.params;
+
+    const hlsTranscoder = req.app.get('hlsTranscoder');
+    if (!hlsTranscoder) {
+      return res.status(500).json({ error: 'Transcoder not initialized' });
+    }
+
+    const segmentPath = hlsTranscoder.segmentPath(id, segment);
+    if (!segmentPath || !await streamFile(req, res, segmentPath, { contentType: 'video/mp2t' })) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+  } catch (error) {
+    console.error('Error serving HLS segment:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to serve segment' });
+    }
+  }
+});
+
+/**
+ * GET /api/videos/:id/subtitles - List the subtitle tracks downloaded for a video
+ */
+router.get('/:id/subtitles', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(
+      `SELECT language, is_auto, created_at
+       FROM video_subtitles
+       WHERE video_id = $1
+       ORDER BY is_auto, language`,
+      [id]
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching subtitles:', error);
+    res.status(500).json({ error: 'Failed to fetch subtitles' });
+  }
+});
+
+/**
+ * GET /api/videos/:id/subtitles/:lang - Serve a subtitle track as WebVTT
+ */
+router.get('/:id/subtitles/:lang', async (req, res) => {
+  try {
+    const { id, lang } = req.params;
+
+    const result = await db.query(
+      'SELECT file_path FROM video_subtitles WHERE video_id = $1 AND language = $2',
+      [id, lang]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Subtitles not found' });
+    }
+
+    const filePath = result.rows[0].file_path;
+
+    if (!await streamFile(req, res, filePath, { contentType: 'text/vtt; charset=utf-8' })) {
+      return res.status(404).json({ error: 'Subtitle file not found on disk' });
+    }
+  } catch (error) {
+    console.error('Error serving subtitles:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to serve subtitles' });
+    }
   }
 });
 
 /**
  * GET /api/videos/:id/comments - Get comments for a video
+ * Query params: includeDeleted - also return comments deleted on YouTube
  */
 router.get('/:id/comments', async (req, res) => {
   try {
     const { id } = req.params;
+    const deletedFilter = req.query.includeDeleted === 'true' ? '' : 'AND c.deleted_at IS NULL';
+
+    const commentColumns = `c.*, (
+      SELECT COUNT(*) FROM comment_revisions r WHERE r.comment_id = c.id
+    )::int as revision_count`;
 
     // Get top-level comments
     const topLevelComments = await db.query(
-      `SELECT * FROM comments
-       WHERE video_id = $1 AND parent_comment_id IS NULL
-       ORDER BY published_at DESC`,
+      `SELECT ${commentColumns} FROM comments c
+       WHERE c.video_id = $1 AND c.parent_comment_id IS NULL ${deletedFilter}
+       ORDER BY c.published_at DESC`,
       [id]
     );
 
     // Get all replies
     const replies = await db.query(
-      `SELECT * FROM comments
-       WHERE video_id = $1 AND parent_comment_id IS NOT NULL
-       ORDER BY published_at ASC`,
+      `SELECT ${commentColumns} FROM comments c
+       WHERE c.video_id = $1 AND c.parent_comment_id IS NOT NULL ${deletedFilter}
+       ORDER BY c.published_at ASC`,
       [id]
     );
 
@@ -261,6 +479,29 @@ router.get('/:id/comments', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/videos/:id/comments/:commentId/revisions - Earlier versions of an edited comment, newest first
+ */
+router.get('/:id/comments/:commentId/revisions', async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+
+    const result = await db.query(
+      `SELECT r.id, r.text_display, r.text_original, r.updated_at, r.captured_at
+       FROM comment_revisions r
+       INNER JOIN comments c ON c.id = r.comment_id
+       WHERE r.comment_id = $1 AND c.video_id = $2
+       ORDER BY r.captured_at DESC, r.id DESC`,
+      [commentId, id]
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching comment revisions:', error);
+    res.status(500).json({ error: 'Failed to fetch comment revisions' });
+  }
+});
+
 /**
  * GET /api/videos/stats - Get overall statistics
  * Supports optional channelId query parameter for channel-specific stats
@@ -277,7 +518,8 @@ router.get('/stats/overview', async (req, res) => {
         SUM(comment_count) as total_comments,
         COUNT(CASE WHEN download_status = 'completed' THEN 1 END) as downloaded_videos,
         COUNT(CASE WHEN download_status = 'pending' THEN 1 END) as pending_videos,
-        COUNT(CASE WHEN download_status = 'failed' THEN 1 END) as failed_videos
+        COUNT(CASE WHEN download_status = 'failed' THEN 1 END) as failed_videos,
+        COUNT(CASE WHEN remote_status <> 'available' THEN 1 END) as removed_from_youtube
       FROM videos
     `;
 
@@ -293,12 +535,12 @@ router.get('/stats/overview', async (req, res) => {
     let channelInfo;
     if (channelId) {
       channelInfo = await db.query(
-        'SELECT id, title, description, custom_url, subscriber_count, video_count, view_count, thumbnail_url FROM channel WHERE id = $1',
+        'SELECT id, title, description, custom_url, subscriber_count, video_count, view_count, thumbnail_url, thumbnail_sha256 FROM channel WHERE id = $1',
         [channelId]
       );
     } else {
       channelInfo = await db.query(
-        'SELECT id, title, description, custom_url, subscriber_count, video_count, view_count, thumbnail_url FROM channel ORDER BY created_at DESC'
+        'SELECT id, title, description, custom_url, subscriber_count, video_count, view_count, thumbnail_url, thumbnail_sha256 FROM channel ORDER BY created_at DESC'
       );
     }
 
@@ -0,0 +1,175 @@
+const db = require('../db');
+const { hashApiKey, apiKeyHint, NEXT_QUOTA_RESET_SQL } = require('./quota');
+
+// Rate limits are short-lived, unlike the daily quota
+const RATE_LIMIT_COOLDOWN_MINUTES = 15;
+
+// A key counts as healthy if it is active, or its cooldown has run out
+const HEALTHY_KEY_SQL = `(k.status = 'active' OR (k.status = 'cooling_down' AND k.cooldown_until <= CURRENT_TIMESTAMP))`;
+
+/**
+ * Ordered list of API keys to use for a channel.
+ * The first healthy key is used until it runs out, then the next one.
+ */
+class ApiKeyPool {
+  constructor(keys, { coolingDown = false } = {}) {
+    this.keys = keys; // [{ id, apiKey, label }] - id is null for keys not stored in the pool
+    this.index = 0;
+    // Whether keys were left out, or taken out of rotation, because they ran out of quota
+    this.exhausted = coolingDown;
+  }
+
+  /**
+   * Pool containing a single key that is not managed in the database
+   */
+  static fromKey(apiKey) {
+    return new ApiKeyPool(apiKey ? [{ id: null, apiKey, label: null }] : []);
+  }
+
+  /**
+   * Pool of the healthy keys among the given api_keys rows
+   */
+  static fromRows(rows) {
+    return new ApiKeyPool(
+      rows.filter(row => row.healthy).map(row => ({
+        id: row.id,
+        apiKey: row.api_key,
+        label: row.label
+      })),
+      { coolingDown: rows.some(row => !row.healthy && row.status === 'cooling_down') }
+    );
+  }
+
+  /**
+   * Load the healthy keys for a channel: its assigned keys if it has any,
+   * otherwise every key in the pool. Falls back to the legacy per-channel
+   * key or YOUTUBE_API_KEY when the pool is empty.
+   */
+  static async forChannel(channelId, fallbackKey = null) {
+    const assigned = channelId
+      ? await db.query('SELECT api_key_id FROM channel_api_keys WHERE channel_id = $1', [channelId])
+      : { rows: [] };
+
+    let result;
+    if (assigned.rows.length > 0) {
+      result = await db.query(
+        `SELECT k.id, k.api_key, k.label, k.status, ${HEALTHY_KEY_SQL} as healthy
+         FROM api_keys k
+         INNER JOIN channel_api_keys ck ON ck.api_key_id = k.id
+         WHERE ck.channel_id = $1
+         ORDER BY k.id`,
+        [channelId]
+      );
+    } else {
+      result = await db.query(
+        `SELECT k.id, k.api_key, k.label, k.status, ${HEALTHY_KEY_SQL} as healthy
+         FROM api_keys k
+         ORDER BY k.id`
+      );
+
+      if (result.rows.length === 0) {
+        return ApiKeyPool.fromKey(fallbackKey || process.env.YOUTUBE_API_KEY);
+      }
+    }
+
+    return ApiKeyPool.fromRows(result.rows);
+  }
+
+  /**
+   * Load specific keys from the pool, in the given order
+   */
+  static async fromIds(keyIds) {
+    const result = await db.query(
+      `SELECT k.id, k.api_key, k.label, k.status, ${HEALTHY_KEY_SQL} as healthy
+       FROM api_keys k
+       WHERE k.id = ANY($1::int[])
+       ORDER BY array_position($1::int[], k.id)`,
+      [keyIds]
+    );
+
+    return ApiKeyPool.fromRows(result.rows);
+  }
+
+  /**
+   * Key currently in use, or null once every key is exhausted
+   */
+  current() {
+    return this.keys[this.index] || null;
+  }
+
+  /**
+   * Describe a key for logs without revealing it
+   */
+  describe(key) {
+    return key.label || apiKeyHint(key.apiKey);
+  }
+
+  /**
+   * Take the current key out of rotation and move on to the next one.
+   * quotaExceeded keys cool down until the daily quota resets,
+   * rate-limited keys only for a few minutes.
+   */
+  async markExhausted(reason) {
+    const key = this.current();
+    if (!key) return null;
+
+    console.warn(`API key ${this.describe(key)} exhausted (${reason}), rotating to next key`);
+
+    if (key.id) {
+      const cooldownSql = reason === 'rateLimitExceeded'
+        ? `CURRENT_TIMESTAMP + INTERVAL '${RATE_LIMIT_COOLDOWN_MINUTES} minutes'`
+        : NEXT_QUOTA_RESET_SQL;
+
+      await db.query(
+        `UPDATE api_keys SET
+           status = 'cooling_down',
+           cooldown_until = ${cooldownSql},
+           last_error = $1,
+           last_error_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [reason, key.id]
+      );
+    }
+
+    this.exhausted = true;
+    this.index++;
+    return this.current();
+  }
+
+  /**
+   * Permanently take the current key out of rotation (e.g. it was revoked)
+   */
+  async markInvalid(reason) {
+    const key = this.current();
+    if (!key) return null;
+
+    console.error(`API key ${this.describe(key)} is invalid (${reason}), rotating to next key`);
+
+    if (key.id) {
+      await db.query(
+        `UPDATE api_keys SET status = 'invalid', last_error = $1, last_error_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [reason, key.id]
+      );
+    }
+
+    this.index++;
+    return this.current();
+  }
+
+  /**
+   * Add a key to the pool, or return the existing record if it is already there
+   */
+  static async addKey(apiKey, label = null) {
+    const result = await db.query(
+      `INSERT INTO api_keys (api_key, key_hash, label)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (api_key) DO UPDATE SET label = COALESCE(EXCLUDED.label, api_keys.label)
+       RETURNING id`,
+      [apiKey, hashApiKey(apiKey), label]
+    );
+    return result.rows[0].id;
+  }
+}
+
+module.exports = ApiKeyPool;
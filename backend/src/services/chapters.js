@@ -0,0 +1,129 @@
+const db = require('../db');
+
+// YouTube only shows chapters from a description when there are at least three,
+// the first starts at 0:00 and each is at least ten seconds long
+const MIN_CHAPTERS = 3;
+const MIN_CHAPTER_SECONDS = 10;
+
+const TIMESTAMP = '(?:\\d{1,2}:)?\\d{1,2}:\\d{2}';
+// "0:00 Intro", "(0:00) Intro", "- 0:00 - Intro"
+const TIMESTAMP_FIRST = new RegExp(`^\\s*(?:[-*•]\\s*)?[([]?(${TIMESTAMP})[)\\]]?\\s*(?:[-–—:|]\\s*)?(.+?)\\s*$`);
+// "Intro 0:00", "Intro - (0:00)"
+const TIMESTAMP_LAST = new RegExp(`^\\s*(?:[-*•]\\s*)?(.+?)\\s+(?:[-–—:|]\\s*)?[([]?(${TIMESTAMP})[)\\]]?\\s*$`);
+
+/**
+ * Seconds of a timestamp such as 1:23 or 1:02:03, or null if it is not one
+ */
+function parseTimestamp(text) {
+  const match = /^(?:(\d{1,2}):)?(\d{1,2}):(\d{2})$/.exec(text);
+  if (!match) return null;
+
+  const hours = parseInt(match[1] || '0', 10);
+  const minutes = parseInt(match[2], 10);
+  const seconds = parseInt(match[3], 10);
+  if (seconds >= 60 || (match[1] !== undefined && minutes >= 60)) return null;
+  return hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Give each chapter the start of the next as its end, and the last one the video's duration
+ */
+function withEnds(starts, duration) {
+  return starts.map((chapter, index) => ({
+    start: chapter.start,
+    end: index + 1 < starts.length ? starts[index + 1].start : (duration || null),
+    title: chapter.title
+  }));
+}
+
+/**
+ * Chapters from "0:00 Title" lines of a description, following YouTube's rules:
+ * the first run of increasing timestamps that starts at 0:00 is used, and none
+ * at all if it breaks the rules
+ */
+function parseDescriptionChapters(description, duration = null) {
+  if (!description) return [];
+
+  const lines = [];
+  for (const line of description.split(/\r?\n/)) {
+    const first = TIMESTAMP_FIRST.exec(line);
+    const last = first ? null : TIMESTAMP_LAST.exec(line);
+    const [time, title] = first ? [first[1], first[2]] : last ? [last[2], last[1]] : [];
+    const start = time ? parseTimestamp(time) : null;
+    if (start !== null && title) lines.push({ start, title });
+  }
+
+  const firstIndex = lines.findIndex(line => line.start === 0);
+  if (firstIndex === -1) return [];
+
+  const starts = [lines[firstIndex]];
+  for (const line of lines.slice(firstIndex + 1)) {
+    if (line.start <= starts[starts.length - 1].start) break;
+    starts.push(line);
+  }
+
+  const chapters = withEnds(starts, duration);
+  if (chapters.length < MIN_CHAPTERS) return [];
+  if (duration && chapters[chapters.length - 1].start >= duration) return [];
+  if (chapters.some(chapter => chapter.end !== null && chapter.end - chapter.start < MIN_CHAPTER_SECONDS)) return [];
+  return chapters;
+}
+
+/**
+ * Chapters from the chapters list of a yt-dlp info JSON
+ */
+function chaptersFromYtdlp(ytdlpChapters, duration = null) {
+  if (!Array.isArray(ytdlpChapters)) return [];
+
+  const starts = ytdlpChapters
+    .filter(chapter => chapter && Number.isFinite(chapter.start_time))
+    .map(chapter => ({ start: chapter.start_time, title: String(chapter.title || '').trim() }))
+    .sort((a, b) => a.start - b.start);
+  const chapters = withEnds(starts, duration);
+
+  // yt-dlp knows where the last chapter ends even without a duration
+  const lastEnd = ytdlpChapters[ytdlpChapters.length - 1]?.end_time;
+  if (chapters.length > 0 && chapters[chapters.length - 1].end === null && Number.isFinite(lastEnd)) {
+    chapters[chapters.length - 1].end = lastEnd;
+  }
+  return chapters;
+}
+
+/**
+ * Work out a video's chapters again from what is stored about it: yt-dlp's
+ * chapters when the video was downloaded, otherwise its description.
+ * Returns { chapters, source } (source ytdlp, description or null when there
+ * are none), or null if the video does not exist.
+ */
+async function refreshChapters(videoId, client = db) {
+  const result = await client.query(
+    `SELECT v.description, COALESCE(v.file_duration, v.duration) as duration,
+            r.ytdlp_info->'chapters' as ytdlp_chapters
+     FROM videos v
+     LEFT JOIN video_raw_metadata r ON r.video_id = v.id
+     WHERE v.id = $1`,
+    [videoId]
+  );
+  if (result.rows.length === 0) return null;
+
+  const { description, duration, ytdlp_chapters: ytdlpChapters } = result.rows[0];
+  let chapters = chaptersFromYtdlp(ytdlpChapters, duration);
+  let source = 'ytdlp';
+  if (chapters.length === 0) {
+    chapters = parseDescriptionChapters(description, duration);
+    source = chapters.length > 0 ? 'description' : null;
+  }
+
+  await client.query(
+    'UPDATE videos SET chapters = $2, chapters_source = $3 WHERE id = $1',
+    [videoId, JSON.stringify(chapters), source]
+  );
+  return { chapters, source };
+}
+
+module.exports = {
+  parseTimestamp,
+  parseDescriptionChapters,
+  chaptersFromYtdlp,
+  refreshChapters
+};
@@ -0,0 +1,608 @@
+const path = require('path');
+const db = require('../db');
+const { getProfileForChannel } = require('./quality-profiles');
+const { DEFAULT_PATH_TEMPLATE, renderPathTemplate } = require('./storage-layout');
+const { inspectDownload } = require('./integrity');
+const { refreshChapters } = require('./chapters');
+
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.DOWNLOAD_MAX_ATTEMPTS || '5');
+const DEFAULT_POLL_INTERVAL = parseInt(process.env.DOWNLOAD_POLL_INTERVAL || '5000'); // ms
+const DEFAULT_CONCURRENCY = parseInt(process.env.DOWNLOAD_CONCURRENCY || '2');
+const DEFAULT_PER_CHANNEL_CONCURRENCY = parseInt(process.env.DOWNLOAD_CONCURRENCY_PER_CHANNEL || '1');
+const DEFAULT_RATE_LIMIT = process.env.DOWNLOAD_RATE_LIMIT || ''; // e.g. 5M; empty = unlimited
+const MAX_CONCURRENCY = 16;
+// A download without progress for this long is reported as stalled
+const STALLED_AFTER_SECONDS = parseInt(process.env.DOWNLOAD_STALLED_AFTER || '120');
+// Subtitle languages for channels without their own setting; empty for none
+const DEFAULT_SUBTITLE_LANGUAGES = process.env.SUBTITLE_LANGUAGES ?? 'en';
+const BACKOFF_BASE_SECONDS = 60;
+const BACKOFF_MAX_SECONDS = 6 * 60 * 60;
+
+const RATE_UNITS = { '': 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3 };
+
+/**
+ * Parse a bandwidth limit such as 500K, 2.5M or a number of bytes/s.
+ * Returns bytes/s, null for unlimited, or undefined if the value is invalid.
+ */
+function parseRateLimit(value) {
+  if (value === null || value === undefined || value === '' || value === 0) return null;
+
+  const match = /^(\d+(?:\.\d+)?)\s*([KMG]?)(?:i?B)?(?:\/s)?$/i.exec(String(value).trim());
+  if (!match) return undefined;
+
+  const bytes = Math.floor(parseFloat(match[1]) * RATE_UNITS[match[2].toUpperCase()]);
+  return bytes > 0 ? bytes : undefined;
+}
+
+/**
+ * Whether a value is a valid worker count (0 pauses the queue)
+ */
+function isValidConcurrency(value, { allowZero = true } = {}) {
+  return Number.isInteger(value) && value >= (allowZero ? 0 : 1) && value <= MAX_CONCURRENCY;
+}
+
+class DownloadQueue {
+  constructor(downloader, mediaStore = null) {
+    this.downloader = downloader;
+    this.mediaStore = mediaStore;
+    this.maxAttempts = DEFAULT_MAX_ATTEMPTS;
+    this.pollInterval = DEFAULT_POLL_INTERVAL;
+    this.concurrency = DEFAULT_CONCURRENCY;
+    this.perChannelConcurrency = DEFAULT_PER_CHANNEL_CONCURRENCY;
+    this.rateLimit = parseRateLimit(DEFAULT_RATE_LIMIT) || null; // bytes/s shared by all workers
+    this.pathTemplate = DEFAULT_PATH_TEMPLATE;
+    this.running = false;
+    this.timer = null;
+    this.claiming = false;
+    this.claimAgain = false;
+    this.activeJobs = new Map(); // job id -> { job, controller, promise }
+    this.progress = new Map(); // video id -> latest progress of its running download
+  }
+
+  /**
+   * Add a video to the download queue.
+   * If the video already has an active job, its priority is raised instead.
+   */
+  async enqueue(videoId, channelId, { priority = 0 } = {}) {
+    await db.query(
+      `INSERT INTO download_jobs (video_id, channel_id, priority, max_attempts)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (video_id) WHERE status IN ('queued', 'running') DO UPDATE SET
+         priority = GREATEST(download_jobs.priority, EXCLUDED.priority)`,
+      [videoId, channelId, priority, this.maxAttempts]
+    );
+
+    await db.query(
+      `UPDATE videos SET download_status = 'pending'
+       WHERE id = $1 AND download_status NOT IN ('completed', 'downloading')`,
+      [videoId]
+    );
+  }
+
+  /**
+   * Start the worker pool
+   */
+  async start() {
+    if (this.running) return;
+
+    await this.loadSettings();
+    await this.recoverStaleJobs();
+
+    this.running = true;
+    console.log(
+      `Download queue started (${this.concurrency} workers, ${this.perChannelConcurrency} per channel, ` +
+      `rate limit ${this.rateLimit ? `${this.rateLimit} B/s` : 'none'}, poll interval ${this.pollInterval}ms)`
+    );
+    this.scheduleNext(0);
+  }
+
+  /**
+   * Stop the worker pool. Downloads in progress are aborted and their jobs
+   * put back in the queue without counting the attempt.
+   */
+  async stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const active = [...this.activeJobs.values()];
+    active.forEach(({ controller }) => controller.abort());
+    await Promise.all(active.map(({ promise }) => promise));
+
+    console.log('Download queue stopped');
+  }
+
+  scheduleNext(delay) {
+    if (!this.running) return;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  /**
+   * Claim jobs until every worker is busy, then wait for a worker to finish.
+   * Poll again later if the queue has nothing due.
+   */
+  async tick() {
+    this.timer = null;
+    if (this.claiming) {
+      this.claimAgain = true;
+      return;
+    }
+
+    this.claiming = true;
+    try {
+      while (this.running && this.activeJobs.size < this.concurrency) {
+        const job = await this.claimNextJob();
+        if (!job) break;
+        this.runJob(job);
+      }
+    } catch (error) {
+      console.error('Download queue error:', error);
+    } finally {
+      this.claiming = false;
+    }
+
+    if (this.claimAgain) {
+      this.claimAgain = false;
+      this.scheduleNext(0);
+    } else if (this.activeJobs.size < this.concurrency) {
+      this.scheduleNext(this.pollInterval);
+    }
+  }
+
+  /**
+   * Run a claimed job in the background; a finished worker looks for the next job
+   */
+  runJob(job) {
+    const controller = new AbortController();
+    const promise = this.processJob(job, controller.signal)
+      .catch(error => console.error('Download queue error:', error))
+      .finally(() => {
+        this.activeJobs.delete(job.id);
+        this.scheduleNext(0);
+      });
+
+    this.activeJobs.set(job.id, { job, controller, promise });
+  }
+
+  /**
+   * Load settings saved through the API, falling back to the environment
+   */
+  async loadSettings() {
+    try {
+      const result = await db.query('SELECT * FROM download_settings WHERE id = 1');
+      const saved = result.rows[0];
+      if (!saved) return;
+
+      this.concurrency = saved.concurrency ?? DEFAULT_CONCURRENCY;
+      this.perChannelConcurrency = saved.per_channel_concurrency ?? DEFAULT_PER_CHANNEL_CONCURRENCY;
+      this.rateLimit = saved.rate_limit_bytes !== null ? parseInt(saved.rate_limit_bytes) : null;
+      this.pathTemplate = saved.path_template || DEFAULT_PATH_TEMPLATE;
+    } catch (error) {
+      console.error('Error loading download settings:', error);
+    }
+  }
+
+  /**
+   * Current worker settings and activity
+   */
+  getSettings() {
+    return {
+      concurrency: this.concurrency,
+      perChannelConcurrency: this.perChannelConcurrency,
+      rateLimit: this.rateLimit,
+      perDownloadRateLimit: this.getPerDownloadRateLimit(),
+      pathTemplate: this.pathTemplate,
+      activeDownloads: this.activeJobs.size,
+      maxConcurrency: MAX_CONCURRENCY
+    };
+  }
+
+  /**
+   * Change worker settings at runtime and save them.
+   * Fewer workers take effect as running downloads finish; a new rate limit
+   * and path template apply to downloads started afterwards.
+   */
+  async updateSettings({ concurrency, perChannelConcurrency, rateLimit, pathTemplate }) {
+    if (concurrency !== undefined) this.concurrency = concurrency;
+    if (perChannelConcurrency !== undefined) this.perChannelConcurrency = perChannelConcurrency;
+    if (rateLimit !== undefined) this.rateLimit = rateLimit;
+    if (pathTemplate !== undefined) this.pathTemplate = pathTemplate || DEFAULT_PATH_TEMPLATE;
+
+    await db.query(
+      `INSERT INTO download_settings (id, concurrency, per_channel_concurrency, rate_limit_bytes, path_template)
+       VALUES (1, $1, $2, $3, $4)
+       ON CONFLICT (id) DO UPDATE SET
+         concurrency = EXCLUDED.concurrency,
+         per_channel_concurrency = EXCLUDED.per_channel_concurrency,
+         rate_limit_bytes = EXCLUDED.rate_limit_bytes,
+         path_template = EXCLUDED.path_template`,
+      [this.concurrency, this.perChannelConcurrency, this.rateLimit, this.pathTemplate]
+    );
+
+    console.log(
+      `Download settings changed: ${this.concurrency} workers, ${this.perChannelConcurrency} per channel, ` +
+      `rate limit ${this.rateLimit ? `${this.rateLimit} B/s` : 'none'}, path template ${this.pathTemplate}`
+    );
+
+    // More workers may be allowed now
+    this.scheduleNext(0);
+    return this.getSettings();
+  }
+
+  /**
+   * The bandwidth limit is shared evenly by the configured workers,
+   * so all downloads together stay under it
+   */
+  getPerDownloadRateLimit() {
+    if (!this.rateLimit) return null;
+    return Math.max(1, Math.floor(this.rateLimit / Math.max(1, this.concurrency)));
+  }
+
+  /**
+   * Re-queue jobs and videos left in a running state by a crash or restart
+   */
+  async recoverStaleJobs() {
+    try {
+      const jobs = await db.query(
+        `UPDATE download_jobs SET status = 'queued', run_after = CURRENT_TIMESTAMP
+         WHERE status = 'running'
+         RETURNING id`
+      );
+
+      // Videos stuck in 'downloading' without any active job (e.g. from before the queue existed)
+      const orphans = await db.query(
+        `INSERT INTO download_jobs (video_id, channel_id, max_attempts)
+         SELECT v.id, v.channel_id, $1
+         FROM videos v
+         WHERE v.download_status = 'downloading'
+           AND NOT EXISTS (
+             SELECT 1 FROM download_jobs j
+             WHERE j.video_id = v.id AND j.status IN ('queued', 'running')
+           )
+         RETURNING id`,
+        [this.maxAttempts]
+      );
+
+      await db.query(
+        `UPDATE videos SET download_status = 'pending' WHERE download_status = 'downloading'`
+      );
+
+      if (jobs.rowCount > 0 || orphans.rowCount > 0) {
+        console.log(`Recovered ${jobs.rowCount} interrupted jobs and ${orphans.rowCount} stuck videos`);
+      }
+    } catch (error) {
+      console.error('Error recovering stale download jobs:', error);
+    }
+  }
+
+  /**
+   * Atomically claim the highest-priority job that is due,
+   * skipping channels that already have their share of running downloads
+   */
+  async claimNextJob() {
+    const result = await db.query(
+      `UPDATE download_jobs SET
+         status = 'running',
+         attempts = attempts + 1,
+         started_at = CURRENT_TIMESTAMP
+       WHERE id = (
+         SELECT j.id FROM download_jobs j
+         LEFT JOIN channel c ON c.id = j.channel_id
+         WHERE j.status = 'queued' AND j.run_after <= CURRENT_TIMESTAMP
+           AND (
+             SELECT COUNT(*) FROM download_jobs r
+             WHERE r.channel_id = j.channel_id AND r.status = 'running'
+           ) < COALESCE(c.download_concurrency, $1)
+         ORDER BY j.priority DESC, j.created_at ASC
+         LIMIT 1
+         FOR UPDATE OF j SKIP LOCKED
+       )
+       RETURNING *`,
+      [this.perChannelConcurrency]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Record the subtitle tracks downloaded with a video
+   */
+  async saveSubtitles(videoId, subtitles) {
+    for (const subtitle of subtitles) {
+      await db.query(
+        `INSERT INTO video_subtitles (video_id, language, is_auto, file_path)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (video_id, language) DO UPDATE SET
+           is_auto = EXCLUDED.is_auto,
+           file_path = EXCLUDED.file_path`,
+        [videoId, subtitle.language, subtitle.isAuto, subtitle.filePath]
+      );
+    }
+  }
+
+  /**
+   * Keep the thumbnail yt-dlp downloaded in the media store; it is usually
+   * larger than the one from the API
+   */
+  async saveThumbnail(videoId, thumbnailPath) {
+    if (!this.mediaStore || !thumbnailPath) return;
+
+    const sha256 = await this.mediaStore.storeFile(thumbnailPath);
+    if (sha256) {
+      await db.query('UPDATE videos SET thumbnail_sha256 = $1 WHERE id = $2', [sha256, videoId]);
+    }
+  }
+
+  /**
+   * Keep the info JSON yt-dlp wrote for a download.
+   * An info JSON that cannot be stored is logged; the download still counts.
+   */
+  async saveYtdlpInfo(videoId, info) {
+    if (!info) return;
+
+    try {
+      await db.query(
+        `INSERT INTO video_raw_metadata (video_id, ytdlp_info, ytdlp_fetched_at)
+         VALUES ($1, $2, COALESCE(to_timestamp($3)::timestamp, CURRENT_TIMESTAMP))
+         ON CONFLICT (video_id) DO UPDATE SET
+           ytdlp_info = EXCLUDED.ytdlp_info,
+           ytdlp_fetched_at = EXCLUDED.ytdlp_fetched_at`,
+        [videoId, JSON.stringify(info), Number.isFinite(info.epoch) ? info.epoch : null]
+      );
+    } catch (error) {
+      console.error(`Error saving yt-dlp metadata for ${videoId}:`, error.message);
+    }
+  }
+
+  /**
+   * Run a claimed job and record its outcome
+   */
+  async processJob(job, signal = null) {
+    const videoResult = await db.query(
+      `SELECT v.id, v.channel_id, v.title, v.upload_date, v.download_status,
+              c.title as channel_title, c.subtitle_languages
+       FROM videos v
+       LEFT JOIN channel c ON v.channel_id = c.id
+       WHERE v.id = $1`,
+      [job.video_id]
+    );
+
+    if (videoResult.rows.length === 0) {
+      await this.markJobFailed(job, 'Video no longer exists', true);
+      return;
+    }
+
+    const video = videoResult.rows[0];
+
+    if (video.download_status === 'completed') {
+      await this.markJobCompleted(job);
+      return;
+    }
+
+    try {
+      await db.query(
+        'UPDATE videos SET download_status = $1 WHERE id = $2',
+        ['downloading', video.id]
+      );
+
+      const profile = await getProfileForChannel(video.channel_id);
+      const subtitleLanguages = (video.subtitle_languages ?? DEFAULT_SUBTITLE_LANGUAGES)
+        .split(',')
+        .map(language => language.trim())
+        .filter(Boolean);
+      this.progress.set(video.id, {
+        videoId: video.id,
+        jobId: job.id,
+        channelId: video.channel_id,
+        title: video.title,
+        downloadedBytes: 0,
+        totalBytes: null,
+        totalIsEstimate: false,
+        speed: null,
+        eta: null,
+        percent: null,
+        formatId: null,
+        startedAt: new Date(),
+        updatedAt: new Date()
+      });
+
+      const result = await this.downloader.downloadVideo(video.id, video.title, profile, {
+        outputName: renderPathTemplate(this.pathTemplate, video),
+        subtitleLanguages,
+        rateLimit: this.getPerDownloadRateLimit(),
+        signal,
+        onProgress: progress => this.updateProgress(video.id, progress)
+      });
+
+      if (result.aborted) {
+        await this.releaseJob(job);
+        console.log(`Download interrupted, re-queued: ${video.title}`);
+      } else if (result.success) {
+        // Only a file that exists and can be read counts as downloaded
+        const file = await inspectDownload(result.filePath);
+        const probe = file.probe || {};
+        await db.query(
+          `UPDATE videos SET
+             download_status = $1, file_path = $2, downloaded_at = CURRENT_TIMESTAMP,
+             quality_profile = $3, file_format = $4, video_height = $5, format_id = $6,
+             file_size_bytes = $7, file_sha256 = $8, file_duration = $9, video_codec = $10,
+             audio_codec = $11, video_width = $12, integrity_status = $13, integrity_checked_at = CURRENT_TIMESTAMP,
+             preview_status = 'pending'
+           WHERE id = $14`,
+          [
+            'completed', file.filePath, result.profile, path.extname(file.filePath).slice(1) || result.format,
+            probe.height ?? result.height, result.formatId, file.sizeBytes, file.sha256,
+            probe.duration ?? null, probe.videoCodec ?? null, probe.audioCodec ?? null, probe.width ?? null,
+            'ok', video.id
+          ]
+        );
+        await this.saveSubtitles(video.id, result.subtitles || []);
+        await this.saveThumbnail(video.id, result.thumbnailPath);
+        await this.saveYtdlpInfo(video.id, result.info);
+        await refreshChapters(video.id).catch(error => {
+          console.error(`Error saving chapters for ${video.id}:`, error.message);
+        });
+        await this.markJobCompleted(job);
+        console.log(`Successfully downloaded: ${video.title}`);
+      } else {
+        await this.markJobFailed(job, result.error);
+      }
+    } catch (error) {
+      await this.markJobFailed(job, error.message);
+    } finally {
+      this.progress.delete(video.id);
+    }
+  }
+
+  /**
+   * Record the latest progress reported by yt-dlp for a running download
+   */
+  updateProgress(videoId, progress) {
+    const current = this.progress.get(videoId);
+    if (!current) return;
+
+    // Video and audio are fetched one after the other; each reports its own size
+    this.progress.set(videoId, { ...current, ...progress, updatedAt: new Date() });
+  }
+
+  /**
+   * Progress of running downloads, optionally for one channel
+   */
+  getProgress(channelId = null) {
+    const now = Date.now();
+    return [...this.progress.values()]
+      .filter(progress => !channelId || progress.channelId === channelId)
+      .map(progress => ({
+        ...progress,
+        stalled: now - progress.updatedAt.getTime() > STALLED_AFTER_SECONDS * 1000
+      }));
+  }
+
+  /**
+   * Put an interrupted job back in the queue without counting the attempt
+   */
+  async releaseJob(job) {
+    await db.query(
+      `UPDATE download_jobs SET status = 'queued', attempts = GREATEST(attempts - 1, 0), run_after = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [job.id]
+    );
+    await db.query(
+      'UPDATE videos SET download_status = $1 WHERE id = $2',
+      ['pending', job.video_id]
+    );
+  }
+
+  async markJobCompleted(job) {
+    await db.query(
+      `UPDATE download_jobs SET status = 'completed', last_error = NULL, completed_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [job.id]
+    );
+  }
+
+  /**
+   * Record a failed attempt: retry with exponential backoff,
+   * or give up once max_attempts is reached
+   */
+  async markJobFailed(job, errorMessage, permanent = false) {
+    const exhausted = permanent || job.attempts >= job.max_attempts;
+
+    if (exhausted) {
+      await db.query(
+        `UPDATE download_jobs SET status = 'failed', last_error = $1, completed_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [errorMessage, job.id]
+      );
+      await db.query(
+        'UPDATE videos SET download_status = $1 WHERE id = $2',
+        ['failed', job.video_id]
+      );
+      console.error(`Download failed permanently for ${job.video_id} after ${job.attempts} attempts: ${errorMessage}`);
+      return;
+    }
+
+    const delaySeconds = this.getBackoffSeconds(job.attempts);
+
+    await db.query(
+      `UPDATE download_jobs SET
+         status = 'queued',
+         last_error = $1,
+         run_after = CURRENT_TIMESTAMP + ($2::int * INTERVAL '1 second')
+       WHERE id = $3`,
+      [errorMessage, delaySeconds, job.id]
+    );
+    await db.query(
+      'UPDATE videos SET download_status = $1 WHERE id = $2',
+      ['pending', job.video_id]
+    );
+    console.warn(`Download attempt ${job.attempts} failed for ${job.video_id}, retrying in ${delaySeconds}s`);
+  }
+
+  /**
+   * Exponential backoff: 1m, 2m, 4m, ... capped at 6h
+   */
+  getBackoffSeconds(attempts) {
+    return Math.min(BACKOFF_BASE_SECONDS * Math.pow(2, attempts - 1), BACKOFF_MAX_SECONDS);
+  }
+
+  /**
+   * Put failed jobs back in the queue with a fresh set of attempts
+   */
+  async retryFailed(videoId = null) {
+    const params = [];
+    let filter = '';
+
+    if (videoId) {
+      filter = ' AND f.video_id = $1';
+      params.push(videoId);
+    }
+
+    const result = await db.query(
+      `UPDATE download_jobs SET status = 'queued', attempts = 0, run_after = CURRENT_TIMESTAMP
+       WHERE id IN (
+         SELECT DISTINCT ON (f.video_id) f.id
+         FROM download_jobs f
+         WHERE f.status = 'failed'${filter}
+           AND NOT EXISTS (
+             SELECT 1 FROM download_jobs active
+             WHERE active.video_id = f.video_id AND active.status IN ('queued', 'running')
+           )
+         ORDER BY f.video_id, f.created_at DESC
+       )
+       RETURNING video_id`,
+      params
+    );
+
+    if (result.rows.length > 0) {
+      await db.query(
+        `UPDATE videos SET download_status = 'pending' WHERE id = ANY($1)`,
+        [result.rows.map(row => row.video_id)]
+      );
+    }
+
+    return result.rows.length;
+  }
+
+  /**
+   * Queue counts grouped by status
+   */
+  async getStats() {
+    const result = await db.query(
+      `SELECT status, COUNT(*) as count FROM download_jobs GROUP BY status`
+    );
+
+    const stats = { queued: 0, running: 0, completed: 0, failed: 0 };
+    for (const row of result.rows) {
+      stats[row.status] = parseInt(row.count);
+    }
+    return stats;
+  }
+}
+
+module.exports = DownloadQueue;
+module.exports.parseRateLimit = parseRateLimit;
+module.exports.isValidConcurrency = isValidConcurrency;
@@ -2,9 +2,228 @@ const youtubedl = require('youtube-dl-exec');
 const path = require('path');
 const fs = require('fs').promises;
 
+// A different yt-dlp binary (e.g. the offline stand-in) can be used via YTDLP_PATH
+const ytdlp = process.env.YTDLP_PATH ? youtubedl.create(process.env.YTDLP_PATH) : youtubedl;
+
+// Extensions a downloaded video or audio file can have, depending on the quality profile
+const MEDIA_EXTENSIONS = ['.mp4', '.mkv', '.webm', '.m4a', '.mp3', '.opus'];
+// Thumbnails are saved in whatever format YouTube serves them
+const THUMBNAIL_EXTENSIONS = ['.webp', '.jpg', '.png'];
+
+// Printed by yt-dlp once the final file is in place, so the real path and format are known
+const RESULT_PREFIX = 'archiver-result:';
+const RESULT_TEMPLATE = `after_move:${RESULT_PREFIX}%(height)s|%(ext)s|%(format_id)s|%(filepath)s`;
+const SUBTITLES_PREFIX = 'archiver-subtitles:';
+const SUBTITLES_TEMPLATE = `after_move:${SUBTITLES_PREFIX}%(requested_subtitles)j`;
+
+// One line per progress update, so downloads can be followed while they run
+const PROGRESS_PREFIX = 'archiver-progress:';
+const PROGRESS_TEMPLATE = `download:${PROGRESS_PREFIX}` +
+  '%(progress.downloaded_bytes)s|%(progress.total_bytes)s|%(progress.total_bytes_estimate)s|' +
+  '%(progress.speed)s|%(progress.eta)s|%(info.format_id)s';
+
+const DEFAULT_PROFILE = { name: 'default', max_height: null, container: 'mp4', video_codec: null, audio_only: false, audio_format: 'm4a' };
+
+/**
+ * yt-dlp format options for a quality profile.
+ * Falls back from the preferred codec to any codec, then to a single
+ * pre-merged file, always within the height cap.
+ */
+function buildFormatOptions(profile = DEFAULT_PROFILE) {
+  if (profile.audio_only) {
+    const audioFormat = profile.audio_format || 'm4a';
+    return {
+      format: `bestaudio[ext=${audioFormat}]/bestaudio/best`,
+      extractAudio: true,
+      audioFormat
+    };
+  }
+
+  const container = profile.container || 'mp4';
+  const height = profile.max_height ? `[height<=${profile.max_height}]` : '';
+  const codec = profile.video_codec ? `[vcodec^=${profile.video_codec}]` : '';
+  // mp4 is the only container where matching stream extensions avoid a re-mux
+  const videoExt = container === 'mp4' ? '[ext=mp4]' : '';
+  const audioExt = container === 'mp4' ? '[ext=m4a]' : '';
+
+  const formats = [
+    `bestvideo${height}${codec}${videoExt}+bestaudio${audioExt}`,
+    `bestvideo${height}${videoExt}+bestaudio${audioExt}`,
+    `best${height}${videoExt}`,
+    `best${height}`
+  ];
+
+  return {
+    format: [...new Set(formats)].join('/'),
+    mergeOutputFormat: container
+  };
+}
+
+/**
+ * Parse a progress line printed via PROGRESS_TEMPLATE.
+ * Sizes are in bytes, speed in bytes/s and eta in seconds; unknown values are null.
+ */
+function parseProgressLine(line) {
+  if (!line.startsWith(PROGRESS_PREFIX)) return null;
+
+  const number = value => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : null;
+  };
+  const [downloaded, total, estimate, speed, eta, formatId] = line.slice(PROGRESS_PREFIX.length).split('|');
+
+  const downloadedBytes = number(downloaded);
+  const totalBytes = number(total) ?? number(estimate);
+  return {
+    downloadedBytes,
+    totalBytes: totalBytes !== null ? Math.round(totalBytes) : null,
+    totalIsEstimate: number(total) === null && totalBytes !== null,
+    speed: number(speed),
+    eta: number(eta),
+    percent: downloadedBytes !== null && totalBytes ? Math.min(100, (downloadedBytes / totalBytes) * 100) : null,
+    formatId: formatId && formatId.trim() !== 'NA' ? formatId.trim() : null
+  };
+}
+
+/**
+ * Run yt-dlp, calling onLine for each line of output as it arrives.
+ * Resolves with the full output; rejects with yt-dlp's error output.
+ */
+function runYtdlp(url, flags, { signal = null, onLine = null } = {}) {
+  const subprocess = ytdlp.exec(url, flags, signal ? { signal } : undefined);
+  const stderr = [];
+  let pending = '';
+
+  subprocess.stdout.on('data', data => {
+    if (!onLine) return;
+    const lines = (pending + data.toString()).split('\n');
+    pending = lines.pop();
+    lines.forEach(line => onLine(line.trim()));
+  });
+  subprocess.stderr.on('data', data => stderr.push(data));
+
+  return subprocess.then(
+    child => child.stdout,
+    error => {
+      const message = Buffer.concat(stderr).toString().trim();
+      throw new Error(message || error.message);
+    }
+  );
+}
+
+/**
+ * yt-dlp subtitle options; no subtitles are fetched for an empty language list
+ */
+function buildSubtitleOptions(languages) {
+  if (!languages || languages.length === 0) return {};
+
+  return {
+    writeSubs: true,
+    writeAutoSubs: true,
+    subLangs: languages.join(','),
+    subFormat: 'vtt/best',
+    convertSubs: 'vtt'
+  };
+}
+
+/**
+ * Parse the line printed via RESULT_TEMPLATE from yt-dlp's output
+ */
+function parseDownloadResult(output) {
+  const line = String(output || '')
+    .split('\n')
+    .reverse()
+    .find(l => l.startsWith(RESULT_PREFIX));
+  if (!line) return null;
+
+  const [height, ext, formatId, ...filePath] = line.slice(RESULT_PREFIX.length).split('|');
+  return {
+    height: /^\d+$/.test(height) ? parseInt(height) : null,
+    format: ext && ext !== 'NA' ? ext : null,
+    formatId: formatId && formatId !== 'NA' ? formatId : null,
+    filePath: filePath.join('|').trim() || null
+  };
+}
+
+/**
+ * Subtitle tracks yt-dlp wrote next to the video file.
+ * Tracks are named <video file without extension>.<language>.vtt; automatic
+ * captions are told apart by their speech-recognition or translation URL.
+ */
+async function findDownloadedSubtitles(output, videoFilePath) {
+  const line = String(output || '')
+    .split('\n')
+    .reverse()
+    .find(l => l.startsWith(SUBTITLES_PREFIX));
+  if (!line || !videoFilePath) return [];
+
+  let requested;
+  try {
+    requested = JSON.parse(line.slice(SUBTITLES_PREFIX.length));
+  } catch (error) {
+    return [];
+  }
+  if (!requested) return [];
+
+  const basePath = videoFilePath.slice(0, videoFilePath.length - path.extname(videoFilePath).length);
+  const subtitles = [];
+
+  for (const [language, track] of Object.entries(requested)) {
+    const filePath = `${basePath}.${language}.vtt`;
+    try {
+      await fs.access(filePath);
+    } catch (error) {
+      continue; // not available as WebVTT, or failed to download
+    }
+    subtitles.push({
+      language,
+      isAuto: /[?&](kind=asr|tlang=)/.test(track?.url || ''),
+      filePath
+    });
+  }
+
+  return subtitles;
+}
+
+/**
+ * Thumbnail yt-dlp wrote next to the video file (writeThumbnail), or null
+ */
+async function findDownloadedThumbnail(videoFilePath) {
+  if (!videoFilePath) return null;
+
+  const basePath = videoFilePath.slice(0, videoFilePath.length - path.extname(videoFilePath).length);
+  for (const ext of THUMBNAIL_EXTENSIONS) {
+    try {
+      await fs.access(`${basePath}${ext}`);
+      return `${basePath}${ext}`;
+    } catch (error) {
+      // try the next extension
+    }
+  }
+  return null;
+}
+
+/**
+ * Info JSON yt-dlp wrote next to the video file (writeInfoJson), parsed, or null
+ */
+async function readDownloadedInfo(videoFilePath) {
+  if (!videoFilePath) return null;
+
+  const basePath = videoFilePath.slice(0, videoFilePath.length - path.extname(videoFilePath).length);
+  try {
+    return JSON.parse(await fs.readFile(`${basePath}.info.json`, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Error reading info JSON of ${videoFilePath}:`, error.message);
+    }
+    return null;
+  }
+}
+
 class VideoDownloader {
   constructor(outputDir = '/data/videos') {
     this.outputDir = outputDir;
+    this.watchBaseUrl = process.env.YOUTUBE_WATCH_BASE_URL || 'https://www.youtube.com';
   }
 
   /**
@@ -20,42 +239,84 @@ class VideoDownloader {
   }
 
   /**
-   * Download a single video
+   * Download a single video using a quality profile, along with uploaded and
+   * automatic subtitles in the given languages (as WebVTT).
+   * outputName is the file's path in the output directory without extension
+   * (default <videoId>-<title>).
+   * rateLimit caps the download in bytes/s; aborting signal stops yt-dlp.
+   * onProgress receives bytes downloaded, total size, speed and ETA as they change.
    */
-  async downloadVideo(videoId, videoTitle) {
+  async downloadVideo(videoId, videoTitle, profile = DEFAULT_PROFILE, {
+    outputName = null,
+    subtitleLanguages = [],
+    rateLimit = null,
+    signal = null,
+    onProgress = null
+  } = {}) {
     await this.ensureOutputDir();
 
-    const url = `https://www.youtube.com/watch?v=${videoId}`;
-    const sanitizedTitle = this.sanitizeFilename(videoTitle);
-    const outputTemplate = path.join(this.outputDir, `${videoId}-${sanitizedTitle}.%(ext)s`);
+    const url = `${this.watchBaseUrl}/watch?v=${videoId}`;
+    const outputBase = path.join(this.outputDir, outputName || `${videoId}-${this.sanitizeFilename(videoTitle)}`);
+    // % starts a field in yt-dlp output templates
+    const outputTemplate = `${outputBase.replace(/%/g, '%%')}.%(ext)s`;
 
-    console.log(`Starting download for: ${videoTitle} (${videoId})`);
+    console.log(`Starting download for: ${videoTitle} (${videoId}) [${profile.name}]`);
 
     try {
-      const result = await youtubedl(url, {
+      const output = await runYtdlp(url, {
         output: outputTemplate,
-        format: 'bestvideo[ext=mp4]+bestaudio[ext=m4a]/best[ext=mp4]/best',
-        mergeOutputFormat: 'mp4',
-        writeInfoJson: false,
+        ...buildFormatOptions(profile),
+        ...buildSubtitleOptions(subtitleLanguages),
+        print: [RESULT_TEMPLATE, SUBTITLES_TEMPLATE],
+        // --print implies --quiet; keep progress lines, one per update
+        progress: true,
+        newline: true,
+        progressTemplate: PROGRESS_TEMPLATE,
+        ...(rateLimit ? { limitRate: String(rateLimit) } : {}),
+        writeInfoJson: true,
         writeThumbnail: true,
         embedThumbnail: false,
         noPlaylist: true,
         noWarnings: true,
         preferFreeFormats: false,
         addMetadata: true,
+      }, {
+        signal,
+        onLine: line => {
+          const progress = onProgress && parseProgressLine(line);
+          if (progress) onProgress(progress);
+        }
       });
 
-      // Construct the actual file path
-      const filePath = path.join(this.outputDir, `${videoId}-${sanitizedTitle}.mp4`);
+      // yt-dlp reports the final path; older versions without --print fall back to the template
+      const downloaded = parseDownloadResult(output) || {};
+      const format = downloaded.format || (profile.audio_only ? profile.audio_format : profile.container) || 'mp4';
+      const filePath = downloaded.filePath || `${outputBase}.${format}`;
+
+      const subtitles = await findDownloadedSubtitles(output, filePath);
+      const thumbnailPath = await findDownloadedThumbnail(filePath);
+      const info = await readDownloadedInfo(filePath);
 
       console.log(`Download completed: ${videoTitle}`);
 
       return {
         success: true,
         filePath: filePath,
-        videoId: videoId
+        videoId: videoId,
+        profile: profile.name,
+        format: path.extname(filePath).slice(1) || format,
+        height: profile.audio_only ? null : downloaded.height ?? null,
+        formatId: downloaded.formatId ?? null,
+        subtitles,
+        thumbnailPath,
+        info
       };
     } catch (error) {
+      if (signal && signal.aborted) {
+        console.log(`Download aborted: ${videoTitle}`);
+        return { success: false, aborted: true, error: 'Download aborted', videoId: videoId };
+      }
+
       console.error(`Error downloading video ${videoId}:`, error.message);
       return {
         success: false,
@@ -66,60 +327,38 @@ class VideoDownloader {
   }
 
   /**
-   * Download multiple videos with progress tracking
+   * Download multiple videos with progress tracking, several at a time.
+   * Results are returned in the order of the videos.
    */
-  async downloadVideos(videos, onProgress = null) {
-    const results = [];
-
-    for (let i = 0; i < videos.length; i++) {
-      const video = videos[i];
-      const result = await this.downloadVideo(video.id, video.title);
-      results.push(result);
-
-      if (onProgress) {
-        onProgress({
-          current: i + 1,
-          total: videos.length,
-          video: video,
-          result: result
-        });
-      }
+  async downloadVideos(videos, onProgress = null, { concurrency = 1, rateLimit = null } = {}) {
+    const results = new Array(videos.length);
+    const workers = Math.max(1, Math.min(concurrency, videos.length));
+    // Share the bandwidth limit between the parallel downloads
+    const perDownloadRateLimit = rateLimit ? Math.max(1, Math.floor(rateLimit / workers)) : null;
+    let next = 0;
+    let completed = 0;
 
-      // Small delay between downloads to be respectful
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
-
-    return results;
-  }
-
-  /**
-   * Check if a video file exists
-   */
-  async videoExists(videoId) {
-    try {
-      const files = await fs.readdir(this.outputDir);
-      return files.some(file => file.startsWith(videoId));
-    } catch (error) {
-      return false;
-    }
-  }
+    const worker = async () => {
+      while (next < videos.length) {
+        const index = next++;
+        const video = videos[index];
+        const result = await this.downloadVideo(video.id, video.title, DEFAULT_PROFILE, { rateLimit: perDownloadRateLimit });
+        results[index] = result;
+        completed++;
 
-  /**
-   * Get the file path for a downloaded video
-   */
-  async getVideoFilePath(videoId) {
-    try {
-      const files = await fs.readdir(this.outputDir);
-      const videoFile = files.find(file => file.startsWith(videoId) && file.endsWith('.mp4'));
-
-      if (videoFile) {
-        return path.join(this.outputDir, videoFile);
+        if (onProgress) {
+          onProgress({
+            current: completed,
+            total: videos.length,
+            video: video,
+            result: result
+          });
+        }
       }
-      return null;
-    } catch (error) {
-      console.error('Error finding video file:', error);
-      return null;
-    }
+    };
+
+    await Promise.all(Array.from({ length: workers }, worker));
+    return results;
   }
 
   /**
@@ -131,35 +370,9 @@ class VideoDownloader {
       .replace(/\s+/g, '_') // Replace spaces with underscores
       .substring(0, 100); // Limit length
   }
-
-  /**
-   * Get disk usage statistics
-   */
-  async getStorageStats() {
-    try {
-      const files = await fs.readdir(this.outputDir);
-      let totalSize = 0;
-      let videoCount = 0;
-
-      for (const file of files) {
-        if (file.endsWith('.mp4')) {
-          const filePath = path.join(this.outputDir, file);
-          const stats = await fs.stat(filePath);
-          totalSize += stats.size;
-          videoCount++;
-        }
-      }
-
-      return {
-        videoCount,
-        totalSizeBytes: totalSize,
-        totalSizeGB: (totalSize / (1024 ** 3)).toFixed(2)
-      };
-    } catch (error) {
-      console.error('Error getting storage stats:', error);
-      return { videoCount: 0, totalSizeBytes: 0, totalSizeGB: 0 };
-    }
-  }
 }
 
 module.exports = VideoDownloader;
+module.exports.buildFormatOptions = buildFormatOptions;
+module.exports.MEDIA_EXTENSIONS = MEDIA_EXTENSIONS;
+module.exports.THUMBNAIL_EXTENSIONS = THUMBNAIL_EXTENSIONS;
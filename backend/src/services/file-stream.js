@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+
+const CONTENT_TYPES = {
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.m4a': 'audio/mp4',
+  '.webm': 'video/webm',
+  '.mkv': 'video/x-matroska',
+  '.mp3': 'audio/mpeg',
+  '.opus': 'audio/ogg', // yt-dlp writes Opus audio in an Ogg container
+  '.ogg': 'audio/ogg',
+  '.ts': 'video/mp2t',
+  '.vtt': 'text/vtt; charset=utf-8',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.json': 'application/json'
+};
+// Containers that hold video or audio; audio-only files get the audio type
+const AUDIO_CONTENT_TYPES = {
+  '.mp4': 'audio/mp4',
+  '.webm': 'audio/webm',
+  '.mkv': 'audio/x-matroska'
+};
+
+/**
+ * Content type of a media file from its extension.
+ * With audioOnly, containers that can hold either get their audio type.
+ */
+function contentTypeForFile(filePath, { audioOnly = false } = {}) {
+  const ext = path.extname(filePath).toLowerCase();
+  return (audioOnly && AUDIO_CONTENT_TYPES[ext]) || CONTENT_TYPES[ext] || 'application/octet-stream';
+}
+
+/**
+ * Strong entity tag from a file's size and modification time
+ */
+function entityTag(stats) {
+  return `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+}
+
+/**
+ * Parse a Range header against a file size.
+ * Returns { start, end } for a single satisfiable range, { unsatisfiable: true }
+ * for a range past the end of the file, and null when the header should be
+ * ignored and the whole file sent (missing, malformed or several ranges).
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!match || (!match[1] && !match[2])) return null;
+
+  // Suffix range: the last N bytes
+  if (!match[1]) {
+    const length = parseInt(match[2], 10);
+    if (length === 0 || size === 0) return { unsatisfiable: true };
+    return { start: Math.max(0, size - length), end: size - 1 };
+  }
+
+  const start = parseInt(match[1], 10);
+  const last = match[2] ? parseInt(match[2], 10) : null;
+  if (last !== null && last < start) return null;
+  if (start >= size) return { unsatisfiable: true };
+  return { start, end: last === null ? size - 1 : Math.min(last, size - 1) };
+}
+
+/**
+ * Whether the client's cached copy is current (If-None-Match, or else If-Modified-Since)
+ */
+function isNotModified(req, etag, modifiedAt) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    // Weak comparison, as for caching
+    return ifNoneMatch.trim() === '*' ||
+      ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(etag);
+  }
+
+  const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+  return !isNaN(ifModifiedSince) && Math.floor(modifiedAt / 1000) * 1000 <= ifModifiedSince;
+}
+
+/**
+ * Whether a Range request still applies to the file (If-Range).
+ * The range is only honoured when the validator matches exactly; otherwise
+ * the client gets the whole, changed file.
+ */
+function isRangeCurrent(req, etag, modifiedAt) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+
+  const value = ifRange.trim();
+  if (value.startsWith('"')) return value === etag;
+  if (value.startsWith('W/')) return false; // weak tags never match for ranges
+  return Date.parse(value) === Math.floor(modifiedAt / 1000) * 1000;
+}
+
+/**
+ * Send a file with support for HEAD, conditional requests (If-None-Match,
+ * If-Modified-Since), byte ranges including suffix ranges, If-Range and
+ * 416 responses. Returns false without responding if the file does not exist,
+ * so the caller can answer with its own 404.
+ * etag replaces the tag derived from size and modification time.
+ */
+async function streamFile(req, res, filePath, { contentType = null, cacheControl = null, etag = null } = {}) {
+  let stats;
+  try {
+    stats = await fs.promises.stat(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return false;
+    throw error;
+  }
+  if (!stats.isFile()) return false;
+
+  const tag = etag || entityTag(stats);
+  res.set({
+    'Content-Type': contentType || contentTypeForFile(filePath),
+    'Accept-Ranges': 'bytes',
+    'ETag': tag,
+    'Last-Modified': stats.mtime.toUTCString()
+  });
+  if (cacheControl) res.set('Cache-Control', cacheControl);
+
+  if (isNotModified(req, tag, stats.mtimeMs)) {
+    res.status(304).end();
+    return true;
+  }
+
+  const range = req.headers.range && isRangeCurrent(req, tag, stats.mtimeMs)
+    ? parseRange(req.headers.range, stats.size)
+    : null;
+
+  if (range && range.unsatisfiable) {
+    res.set('Content-Range', `bytes */${stats.size}`);
+    res.status(416).end();
+    return true;
+  }
+
+  if (range) {
+    res.status(206).set({
+      'Content-Range': `bytes ${range.start}-${range.end}/${stats.size}`,
+      'Content-Length': range.end - range.start + 1
+    });
+  } else {
+    res.status(200).set('Content-Length', stats.size);
+  }
+
+  if (req.method === 'HEAD' || stats.size === 0) {
+    res.end();
+    return true;
+  }
+
+  const stream = fs.createReadStream(filePath, range ? { start: range.start, end: range.end } : {});
+  stream.on('error', error => {
+    console.error(`Error reading ${filePath}:`, error.message);
+    res.destroy(error);
+  });
+  // Stop reading when the client goes away, e.g. when a player seeks
+  res.on('close', () => stream.destroy());
+  stream.pipe(res);
+  return true;
+}
+
+module.exports = {
+  contentTypeForFile,
+  parseRange,
+  streamFile
+};
@@ -0,0 +1,453 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { constants } = require('fs');
+const db = require('../db');
+const { renderPathTemplate, moveFile } = require('./storage-layout');
+const { locateDownloadedFile, inspectDownload } = require('./integrity');
+const { INTERMEDIATE_FILE } = require('./reconcile');
+const { THUMBNAIL_EXTENSIONS } = require('./downloader');
+const { refreshChapters } = require('./chapters');
+
+// Directory scanned when no other source is given
+const IMPORT_SOURCE_PATH = process.env.IMPORT_SOURCE_PATH || '/data/import';
+// move: files leave the source directory; copy: the source is left untouched;
+// link: hard links, so files take no extra space (same file system only)
+const IMPORT_MODES = ['move', 'copy', 'link'];
+const INFO_JSON_SUFFIX = '.info.json';
+
+/**
+ * Upload time of a video from its info JSON: the exact timestamp when
+ * yt-dlp recorded one, otherwise the upload day (YYYYMMDD)
+ */
+function parseUploadDate(info) {
+  if (Number.isFinite(info.timestamp)) {
+    return new Date(info.timestamp * 1000);
+  }
+
+  const match = /^(\d{4})(\d{2})(\d{2})$/.exec(String(info.upload_date || ''));
+  return match ? new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]))) : null;
+}
+
+/**
+ * Video and channel metadata from a yt-dlp info JSON.
+ * Throws if the file does not describe a single YouTube video that can be archived.
+ */
+function videoFromInfo(info) {
+  if (!info || typeof info !== 'object' || Array.isArray(info)) {
+    throw new Error('Not a yt-dlp info JSON');
+  }
+  if (info._type && info._type !== 'video') {
+    throw new Error(`Describes a ${info._type}, not a video`);
+  }
+  if (info.extractor_key && info.extractor_key !== 'Youtube') {
+    throw new Error(`Not a YouTube video (${info.extractor_key})`);
+  }
+  if (!info.id || !info.title) throw new Error('No video ID or title');
+  if (!info.channel_id) throw new Error('No channel ID');
+
+  const uploadDate = parseUploadDate(info);
+  if (!uploadDate) throw new Error('No upload date');
+
+  const count = value => (Number.isFinite(value) ? value : null);
+  return {
+    id: String(info.id),
+    title: info.title,
+    description: info.description || null,
+    uploadDate,
+    duration: Number.isFinite(info.duration) ? Math.round(info.duration) : null,
+    viewCount: count(info.view_count) ?? 0,
+    likeCount: count(info.like_count) ?? 0,
+    commentCount: count(info.comment_count) ?? 0,
+    thumbnailUrl: info.thumbnail || null,
+    tags: Array.isArray(info.tags) ? info.tags : [],
+    privacyStatus: ['public', 'unlisted', 'private'].includes(info.availability) ? info.availability : null,
+    formatId: info.format_id || null,
+    height: count(info.height),
+    channel: {
+      id: info.channel_id,
+      title: info.channel || info.uploader || info.channel_id,
+      // Newer yt-dlp versions report the @handle as uploader_id
+      customUrl: String(info.uploader_id || '').startsWith('@') ? info.uploader_id : null,
+      subscriberCount: count(info.channel_follower_count)
+    },
+    subtitleLanguages: Object.keys(info.subtitles || {}),
+    automaticCaptionLanguages: Object.keys(info.automatic_captions || {})
+  };
+}
+
+/**
+ * Copy, hard-link or move a file to a path that does not exist yet
+ */
+async function placeFile(from, to, mode) {
+  await fs.mkdir(path.dirname(to), { recursive: true });
+
+  if (mode === 'copy') {
+    await fs.copyFile(from, to, constants.COPYFILE_EXCL);
+  } else if (mode === 'link') {
+    try {
+      await fs.link(from, to);
+    } catch (error) {
+      if (error.code === 'EXDEV') {
+        throw new Error('Cannot hard-link across file systems, import with copy or move instead');
+      }
+      throw error;
+    }
+  } else {
+    await moveFile(from, to);
+  }
+}
+
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Imports videos downloaded with yt-dlp outside the archiver, from their
+ * .info.json files. Channels and videos are created from the info JSON alone,
+ * so no API quota is used; the video file and the files written next to it
+ * (subtitles, thumbnail, the info JSON itself) are placed where the path
+ * template puts them. Each video is imported in its own transaction, like a
+ * relocation: if anything fails, the database is left unchanged and placed
+ * files are removed or moved back.
+ */
+class LibraryImporter {
+  constructor(storageDir, mediaStore) {
+    this.storageDir = storageDir;
+    this.mediaStore = mediaStore;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Info JSON files under a directory, recursively; hidden directories are skipped
+   */
+  async listInfoFiles(dir, files = []) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await this.listInfoFiles(entryPath, files);
+      } else if (entry.isFile() && entry.name.endsWith(INFO_JSON_SUFFIX)) {
+        files.push(entryPath);
+      }
+    }
+    return files.sort();
+  }
+
+  /**
+   * Files yt-dlp wrote for one video: everything in the info JSON's directory
+   * with the same base name, except partial and intermediate downloads
+   */
+  async findVideoFiles(basePath, listings) {
+    const dir = path.dirname(basePath);
+    const baseName = path.basename(basePath);
+    if (!listings.has(dir)) {
+      listings.set(dir, await fs.readdir(dir));
+    }
+
+    return listings.get(dir)
+      .filter(entry => entry.startsWith(`${baseName}.`))
+      .filter(entry => !/\.(part|ytdl)$/i.test(entry) && !INTERMEDIATE_FILE.test(entry))
+      .map(entry => ({ from: path.join(dir, entry), suffix: entry.slice(baseName.length) }));
+  }
+
+  /**
+   * Work out which videos would be imported where, without changing anything
+   */
+  async plan(sourceDir, pathTemplate) {
+    const infoFiles = await this.listInfoFiles(sourceDir);
+    const candidates = [];
+    const skipped = [];
+
+    for (const infoPath of infoFiles) {
+      try {
+        const video = videoFromInfo(JSON.parse(await fs.readFile(infoPath, 'utf8')));
+        candidates.push({ infoPath, video });
+      } catch (error) {
+        skipped.push({ infoPath, videoId: null, reason: error instanceof SyntaxError ? 'Invalid JSON' : error.message });
+      }
+    }
+
+    const archived = await db.query(
+      'SELECT id, download_status, file_path FROM videos WHERE id = ANY($1)',
+      [candidates.map(candidate => candidate.video.id)]
+    );
+    const archivedById = new Map(archived.rows.map(row => [row.id, row]));
+
+    const imports = [];
+    const seenIds = new Set();
+    const claimedTargets = new Set();
+    const listings = new Map();
+
+    for (const { infoPath, video } of candidates) {
+      const skip = reason => skipped.push({ infoPath, videoId: video.id, title: video.title, reason });
+
+      if (seenIds.has(video.id)) {
+        skip('Another copy of this video is imported');
+        continue;
+      }
+      const existing = archivedById.get(video.id);
+      if (existing?.download_status === 'downloading') {
+        skip('Video is being downloaded');
+        continue;
+      }
+      if (existing?.download_status === 'completed' && await fileExists(existing.file_path)) {
+        skip('Already archived');
+        continue;
+      }
+
+      const basePath = infoPath.slice(0, -INFO_JSON_SUFFIX.length);
+      const filePath = await locateDownloadedFile(`${basePath}.mp4`);
+      if (!filePath) {
+        skip('No video file next to the info JSON');
+        continue;
+      }
+
+      const targetBase = path.join(this.storageDir, renderPathTemplate(pathTemplate, {
+        id: video.id,
+        title: video.title,
+        upload_date: video.uploadDate,
+        channel_id: video.channel.id,
+        channel_title: video.channel.title
+      }));
+      const files = (await this.findVideoFiles(basePath, listings))
+        .map(file => ({ ...file, to: `${targetBase}${file.suffix}` }));
+
+      const conflict = [];
+      for (const file of files) {
+        if (file.from !== file.to && (claimedTargets.has(file.to) || await fileExists(file.to))) {
+          conflict.push(file.to);
+        }
+      }
+      if (conflict.length > 0) {
+        skip(`Target already exists: ${conflict[0]}`);
+        continue;
+      }
+
+      seenIds.add(video.id);
+      files.forEach(file => claimedTargets.add(file.to));
+      imports.push({
+        videoId: video.id,
+        title: video.title,
+        channelId: video.channel.id,
+        from: filePath,
+        to: `${targetBase}${path.extname(filePath)}`,
+        infoPath,
+        files,
+        video
+      });
+    }
+
+    return { sourceDir, pathTemplate, found: infoFiles.length, imports, skipped };
+  }
+
+  /**
+   * Subtitle tracks among a video's placed files (<name>.<language>.vtt)
+   */
+  findSubtitles(item) {
+    return item.files
+      .map(file => ({ file, match: /^\.([^.]+)\.vtt$/i.exec(file.suffix) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => ({
+        language: match[1],
+        // Tracks only listed as automatic captions are speech recognition or auto-translated
+        isAuto: !item.video.subtitleLanguages.includes(match[1]) &&
+          item.video.automaticCaptionLanguages.includes(match[1]),
+        filePath: file.to
+      }));
+  }
+
+  /**
+   * Create the channel and video rows and place the files, in one transaction
+   */
+  async importVideo(item, mode) {
+    // Checked before anything is placed, so unreadable files stay where they are
+    const file = await inspectDownload(item.from);
+    const probe = file.probe || {};
+    const { video } = item;
+    // Read again rather than kept from planning, as info JSONs with all formats are large
+    const info = JSON.parse(await fs.readFile(item.infoPath, 'utf8'));
+
+    const client = await db.pool.connect();
+    const placed = [];
+
+    try {
+      await client.query('BEGIN');
+
+      // Imported channels are not synced until sync is turned on for them
+      await client.query(
+        `INSERT INTO channel (id, title, custom_url, subscriber_count, sync_enabled)
+         VALUES ($1, $2, $3, $4, false)
+         ON CONFLICT (id) DO NOTHING`,
+        [video.channel.id, video.channel.title, video.channel.customUrl, video.channel.subscriberCount]
+      );
+
+      // Videos the archiver already knows keep their metadata and only get the file
+      const saved = await client.query(
+        `INSERT INTO videos (
+          id, channel_id, title, description, upload_date, duration,
+          view_count, like_count, comment_count, thumbnail_url, tags, privacy_status,
+          download_status, file_path, downloaded_at, file_format, video_height, format_id,
+          file_size_bytes, file_sha256, file_duration, video_codec, audio_codec, video_width,
+          integrity_status, integrity_checked_at, preview_status
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12,
+          'completed', $13, CURRENT_TIMESTAMP, $14, $15, $16,
+          $17, $18, $19, $20, $21, $22, 'ok', CURRENT_TIMESTAMP, 'pending'
+        )
+        ON CONFLICT (id) DO UPDATE SET
+          download_status = 'completed',
+          file_path = EXCLUDED.file_path,
+          downloaded_at = EXCLUDED.downloaded_at,
+          quality_profile = NULL,
+          file_format = EXCLUDED.file_format,
+          video_height = EXCLUDED.video_height,
+          format_id = EXCLUDED.format_id,
+          file_size_bytes = EXCLUDED.file_size_bytes,
+          file_sha256 = EXCLUDED.file_sha256,
+          file_duration = EXCLUDED.file_duration,
+          video_codec = EXCLUDED.video_codec,
+          audio_codec = EXCLUDED.audio_codec,
+          video_width = EXCLUDED.video_width,
+          integrity_status = EXCLUDED.integrity_status,
+          integrity_checked_at = EXCLUDED.integrity_checked_at,
+          preview_status = EXCLUDED.preview_status,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE videos.download_status <> 'downloading'
+        RETURNING id`,
+        [
+          video.id, video.channel.id, video.title, video.description, video.uploadDate, video.duration,
+          video.viewCount, video.likeCount, video.commentCount, video.thumbnailUrl, video.tags, video.privacyStatus,
+          item.to, path.extname(item.to).slice(1).toLowerCase(), probe.height ?? video.height, video.formatId,
+          file.sizeBytes, file.sha256, probe.duration ?? null, probe.videoCodec ?? null,
+          probe.audioCodec ?? null, probe.width ?? null
+        ]
+      );
+      if (saved.rows.length === 0) {
+        throw new Error('Video is being downloaded');
+      }
+
+      for (const subtitle of this.findSubtitles(item)) {
+        await client.query(
+          `INSERT INTO video_subtitles (video_id, language, is_auto, file_path)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (video_id, language) DO UPDATE SET
+             is_auto = EXCLUDED.is_auto,
+             file_path = EXCLUDED.file_path`,
+          [video.id, subtitle.language, subtitle.isAuto, subtitle.filePath]
+        );
+      }
+
+      await client.query(
+        `INSERT INTO video_raw_metadata (video_id, ytdlp_info, ytdlp_fetched_at)
+         VALUES ($1, $2, COALESCE(to_timestamp($3)::timestamp, CURRENT_TIMESTAMP))
+         ON CONFLICT (video_id) DO UPDATE SET
+           ytdlp_info = EXCLUDED.ytdlp_info,
+           ytdlp_fetched_at = EXCLUDED.ytdlp_fetched_at`,
+        [video.id, JSON.stringify(info), Number.isFinite(info.epoch) ? info.epoch : null]
+      );
+      await refreshChapters(video.id, client);
+
+      // The video no longer needs downloading
+      await client.query(
+        `UPDATE download_jobs SET status = 'completed', last_error = NULL, completed_at = CURRENT_TIMESTAMP
+         WHERE video_id = $1 AND status = 'queued'`,
+        [video.id]
+      );
+
+      for (const placement of item.files) {
+        if (placement.from === placement.to) continue;
+        await placeFile(placement.from, placement.to, mode);
+        placed.push(placement);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      for (const placement of placed.reverse()) {
+        const undo = mode === 'move' ? moveFile(placement.to, placement.from) : fs.unlink(placement.to);
+        await undo.catch(undoError => {
+          console.error(`Could not undo placing ${placement.to}:`, undoError.message);
+        });
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const thumbnail = item.files.find(placement => THUMBNAIL_EXTENSIONS.includes(placement.suffix.toLowerCase()));
+    const thumbnailSha256 = thumbnail && this.mediaStore && await this.mediaStore.storeFile(thumbnail.to);
+    if (thumbnailSha256) {
+      await db.query('UPDATE videos SET thumbnail_sha256 = $1 WHERE id = $2', [thumbnailSha256, video.id]);
+    }
+  }
+
+  /**
+   * Import every video found under sourceDir.
+   * With dryRun, only reports what would be imported.
+   */
+  async import(sourceDir, { mode = 'move', pathTemplate, dryRun = false } = {}) {
+    if (this.running) {
+      throw new Error('An import is already running');
+    }
+
+    this.running = true;
+    const startedAt = new Date();
+
+    try {
+      const plan = await this.plan(sourceDir, pathTemplate);
+      const report = item => ({ videoId: item.videoId, title: item.title, channelId: item.channelId, from: item.from, to: item.to });
+
+      if (dryRun) {
+        return { dryRun: true, startedAt, mode, ...plan, imports: plan.imports.map(report) };
+      }
+
+      const run = {
+        dryRun: false, startedAt, finishedAt: null, mode,
+        sourceDir, pathTemplate, found: plan.found, total: plan.imports.length,
+        processed: 0, imported: 0, current: null, skipped: plan.skipped, failed: []
+      };
+      this.lastRun = run;
+      console.log(`Importing ${run.total} videos from ${sourceDir} (${mode})`);
+
+      for (const item of plan.imports) {
+        run.current = report(item);
+        try {
+          await this.importVideo(item, mode);
+          run.imported++;
+          console.log(`Imported: ${item.title}`);
+        } catch (error) {
+          console.error(`Error importing ${item.videoId}:`, error.message);
+          run.failed.push({ ...report(item), error: error.message });
+        }
+        run.processed++;
+      }
+
+      run.current = null;
+      run.finishedAt = new Date();
+      console.log(`Import finished: ${run.imported} imported, ${run.failed.length} failed, ${run.skipped.length} skipped`);
+      return run;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Whether an import is running, with its progress, or the outcome of the last one
+   */
+  getStatus() {
+    return { running: this.running, lastRun: this.lastRun };
+  }
+}
+
+module.exports = LibraryImporter;
+module.exports.IMPORT_MODES = IMPORT_MODES;
+module.exports.IMPORT_SOURCE_PATH = IMPORT_SOURCE_PATH;
+module.exports.videoFromInfo = videoFromInfo;
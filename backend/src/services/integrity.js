@@ -0,0 +1,275 @@
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const db = require('../db');
+const { MEDIA_EXTENSIONS } = require('./downloader');
+
+// A different ffprobe binary (e.g. the offline stand-in) can be used via FFPROBE_PATH
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const FFPROBE_TIMEOUT = 60000; // ms
+// Files are re-hashed when their last check is older than this many days
+const VERIFY_INTERVAL_DAYS = parseInt(process.env.VERIFY_INTERVAL_DAYS || '30');
+// Most files re-hashed by one scheduled run, to spread the disk load over several nights
+const VERIFY_BATCH_SIZE = parseInt(process.env.VERIFY_BATCH_SIZE || '500');
+
+let ffprobeMissingLogged = false;
+
+/**
+ * SHA-256 of a file's content, read as a stream so large videos are not held in memory
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Duration, codecs and resolution of a media file, read with ffprobe.
+ * Returns null if ffprobe is not installed; rejects if the file is not a
+ * readable media file.
+ */
+function probeFile(filePath) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      FFPROBE_PATH,
+      ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath],
+      { timeout: FFPROBE_TIMEOUT, maxBuffer: 10 * 1024 * 1024 },
+      (error, stdout, stderr) => {
+        if (error && error.code === 'ENOENT') {
+          if (!ffprobeMissingLogged) {
+            console.warn(`${FFPROBE_PATH} not found, downloads are hashed but not probed`);
+            ffprobeMissingLogged = true;
+          }
+          return resolve(null);
+        }
+        if (error) {
+          return reject(new Error(`ffprobe failed: ${String(stderr || error.message).trim()}`));
+        }
+
+        let info;
+        try {
+          info = JSON.parse(stdout);
+        } catch (parseError) {
+          return reject(new Error('ffprobe returned invalid output'));
+        }
+
+        // Embedded cover art shows up as a video stream
+        const video = (info.streams || []).find(stream =>
+          stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+        const audio = (info.streams || []).find(stream => stream.codec_type === 'audio');
+        if (!video && !audio) {
+          return reject(new Error('No audio or video streams found'));
+        }
+
+        const duration = parseFloat(info.format?.duration);
+        resolve({
+          duration: isNaN(duration) ? null : duration,
+          videoCodec: video?.codec_name || null,
+          audioCodec: audio?.codec_name || null,
+          width: video?.width || null,
+          height: video?.height || null
+        });
+      }
+    );
+  });
+}
+
+/**
+ * The file yt-dlp actually wrote. If the expected path does not exist (e.g.
+ * the streams were merged into another container), a media file with the
+ * same name and a different extension is looked for. Returns null if neither exists.
+ */
+async function locateDownloadedFile(filePath) {
+  if (!filePath) return null;
+
+  try {
+    await fs.promises.access(filePath);
+    return filePath;
+  } catch (error) {
+    // look for the same name with another extension
+  }
+
+  const dir = path.dirname(filePath);
+  const baseName = path.basename(filePath, path.extname(filePath));
+  try {
+    const entries = await fs.promises.readdir(dir);
+    const match = MEDIA_EXTENSIONS
+      .map(ext => `${baseName}${ext}`)
+      .find(name => entries.includes(name));
+    return match ? path.join(dir, match) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Locate, probe and hash a finished download.
+ * Throws if the file is missing or is not a readable media file.
+ */
+async function inspectDownload(filePath) {
+  const located = await locateDownloadedFile(filePath);
+  if (!located) {
+    throw new Error(`Downloaded file not found: ${filePath}`);
+  }
+
+  const stats = await fs.promises.stat(located);
+  if (stats.size === 0) {
+    throw new Error(`Downloaded file is empty: ${located}`);
+  }
+
+  const probe = await probeFile(located);
+  const sha256 = await hashFile(located);
+
+  return { filePath: located, sizeBytes: stats.size, sha256, probe };
+}
+
+/**
+ * Re-hashes downloaded files to catch bit rot and files that went missing.
+ * Mismatches are flagged in videos.integrity_status; files are never changed.
+ * Downloads from before checksums were kept get theirs taken on their first check.
+ */
+class IntegrityVerifier {
+  constructor() {
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Probe and hash a download that has no checksum yet.
+   * Returns ok, missing or unreadable.
+   */
+  async recordBaseline(video) {
+    let file;
+    try {
+      file = await inspectDownload(video.file_path);
+    } catch (error) {
+      const status = (await locateDownloadedFile(video.file_path)) ? 'unreadable' : 'missing';
+      await db.query(
+        'UPDATE videos SET integrity_status = $1, integrity_checked_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [status, video.id]
+      );
+      console.warn(`Integrity check failed for ${video.id}: file ${status} (${error.message})`);
+      return status;
+    }
+
+    const probe = file.probe || {};
+    await db.query(
+      `UPDATE videos SET
+         file_path = $1, file_size_bytes = $2, file_sha256 = $3, file_duration = $4,
+         video_codec = $5, audio_codec = $6, video_width = $7,
+         video_height = COALESCE($8, video_height),
+         integrity_status = 'ok', integrity_checked_at = CURRENT_TIMESTAMP
+       WHERE id = $9`,
+      [
+        file.filePath, file.sizeBytes, file.sha256, probe.duration ?? null,
+        probe.videoCodec ?? null, probe.audioCodec ?? null, probe.width ?? null,
+        probe.height ?? null, video.id
+      ]
+    );
+    return 'ok';
+  }
+
+  /**
+   * Re-hash one video's file and record the outcome.
+   * Returns ok, mismatch, missing or unreadable.
+   */
+  async verifyVideo(video) {
+    if (!video.file_sha256) {
+      return this.recordBaseline(video);
+    }
+
+    let status;
+    try {
+      await fs.promises.access(video.file_path);
+      const sha256 = await hashFile(video.file_path);
+      status = sha256 === video.file_sha256 ? 'ok' : 'mismatch';
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      status = 'missing';
+    }
+
+    await db.query(
+      'UPDATE videos SET integrity_status = $1, integrity_checked_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [status, video.id]
+    );
+
+    if (status !== 'ok') {
+      console.warn(`Integrity check failed for ${video.id}: file ${status} (${video.file_path})`);
+    }
+    return status;
+  }
+
+  /**
+   * Verify downloads whose last check is older than VERIFY_INTERVAL_DAYS, oldest first.
+   * With videoId, only that video is verified, whenever it was last checked.
+   */
+  async verify({ videoId = null, limit = VERIFY_BATCH_SIZE } = {}) {
+    if (this.running) {
+      throw new Error('Verification is already running');
+    }
+
+    this.running = true;
+    const run = {
+      startedAt: new Date(), finishedAt: null,
+      checked: 0, ok: 0, mismatch: 0, missing: 0, unreadable: 0, errors: 0
+    };
+    this.lastRun = run;
+
+    try {
+      const result = videoId
+        ? await db.query(
+          `SELECT id, file_path, file_sha256 FROM videos
+           WHERE id = $1 AND download_status = 'completed' AND file_path IS NOT NULL`,
+          [videoId]
+        )
+        : await db.query(
+          `SELECT id, file_path, file_sha256 FROM videos
+           WHERE download_status = 'completed' AND file_path IS NOT NULL
+             AND (integrity_checked_at IS NULL OR integrity_checked_at < NOW() - make_interval(days => $1))
+           ORDER BY integrity_checked_at ASC NULLS FIRST
+           LIMIT $2`,
+          [VERIFY_INTERVAL_DAYS, limit]
+        );
+
+      for (const video of result.rows) {
+        try {
+          const status = await this.verifyVideo(video);
+          run[status]++;
+        } catch (error) {
+          console.error(`Error verifying ${video.id}:`, error.message);
+          run.errors++;
+        }
+        run.checked++;
+      }
+
+      run.finishedAt = new Date();
+      console.log(
+        `Integrity verification finished: ${run.checked} checked, ${run.mismatch} mismatched, ` +
+        `${run.missing} missing, ${run.unreadable} unreadable, ${run.errors} errors`
+      );
+      return run;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Whether verification is running, and the outcome of the last run
+   */
+  getStatus() {
+    return { running: this.running, lastRun: this.lastRun };
+  }
+}
+
+module.exports = {
+  hashFile,
+  probeFile,
+  locateDownloadedFile,
+  inspectDownload,
+  IntegrityVerifier
+};
@@ -0,0 +1,159 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const db = require('../db');
+
+const DEFAULT_MEDIA_PATH = process.env.MEDIA_STORAGE_PATH ||
+  path.join(process.env.VIDEO_STORAGE_PATH || '/data/videos', 'media');
+const MEDIA_FETCH_TIMEOUT = parseInt(process.env.MEDIA_FETCH_TIMEOUT || '15000'); // ms
+const MEDIA_MAX_BYTES = parseInt(process.env.MEDIA_MAX_BYTES || String(10 * 1024 * 1024));
+
+const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+// Files made locally are stored too, but never fetched from remote URLs
+const FILE_TYPES = {
+  ...IMAGE_TYPES,
+  'text/vtt': 'vtt',
+  'video/mp4': 'mp4'
+};
+
+/**
+ * Content type of a stored file, from its extension
+ */
+function contentTypeForFile(filePath) {
+  let ext = path.extname(filePath).slice(1).toLowerCase();
+  if (ext === 'jpeg') ext = 'jpg';
+  return Object.keys(FILE_TYPES).find(type => FILE_TYPES[type] === ext) || null;
+}
+
+/**
+ * Whether a value looks like a SHA-256 hex digest
+ */
+function isValidHash(value) {
+  return typeof value === 'string' && /^[a-f0-9]{64}$/.test(value);
+}
+
+/**
+ * Content-addressed store for thumbnails, avatars and video previews.
+ * Files are named after the SHA-256 of their content, so an image shared by
+ * many rows (the same commenter on many videos) is only kept once, and URLs
+ * that were already fetched are looked up instead of being downloaded again.
+ */
+class MediaStore {
+  constructor(storageDir = DEFAULT_MEDIA_PATH) {
+    this.storageDir = storageDir;
+  }
+
+  /**
+   * Path a file with the given hash is stored at
+   */
+  pathFor(sha256, contentType) {
+    return path.join(this.storageDir, sha256.slice(0, 2), `${sha256}.${FILE_TYPES[contentType]}`);
+  }
+
+  /**
+   * Store file data and return its hash
+   */
+  async storeBuffer(buffer, contentType) {
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+    const existing = await db.query('SELECT file_path FROM media_files WHERE sha256 = $1', [sha256]);
+    if (existing.rows.length > 0) {
+      return sha256;
+    }
+
+    const filePath = this.pathFor(sha256, contentType);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    // Written under a temporary name so a half-written file is never served
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, buffer);
+    await fs.rename(tempPath, filePath);
+
+    await db.query(
+      `INSERT INTO media_files (sha256, file_path, content_type, size_bytes)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (sha256) DO NOTHING`,
+      [sha256, filePath, contentType, buffer.length]
+    );
+
+    return sha256;
+  }
+
+  /**
+   * Store a remote image, reusing the earlier copy if the URL was fetched before.
+   * Returns its hash, or null if the image could not be fetched.
+   */
+  async storeUrl(url) {
+    if (!url) return null;
+
+    try {
+      const known = await db.query('SELECT sha256 FROM media_sources WHERE url = $1', [url]);
+      if (known.rows.length > 0 && known.rows[0].sha256) {
+        return known.rows[0].sha256;
+      }
+
+      const response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: MEDIA_FETCH_TIMEOUT,
+        maxContentLength: MEDIA_MAX_BYTES
+      });
+
+      const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      if (!IMAGE_TYPES[contentType]) {
+        console.error(`Not storing ${url}: unsupported content type ${contentType || '(none)'}`);
+        return null;
+      }
+
+      const sha256 = await this.storeBuffer(Buffer.from(response.data), contentType);
+
+      await db.query(
+        `INSERT INTO media_sources (url, sha256) VALUES ($1, $2)
+         ON CONFLICT (url) DO UPDATE SET sha256 = EXCLUDED.sha256, fetched_at = CURRENT_TIMESTAMP`,
+        [url, sha256]
+      );
+
+      return sha256;
+    } catch (error) {
+      console.error(`Error fetching media ${url}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store a local file (such as a thumbnail written by yt-dlp or a preview sprite).
+   * Returns its hash, or null if the file is missing or of a type that is not stored.
+   */
+  async storeFile(filePath) {
+    const contentType = filePath && contentTypeForFile(filePath);
+    if (!contentType) return null;
+
+    try {
+      const buffer = await fs.readFile(filePath);
+      return await this.storeBuffer(buffer, contentType);
+    } catch (error) {
+      console.error(`Error storing media file ${filePath}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Stored file for a hash, or null if there is none
+   */
+  async getFile(sha256) {
+    if (!isValidHash(sha256)) return null;
+
+    const result = await db.query(
+      'SELECT sha256, file_path, content_type, size_bytes FROM media_files WHERE sha256 = $1',
+      [sha256]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = MediaStore;
+module.exports.isValidHash = isValidHash;
@@ -0,0 +1,354 @@
+const { spawn } = require('child_process');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const db = require('../db');
+const { probeFile } = require('./integrity');
+const { FFMPEG_PATH } = require('./transcoder');
+
+// How often the worker looks for downloaded videos without previews
+const PREVIEW_POLL_INTERVAL = parseInt(process.env.PREVIEW_POLL_INTERVAL || '30000'); // ms
+// ffmpeg runs longer than this are stopped and the video marked failed
+const PREVIEW_TIMEOUT = parseInt(process.env.PREVIEW_TIMEOUT || String(30 * 60 * 1000)); // ms
+const DEFAULT_WORK_PATH = process.env.PREVIEW_WORK_PATH || path.join(os.tmpdir(), 'archiver-previews');
+
+// Sprite sheet of frames for seek previews; long videos get fewer frames per minute
+const SPRITE_MAX_FRAMES = 100;
+const SPRITE_COLUMNS = 10;
+const MIN_FRAME_INTERVAL = 2; // seconds
+const FRAME_WIDTH = 160;
+const FRAME_HEIGHT = 90;
+// Hover clip: a few short excerpts spread over the video
+const CLIP_EXCERPTS = 4;
+const CLIP_EXCERPT_SECONDS = 2;
+const CLIP_HEIGHT = 180;
+
+/**
+ * Seconds between the frames of a video's sprite sheet
+ */
+function frameInterval(duration) {
+  return Math.max(MIN_FRAME_INTERVAL, Math.ceil(duration / SPRITE_MAX_FRAMES));
+}
+
+/**
+ * ffmpeg arguments that tile one frame every interval seconds into a single image.
+ * Only keyframes are decoded, which is much faster and close enough for previews.
+ */
+function buildSpriteArgs(inputPath, outputPath, interval, rows) {
+  return [
+    '-hide_banner', '-loglevel', 'error', '-nostdin', '-y',
+    '-skip_frame', 'nokey',
+    '-i', inputPath,
+    '-map', '0:V:0',
+    '-vf', [
+      `fps=1/${interval}`,
+      `scale=${FRAME_WIDTH}:${FRAME_HEIGHT}:force_original_aspect_ratio=decrease`,
+      `pad=${FRAME_WIDTH}:${FRAME_HEIGHT}:(ow-iw)/2:(oh-ih)/2`,
+      `tile=${SPRITE_COLUMNS}x${rows}`
+    ].join(','),
+    '-frames:v', '1',
+    '-q:v', '4',
+    outputPath
+  ];
+}
+
+/**
+ * Where the excerpts of a hover clip start; short videos get a single one from the start
+ */
+function clipStarts(duration) {
+  if (duration < CLIP_EXCERPTS * CLIP_EXCERPT_SECONDS * 2) return [0];
+  return Array.from({ length: CLIP_EXCERPTS }, (_, index) => Math.floor((duration * (index + 1)) / (CLIP_EXCERPTS + 1)));
+}
+
+/**
+ * ffmpeg arguments that join short silent excerpts into a small MP4 clip
+ */
+function buildClipArgs(inputPath, outputPath, starts) {
+  const excerptSeconds = starts.length > 1 ? CLIP_EXCERPT_SECONDS : CLIP_EXCERPT_SECONDS * CLIP_EXCERPTS;
+  const inputs = starts.flatMap(start => ['-ss', String(start), '-t', String(excerptSeconds), '-i', inputPath]);
+  const scaled = starts.map((_, index) => `[${index}:V:0]scale=-2:${CLIP_HEIGHT},setsar=1,fps=24[v${index}]`);
+  const joined = `${starts.map((_, index) => `[v${index}]`).join('')}concat=n=${starts.length}:v=1:a=0[clip]`;
+
+  return [
+    '-hide_banner', '-loglevel', 'error', '-nostdin', '-y',
+    ...inputs,
+    '-filter_complex', [...scaled, joined].join(';'),
+    '-map', '[clip]',
+    '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '28', '-pix_fmt', 'yuv420p',
+    '-an',
+    '-movflags', '+faststart',
+    outputPath
+  ];
+}
+
+/**
+ * WebVTT time, e.g. 00:01:05.000
+ */
+function formatVttTime(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = (seconds % 60).toFixed(3).padStart(6, '0');
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${secs}`;
+}
+
+/**
+ * WebVTT thumbnails track pointing each time range at its frame of the sprite sheet.
+ * The sprite is referenced relative to the track, as both are served from /api/media.
+ */
+function buildThumbnailTrack(duration, interval, frameCount, spriteName) {
+  const cues = [];
+  for (let index = 0; index < frameCount; index++) {
+    const start = index * interval;
+    const end = Math.min(duration, start + interval);
+    const x = (index % SPRITE_COLUMNS) * FRAME_WIDTH;
+    const y = Math.floor(index / SPRITE_COLUMNS) * FRAME_HEIGHT;
+    cues.push(`${formatVttTime(start)} --> ${formatVttTime(end)}\n${spriteName}#xywh=${x},${y},${FRAME_WIDTH},${FRAME_HEIGHT}`);
+  }
+  return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
+
+/**
+ * Makes seek-preview sprite sheets, their WebVTT thumbnails tracks and short
+ * hover clips for downloaded videos, one video at a time. Downloads and imports
+ * mark videos as pending; the worker picks them up, and the backfill command
+ * marks and processes videos archived before previews were made.
+ */
+class PreviewGenerator {
+  constructor(mediaStore, workDir = DEFAULT_WORK_PATH) {
+    this.mediaStore = mediaStore;
+    this.workDir = workDir;
+    this.pollInterval = PREVIEW_POLL_INTERVAL;
+    this.running = false;
+    this.timer = null;
+    this.stopped = false;
+    this.current = null; // { videoId, startedAt } of the video being processed
+    this.process = null;
+  }
+
+  /**
+   * Start the worker, resuming videos left half-done by a restart
+   */
+  async start() {
+    if (this.running) return;
+
+    try {
+      await db.query(`UPDATE videos SET preview_status = 'pending' WHERE preview_status = 'generating'`);
+    } catch (error) {
+      console.error('Error recovering interrupted previews:', error);
+    }
+
+    this.running = true;
+    this.stopped = false;
+    this.scheduleNext(0);
+  }
+
+  /**
+   * Stop the worker; the video being processed is picked up again on next start
+   */
+  stop() {
+    this.running = false;
+    this.stopped = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.process) this.process.kill('SIGTERM');
+  }
+
+  scheduleNext(delay) {
+    if (!this.running) return;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      await this.processPending().catch(error => console.error('Preview generator error:', error));
+      this.scheduleNext(this.pollInterval);
+    }, delay);
+  }
+
+  /**
+   * Mark downloaded videos for (re)generation: those never processed and those
+   * that failed, or all of them with force. Returns how many were marked.
+   */
+  async markForBackfill({ force = false } = {}) {
+    const result = await db.query(
+      `UPDATE videos SET preview_status = 'pending', preview_error = NULL
+       WHERE download_status = 'completed' AND file_path IS NOT NULL
+         AND (preview_status IS NULL OR preview_status = 'failed'
+              OR ($1 AND preview_status <> 'generating'))`,
+      [force]
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Claim the next pending video; other processes (the backfill command) skip it
+   */
+  async claimNext() {
+    const result = await db.query(
+      `UPDATE videos SET preview_status = 'generating'
+       WHERE id = (
+         SELECT id FROM videos
+         WHERE preview_status = 'pending' AND download_status = 'completed' AND file_path IS NOT NULL
+         ORDER BY downloaded_at DESC NULLS LAST
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING id, file_path, video_codec, audio_codec, COALESCE(file_duration, duration) as duration`
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Make previews for pending videos until there are none left.
+   * Returns how many were generated, failed, or had no video stream.
+   */
+  async processPending() {
+    const summary = { generated: 0, failed: 0, noVideo: 0 };
+
+    while (!this.stopped) {
+      const video = await this.claimNext();
+      if (!video) break;
+
+      this.current = { videoId: video.id, startedAt: new Date() };
+      try {
+        const status = await this.generate(video);
+        if (status === 'ready') summary.generated++;
+        else summary.noVideo++;
+      } catch (error) {
+        summary.failed++;
+        if (this.stopped) {
+          // Picked up again on next start
+          await db.query(`UPDATE videos SET preview_status = 'pending' WHERE id = $1`, [video.id]);
+        } else {
+          console.error(`Previews of ${video.id} failed:`, error.message);
+          await db.query(
+            `UPDATE videos SET preview_status = 'failed', preview_error = $2 WHERE id = $1`,
+            [video.id, error.message]
+          );
+        }
+      } finally {
+        this.current = null;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Make and store the previews of one video.
+   * Returns 'ready', or 'none' for audio-only files.
+   */
+  async generate(video) {
+    let { duration } = video;
+    let hasVideo = Boolean(video.video_codec);
+
+    // Files downloaded without ffprobe are probed now
+    if (!video.video_codec && !video.audio_codec) {
+      const probe = await probeFile(video.file_path).catch(() => null);
+      if (probe) {
+        hasVideo = Boolean(probe.videoCodec);
+        duration = probe.duration || duration;
+      } else {
+        hasVideo = true; // left to ffmpeg to find out
+      }
+    }
+
+    if (!hasVideo) {
+      await db.query(
+        `UPDATE videos SET preview_status = 'none', preview_error = NULL, previews_generated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [video.id]
+      );
+      return 'none';
+    }
+    if (!duration || duration <= 0) {
+      throw new Error('Duration of the video is unknown');
+    }
+
+    const workDir = path.join(this.workDir, encodeURIComponent(video.id));
+    await fs.rm(workDir, { recursive: true, force: true });
+    await fs.mkdir(workDir, { recursive: true });
+
+    try {
+      const interval = frameInterval(duration);
+      const frameCount = Math.min(SPRITE_MAX_FRAMES, Math.max(1, Math.ceil(duration / interval)));
+      const spritePath = path.join(workDir, 'sprite.jpg');
+      const clipPath = path.join(workDir, 'preview.mp4');
+
+      await this.runFfmpeg(buildSpriteArgs(video.file_path, spritePath, interval, Math.ceil(frameCount / SPRITE_COLUMNS)));
+      await this.runFfmpeg(buildClipArgs(video.file_path, clipPath, clipStarts(duration)));
+
+      const spriteSha256 = await this.mediaStore.storeFile(spritePath);
+      const clipSha256 = await this.mediaStore.storeFile(clipPath);
+      if (!spriteSha256 || !clipSha256) {
+        throw new Error('Could not store the previews');
+      }
+      const track = buildThumbnailTrack(duration, interval, frameCount, spriteSha256);
+      const trackSha256 = await this.mediaStore.storeBuffer(Buffer.from(track), 'text/vtt');
+
+      await db.query(
+        `UPDATE videos SET
+           preview_status = 'ready', preview_error = NULL, previews_generated_at = CURRENT_TIMESTAMP,
+           preview_sprite_sha256 = $2, preview_vtt_sha256 = $3, preview_clip_sha256 = $4
+         WHERE id = $1`,
+        [video.id, spriteSha256, trackSha256, clipSha256]
+      );
+      console.log(`Generated previews for ${video.id}`);
+      return 'ready';
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Run ffmpeg, rejecting with its error output if it fails or runs too long
+   */
+  runFfmpeg(args) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(FFMPEG_PATH, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+      this.process = child;
+      let stderr = '';
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGKILL');
+      }, PREVIEW_TIMEOUT);
+
+      child.stderr.on('data', chunk => {
+        stderr = (stderr + chunk).slice(-2000);
+      });
+      child.on('error', error => {
+        clearTimeout(timer);
+        this.process = null;
+        reject(new Error(error.code === 'ENOENT' ? `${FFMPEG_PATH} not found` : error.message));
+      });
+      child.on('close', code => {
+        clearTimeout(timer);
+        this.process = null;
+        if (code === 0) return resolve();
+        if (timedOut) return reject(new Error(`ffmpeg took longer than ${PREVIEW_TIMEOUT / 1000}s`));
+        reject(new Error(`ffmpeg failed: ${stderr.trim() || `exit code ${code}`}`));
+      });
+    });
+  }
+
+  /**
+   * Video being processed and how many videos are in each state
+   */
+  async getStatus() {
+    const result = await db.query(
+      `SELECT COALESCE(preview_status, 'missing') as status, COUNT(*) as count
+       FROM videos
+       WHERE download_status = 'completed'
+       GROUP BY 1`
+    );
+    const counts = { missing: 0, pending: 0, generating: 0, ready: 0, failed: 0, none: 0 };
+    result.rows.forEach(row => {
+      counts[row.status] = parseInt(row.count);
+    });
+
+    return { running: this.running, current: this.current, counts };
+  }
+}
+
+module.exports = PreviewGenerator;
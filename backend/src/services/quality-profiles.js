@@ -0,0 +1,70 @@
+const db = require('../db');
+
+const DEFAULT_PROFILE_NAME = 'default';
+
+const CONTAINERS = ['mp4', 'mkv', 'webm'];
+const VIDEO_CODECS = ['avc1', 'vp9', 'av01'];
+const AUDIO_FORMATS = ['m4a', 'mp3', 'opus'];
+
+// Used if the 'default' row is missing, so downloads keep working
+const FALLBACK_PROFILE = {
+  id: null,
+  name: DEFAULT_PROFILE_NAME,
+  max_height: null,
+  container: 'mp4',
+  video_codec: null,
+  audio_only: false,
+  audio_format: 'm4a'
+};
+
+/**
+ * Validate profile fields from a request body.
+ * Returns an error message, or null if the fields are valid.
+ * With partial = true, missing fields are allowed (for updates).
+ */
+function validateProfile(fields, { partial = false } = {}) {
+  const { name, maxHeight, container, videoCodec, audioFormat } = fields;
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return 'name is required';
+    if (name.trim().length > 100) return 'name must be at most 100 characters';
+  }
+  if (maxHeight !== undefined && maxHeight !== null) {
+    if (!Number.isInteger(maxHeight) || maxHeight <= 0) return 'maxHeight must be a positive integer or null';
+  }
+  if (container !== undefined && !CONTAINERS.includes(container)) {
+    return `container must be one of: ${CONTAINERS.join(', ')}`;
+  }
+  if (videoCodec !== undefined && videoCodec !== null && !VIDEO_CODECS.includes(videoCodec)) {
+    return `videoCodec must be one of: ${VIDEO_CODECS.join(', ')} (or null for any)`;
+  }
+  if (audioFormat !== undefined && !AUDIO_FORMATS.includes(audioFormat)) {
+    return `audioFormat must be one of: ${AUDIO_FORMATS.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Quality profile of a channel, falling back to the default profile
+ */
+async function getProfileForChannel(channelId) {
+  const result = await db.query(
+    `SELECT p.*
+     FROM quality_profiles p
+     WHERE p.id = (SELECT quality_profile_id FROM channel WHERE id = $1)
+        OR p.name = $2
+     ORDER BY (p.name = $2)
+     LIMIT 1`,
+    [channelId, DEFAULT_PROFILE_NAME]
+  );
+  return result.rows[0] || FALLBACK_PROFILE;
+}
+
+module.exports = {
+  DEFAULT_PROFILE_NAME,
+  CONTAINERS,
+  VIDEO_CODECS,
+  AUDIO_FORMATS,
+  validateProfile,
+  getProfileForChannel
+};
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+// Quota cost per call of each YouTube Data API endpoint we use
+// https://developers.google.com/youtube/v3/determine_quota_cost
+const QUOTA_COSTS = {
+  channels: 1,
+  playlistItems: 1,
+  playlists: 1,
+  videos: 1,
+  commentThreads: 1,
+  comments: 1,
+  search: 100
+};
+
+const DEFAULT_DAILY_QUOTA = parseInt(process.env.YOUTUBE_DAILY_QUOTA || '10000');
+
+// YouTube quotas reset at midnight Pacific time
+const PACIFIC_DATE_SQL = `(CURRENT_TIMESTAMP AT TIME ZONE 'America/Los_Angeles')::date`;
+const NEXT_QUOTA_RESET_SQL = `((${PACIFIC_DATE_SQL} + 1)::timestamp AT TIME ZONE 'America/Los_Angeles')`;
+
+class QuotaBudgetExceededError extends Error {
+  constructor(message, { channelId = null, unitsUsed = 0, budget = 0 } = {}) {
+    super(message);
+    this.name = 'QuotaBudgetExceededError';
+    this.channelId = channelId;
+    this.unitsUsed = unitsUsed;
+    this.budget = budget;
+  }
+}
+
+/**
+ * Short, non-reversible identifier for an API key so keys are never stored twice
+ */
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey || '').digest('hex').substring(0, 16);
+}
+
+/**
+ * Last characters of a key, for display only
+ */
+function apiKeyHint(apiKey) {
+  return apiKey ? `…${apiKey.slice(-4)}` : null;
+}
+
+class QuotaTracker {
+  constructor(channelId = null) {
+    this.channelId = channelId;
+    this.dailyLimit = DEFAULT_DAILY_QUOTA;
+    this.channelBudget = undefined; // loaded lazily
+  }
+
+  /**
+   * Load the channel's daily budget (null means no budget)
+   */
+  async getChannelBudget() {
+    if (this.channelBudget !== undefined) return this.channelBudget;
+
+    if (!this.channelId) {
+      this.channelBudget = null;
+      return null;
+    }
+
+    const result = await db.query(
+      'SELECT quota_budget FROM channel WHERE id = $1',
+      [this.channelId]
+    );
+    this.channelBudget = result.rows[0]?.quota_budget ?? null;
+    return this.channelBudget;
+  }
+
+  /**
+   * Units used today by an API key (across all channels)
+   */
+  async getKeyUsage(apiKey) {
+    const result = await db.query(
+      `SELECT COALESCE(SUM(units_used), 0) as units
+       FROM api_quota_usage
+       WHERE api_key_hash = $1 AND quota_date = ${PACIFIC_DATE_SQL}`,
+      [hashApiKey(apiKey)]
+    );
+    return parseInt(result.rows[0].units);
+  }
+
+  /**
+   * Units used today on behalf of this channel (across all keys)
+   */
+  async getChannelUsage() {
+    if (!this.channelId) return 0;
+
+    const result = await db.query(
+      `SELECT COALESCE(SUM(units_used), 0) as units
+       FROM api_quota_usage
+       WHERE channel_id = $1 AND quota_date = ${PACIFIC_DATE_SQL}`,
+      [this.channelId]
+    );
+    return parseInt(result.rows[0].units);
+  }
+
+  /**
+   * Throw QuotaBudgetExceededError if a call to endpoint would go over the channel's budget
+   */
+  async assertChannelBudget(endpoint) {
+    const budget = await this.getChannelBudget();
+    if (budget === null) return;
+
+    const cost = QUOTA_COSTS[endpoint] || 1;
+    const channelUsage = await this.getChannelUsage();
+    if (channelUsage + cost > budget) {
+      throw new QuotaBudgetExceededError(
+        `Daily quota budget of ${budget} units reached for channel ${this.channelId}`,
+        { channelId: this.channelId, unitsUsed: channelUsage, budget }
+      );
+    }
+  }
+
+  /**
+   * Whether a call to endpoint would take the key over its daily limit
+   */
+  async isKeyExhausted(apiKey, endpoint) {
+    const cost = QUOTA_COSTS[endpoint] || 1;
+    const keyUsage = await this.getKeyUsage(apiKey);
+    return keyUsage + cost > this.dailyLimit;
+  }
+
+  /**
+   * Record the cost of a call against today's usage
+   */
+  async record(endpoint, apiKey) {
+    const cost = QUOTA_COSTS[endpoint] || 1;
+
+    try {
+      await db.query(
+        `INSERT INTO api_quota_usage (quota_date, api_key_hash, api_key_hint, channel_id, endpoint, units_used, request_count)
+         VALUES (${PACIFIC_DATE_SQL}, $1, $2, $3, $4, $5, 1)
+         ON CONFLICT (quota_date, api_key_hash, (COALESCE(channel_id, '')), endpoint) DO UPDATE SET
+           units_used = api_quota_usage.units_used + EXCLUDED.units_used,
+           request_count = api_quota_usage.request_count + 1,
+           updated_at = CURRENT_TIMESTAMP`,
+        [hashApiKey(apiKey), apiKeyHint(apiKey), this.channelId, endpoint, cost]
+      );
+    } catch (error) {
+      // Accounting must never break a sync
+      console.error('Error recording quota usage:', error.message);
+    }
+  }
+}
+
+/**
+ * Today's usage summary for the quota endpoint
+ */
+async function getQuotaSummary() {
+  const [dateResult, keys, channels, endpoints] = await Promise.all([
+    db.query(`SELECT ${PACIFIC_DATE_SQL}::text as quota_date`),
+    db.query(
+      `SELECT q.api_key_hash, MAX(q.api_key_hint) as api_key_hint, MAX(k.label) as label,
+              SUM(q.units_used) as units_used, SUM(q.request_count) as request_count
+       FROM api_quota_usage q
+       LEFT JOIN api_keys k ON k.key_hash = q.api_key_hash
+       WHERE q.quota_date = ${PACIFIC_DATE_SQL}
+       GROUP BY q.api_key_hash
+       ORDER BY units_used DESC`
+    ),
+    db.query(
+      `SELECT c.id as channel_id, c.title, c.quota_budget,
+              COALESCE(SUM(q.units_used), 0) as units_used
+       FROM channel c
+       LEFT JOIN api_quota_usage q ON q.channel_id = c.id AND q.quota_date = ${PACIFIC_DATE_SQL}
+       GROUP BY c.id, c.title, c.quota_budget
+       ORDER BY units_used DESC`
+    ),
+    db.query(
+      `SELECT endpoint, SUM(units_used) as units_used, SUM(request_count) as request_count
+       FROM api_quota_usage
+       WHERE quota_date = ${PACIFIC_DATE_SQL}
+       GROUP BY endpoint
+       ORDER BY units_used DESC`
+    )
+  ]);
+
+  const toInt = (rows, fields) => rows.map(row => {
+    const converted = { ...row };
+    fields.forEach(field => {
+      converted[field] = converted[field] === null ? null : parseInt(converted[field]);
+    });
+    return converted;
+  });
+
+  return {
+    quotaDate: dateResult.rows[0].quota_date,
+    dailyLimit: DEFAULT_DAILY_QUOTA,
+    keys: toInt(keys.rows, ['units_used', 'request_count']),
+    channels: toInt(channels.rows, ['units_used', 'quota_budget']),
+    endpoints: toInt(endpoints.rows, ['units_used', 'request_count'])
+  };
+}
+
+module.exports = {
+  QuotaTracker,
+  QuotaBudgetExceededError,
+  QUOTA_COSTS,
+  DEFAULT_DAILY_QUOTA,
+  PACIFIC_DATE_SQL,
+  NEXT_QUOTA_RESET_SQL,
+  hashApiKey,
+  apiKeyHint,
+  getQuotaSummary
+};
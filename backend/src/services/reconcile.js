@@ -0,0 +1,261 @@
+const path = require('path');
+const fs = require('fs').promises;
+const db = require('../db');
+const { MEDIA_EXTENSIONS } = require('./downloader');
+
+// Orphaned files are moved here (inside the storage directory) instead of being deleted
+const ORPHANED_DIR_NAME = '.orphaned';
+const RECONCILE_CATEGORIES = ['missing', 'moved', 'orphaned'];
+// Single-format files yt-dlp writes before merging them (<name>.f137.mp4, <name>.temp.mp4)
+const INTERMEDIATE_FILE = /\.(f\d+|temp)\.[^.]+$/i;
+
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Compares the video directory with the videos table.
+ *
+ * - missing: videos marked as downloaded whose file is gone
+ * - moved: video files on disk the database does not point to, such as files
+ *   renamed or dropped in by hand, or downloads never marked as completed
+ * - orphaned: media files that belong to no video, or duplicates of a video
+ *   whose file is already recorded
+ *
+ * Files are matched to videos by the video ID in their name, which every path
+ * template contains. The media store's directory (thumbnails, previews) is
+ * left out, as its files are named by checksum.
+ */
+class LibraryReconciler {
+  constructor(storageDir, downloadQueue, mediaStore = null) {
+    this.storageDir = storageDir;
+    this.downloadQueue = downloadQueue;
+    this.skipDirs = mediaStore ? [path.resolve(mediaStore.storageDir)] : [];
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Media files under a directory, recursively; hidden directories (including
+   * the orphaned files), the media store and yt-dlp's intermediate files are skipped
+   */
+  async listMediaFiles(dir, files = []) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return files;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (this.skipDirs.includes(path.resolve(entryPath))) continue;
+        await this.listMediaFiles(entryPath, files);
+      } else if (entry.isFile() && MEDIA_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) &&
+        !INTERMEDIATE_FILE.test(entry.name)) {
+        files.push(entryPath);
+      }
+    }
+    return files;
+  }
+
+  /**
+   * ID of the archived video a file name contains, or null
+   */
+  findVideoId(fileName, videoIds, idLengths) {
+    for (const length of idLengths) {
+      for (let i = 0; i + length <= fileName.length; i++) {
+        const candidate = fileName.substr(i, length);
+        if (videoIds.has(candidate)) return candidate;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Compare disk and database without changing anything
+   */
+  async scan() {
+    const diskFiles = await this.listMediaFiles(this.storageDir);
+    const result = await db.query(
+      'SELECT id, channel_id, title, download_status, file_path, file_format FROM videos ORDER BY id'
+    );
+
+    const videoIds = new Set(result.rows.map(video => video.id));
+    const idLengths = [...new Set(result.rows.map(video => video.id.length))];
+    const recorded = new Set(
+      result.rows
+        .filter(video => video.download_status === 'completed' && video.file_path)
+        .map(video => video.file_path)
+    );
+
+    const filesByVideo = new Map();
+    const orphaned = [];
+
+    for (const filePath of diskFiles) {
+      if (recorded.has(filePath)) continue;
+
+      const videoId = this.findVideoId(path.basename(filePath), videoIds, idLengths);
+      if (!videoId) {
+        orphaned.push({ filePath, videoId: null, reason: 'No matching video' });
+        continue;
+      }
+      if (!filesByVideo.has(videoId)) filesByVideo.set(videoId, []);
+      filesByVideo.get(videoId).push(filePath);
+    }
+
+    const missing = [];
+    const moved = [];
+
+    for (const video of result.rows) {
+      // Files of running downloads are still being written
+      if (video.download_status === 'downloading') continue;
+
+      const candidates = filesByVideo.get(video.id) || [];
+      const recordedFileExists = video.download_status === 'completed' && video.file_path &&
+        await fileExists(video.file_path);
+
+      if (recordedFileExists) {
+        candidates.forEach(filePath => orphaned.push({ filePath, videoId: video.id, reason: 'Duplicate of a recorded file' }));
+        continue;
+      }
+
+      if (candidates.length > 0) {
+        // Prefer the format the video was downloaded in, then the usual container order
+        const rank = filePath => {
+          const ext = path.extname(filePath).slice(1).toLowerCase();
+          return ext === video.file_format ? -1 : MEDIA_EXTENSIONS.indexOf(`.${ext}`);
+        };
+        const [filePath, ...duplicates] = [...candidates].sort((a, b) => rank(a) - rank(b));
+
+        moved.push({
+          videoId: video.id,
+          title: video.title,
+          downloadStatus: video.download_status,
+          from: video.file_path,
+          to: filePath
+        });
+        duplicates.forEach(duplicate => orphaned.push({ filePath: duplicate, videoId: video.id, reason: 'Duplicate of a recorded file' }));
+        continue;
+      }
+
+      if (video.download_status === 'completed') {
+        missing.push({ videoId: video.id, title: video.title, channelId: video.channel_id, filePath: video.file_path });
+      }
+    }
+
+    return { scannedFiles: diskFiles.length, checkedVideos: result.rows.length, missing, moved, orphaned };
+  }
+
+  /**
+   * Mark a video whose file is gone as not downloaded and queue it again
+   */
+  async fixMissing(item) {
+    await db.query(
+      `UPDATE videos SET
+         download_status = 'pending', file_path = NULL, file_sha256 = NULL,
+         integrity_status = NULL, integrity_checked_at = NULL
+       WHERE id = $1`,
+      [item.videoId]
+    );
+    await this.downloadQueue.enqueue(item.videoId, item.channelId);
+  }
+
+  /**
+   * Point a video at the file found for it. The checksum is cleared so the
+   * next integrity check takes a new one from this file.
+   */
+  async fixMoved(item) {
+    await db.query(
+      `UPDATE videos SET
+         download_status = 'completed', file_path = $1, file_format = $2,
+         downloaded_at = COALESCE(downloaded_at, CURRENT_TIMESTAMP),
+         file_sha256 = NULL, integrity_status = NULL, integrity_checked_at = NULL
+       WHERE id = $3`,
+      [item.to, path.extname(item.to).slice(1).toLowerCase(), item.videoId]
+    );
+  }
+
+  /**
+   * Move an orphaned file aside, keeping its path relative to the storage directory
+   */
+  async fixOrphaned(item) {
+    const relative = path.relative(this.storageDir, item.filePath);
+    const target = path.join(this.storageDir, ORPHANED_DIR_NAME, relative);
+    if (await fileExists(target)) {
+      throw new Error(`${target} already exists`);
+    }
+
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.rename(item.filePath, target);
+    item.movedTo = target;
+  }
+
+  /**
+   * Scan and, for the given categories, fix what was found
+   */
+  async reconcile({ fix = [] } = {}) {
+    if (this.running) {
+      throw new Error('Reconciliation is already running');
+    }
+
+    this.running = true;
+    const startedAt = new Date();
+
+    try {
+      const report = await this.scan();
+      const fixers = {
+        missing: item => this.fixMissing(item),
+        moved: item => this.fixMoved(item),
+        orphaned: item => this.fixOrphaned(item)
+      };
+
+      const fixed = {};
+      for (const category of RECONCILE_CATEGORIES) {
+        if (!fix.includes(category)) continue;
+
+        fixed[category] = 0;
+        for (const item of report[category]) {
+          try {
+            await fixers[category](item);
+            item.fixed = true;
+            fixed[category]++;
+          } catch (error) {
+            console.error(`Error fixing ${category} item ${item.videoId || item.filePath}:`, error.message);
+            item.fixed = false;
+            item.error = error.message;
+          }
+        }
+      }
+
+      this.lastRun = { startedAt, finishedAt: new Date(), fix, fixed, ...report };
+      console.log(
+        `Reconciliation finished: ${report.missing.length} missing, ${report.moved.length} moved, ` +
+        `${report.orphaned.length} orphaned${fix.length > 0 ? ` (fixed: ${fix.join(', ')})` : ''}`
+      );
+      return this.lastRun;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Whether reconciliation is running, and the outcome of the last run
+   */
+  getStatus() {
+    return { running: this.running, lastRun: this.lastRun };
+  }
+}
+
+module.exports = LibraryReconciler;
+module.exports.RECONCILE_CATEGORIES = RECONCILE_CATEGORIES;
+module.exports.ORPHANED_DIR_NAME = ORPHANED_DIR_NAME;
+module.exports.INTERMEDIATE_FILE = INTERMEDIATE_FILE;
@@ -1,11 +1,14 @@
 const cron = require('node-cron');
 const SyncService = require('./sync');
+const { IntegrityVerifier } = require('./integrity');
 const db = require('../db');
 
 class Scheduler {
   constructor() {
     this.syncService = new SyncService();
     this.jobs = new Map(); // Map of channelId -> cron job
+    this.integrityVerifier = new IntegrityVerifier();
+    this.verifyJob = null;
   }
 
   /**
@@ -63,8 +66,12 @@ class Scheduler {
       const job = cron.schedule(cronTime, async () => {
         console.log(`Starting scheduled incremental sync for ${channelId}...`);
         try {
-          await this.syncService.incrementalSync(channelId, channel.api_key);
-          console.log(`Scheduled sync completed successfully for ${channelId}`);
+          const result = await this.syncService.incrementalSync(channelId, channel.api_key);
+          if (result.paused) {
+            console.log(`Scheduled sync paused for ${channelId}: ${result.reason}`);
+          } else {
+            console.log(`Scheduled sync completed successfully for ${channelId}`);
+          }
         } catch (error) {
           console.error(`Scheduled sync failed for ${channelId}:`, error);
         }
@@ -107,8 +114,9 @@ class Scheduler {
 
   /**
    * Trigger manual sync for a specific channel
+   * options.deepVerify makes an incremental sync check every upload
    */
-  async triggerManualSync(syncType = 'incremental', channelId = null) {
+  async triggerManualSync(syncType = 'incremental', channelId = null, options = {}) {
     try {
       // If no channelId specified, sync all enabled channels (backward compatibility)
       if (!channelId) {
@@ -123,7 +131,7 @@ class Scheduler {
           if (syncType === 'full') {
             results.push(await this.syncService.fullSync(channel.id, channel.api_key));
           } else {
-            results.push(await this.syncService.incrementalSync(channel.id, channel.api_key));
+            results.push(await this.syncService.incrementalSync(channel.id, channel.api_key, options));
           }
         }
 
@@ -147,7 +155,7 @@ class Scheduler {
       if (syncType === 'full') {
         return await this.syncService.fullSync(channel.id, channel.api_key);
       } else {
-        return await this.syncService.incrementalSync(channel.id, channel.api_key);
+        return await this.syncService.incrementalSync(channel.id, channel.api_key, options);
       }
     } catch (error) {
       console.error('Manual sync failed:', error);
@@ -155,6 +163,30 @@ class Scheduler {
     }
   }
 
+  /**
+   * Re-verify the checksums of downloaded files on a schedule
+   */
+  startIntegrityVerification(cronTime = '0 4 * * *') {
+    if (this.verifyJob) {
+      this.verifyJob.stop();
+    }
+
+    console.log(`Scheduling integrity verification with cron: ${cronTime}`);
+    this.verifyJob = cron.schedule(cronTime, async () => {
+      if (this.integrityVerifier.getStatus().running) {
+        console.log('Integrity verification still running, skipping scheduled run');
+        return;
+      }
+
+      console.log('Starting scheduled integrity verification...');
+      try {
+        await this.integrityVerifier.verify();
+      } catch (error) {
+        console.error('Scheduled integrity verification failed:', error);
+      }
+    });
+  }
+
   /**
    * Stop all scheduled jobs
    */
@@ -164,6 +196,10 @@ class Scheduler {
       console.log(`Stopped scheduled job for channel ${channelId}`);
     });
     this.jobs.clear();
+    if (this.verifyJob) {
+      this.verifyJob.stop();
+      this.verifyJob = null;
+    }
     console.log('All scheduled jobs stopped');
   }
 }
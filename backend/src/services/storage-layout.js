@@ -0,0 +1,312 @@
+const path = require('path');
+const fs = require('fs').promises;
+const db = require('../db');
+
+// Template fields; the id is required so every video gets its own file name
+const PATH_TEMPLATE_FIELDS = [
+  'id', 'title', 'safe_title', 'channel_id', 'channel_title',
+  'upload_date', 'upload_year', 'upload_month'
+];
+// The original flat layout: <videoId>-<title with underscores>
+const LEGACY_PATH_TEMPLATE = '{id}-{safe_title}';
+const DEFAULT_PATH_TEMPLATE = process.env.STORAGE_PATH_TEMPLATE || LEGACY_PATH_TEMPLATE;
+const MAX_TEMPLATE_LENGTH = 500;
+const MAX_VALUE_LENGTH = 100;
+
+const INVALID_PATH_CHARS = /[<>:"\\|?*\u0000-\u001f]/;
+
+/**
+ * Validate a path template.
+ * Returns an error message, or null if the template is valid.
+ */
+function validatePathTemplate(template) {
+  if (typeof template !== 'string' || !template.trim()) return 'pathTemplate is required';
+  if (template.length > MAX_TEMPLATE_LENGTH) return `pathTemplate must be at most ${MAX_TEMPLATE_LENGTH} characters`;
+  if (template.startsWith('/')) return 'pathTemplate must be relative to the storage directory';
+
+  const fields = [...template.matchAll(/\{([^{}]*)\}/g)].map(match => match[1]);
+  const unknown = fields.find(field => !PATH_TEMPLATE_FIELDS.includes(field));
+  if (unknown !== undefined) {
+    return `Unknown field {${unknown}}; available fields: ${PATH_TEMPLATE_FIELDS.map(f => `{${f}}`).join(', ')}`;
+  }
+  if (!fields.includes('id')) return 'pathTemplate must contain {id}';
+
+  const literal = template.replace(/\{[^{}]*\}/g, '');
+  if (/[{}]/.test(literal)) return 'pathTemplate has an unmatched brace';
+  if (INVALID_PATH_CHARS.test(literal)) return 'pathTemplate contains characters that are not allowed in file names';
+  if (template.split('/').some(segment => !segment.trim() || segment === '.' || segment === '..')) {
+    return 'pathTemplate must not contain empty, "." or ".." path segments';
+  }
+  return null;
+}
+
+/**
+ * Make a field value safe to use as part of a single file or directory name
+ */
+function sanitizeValue(value) {
+  return String(value ?? '')
+    .replace(new RegExp(INVALID_PATH_CHARS.source, 'g'), '')
+    .replace(/\//g, '-')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, MAX_VALUE_LENGTH);
+}
+
+/**
+ * Path of a video relative to the storage directory, without extension.
+ * video has id, title, upload_date, channel_id and channel_title.
+ */
+function renderPathTemplate(template, video) {
+  const uploadDate = video.upload_date ? new Date(video.upload_date) : null;
+  const validDate = uploadDate && !isNaN(uploadDate.getTime());
+  const values = {
+    id: video.id,
+    title: video.title,
+    // Same as VideoDownloader.sanitizeFilename, so the legacy layout is unchanged
+    safe_title: String(video.title || '').replace(/[<>:"/\\|?*]/g, '').replace(/\s+/g, '_').substring(0, 100),
+    channel_id: video.channel_id,
+    channel_title: video.channel_title,
+    upload_date: validDate ? uploadDate.toISOString().slice(0, 10) : null,
+    upload_year: validDate ? String(uploadDate.getUTCFullYear()) : null,
+    upload_month: validDate ? String(uploadDate.getUTCMonth() + 1).padStart(2, '0') : null
+  };
+
+  const segments = template
+    .split('/')
+    .map(segment => segment.replace(/\{(\w+)\}/g, (match, field) => sanitizeValue(values[field])));
+
+  return segments
+    .map((segment, index) => {
+      // Directory names ending in a dot or space are not accessible over SMB
+      const name = index < segments.length - 1 ? segment.replace(/[.\s]+$/, '') : segment;
+      return !name.trim() || name === '.' || name === '..' ? 'unknown' : name;
+    })
+    .join('/');
+}
+
+/**
+ * Move a file, copying it when source and target are on different file systems
+ */
+async function moveFile(from, to) {
+  await fs.mkdir(path.dirname(to), { recursive: true });
+  try {
+    await fs.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fs.copyFile(from, to);
+    await fs.unlink(from);
+  }
+}
+
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Moves downloaded videos, with their subtitles and thumbnails, to where the
+ * path template puts them. Each video is moved in its own transaction: if
+ * updating the database fails the files are moved back, and if moving a file
+ * fails the database is left unchanged.
+ */
+class StorageRelocator {
+  constructor(storageDir) {
+    this.storageDir = storageDir;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Files that belong to a video: the video file and everything yt-dlp wrote
+   * next to it with the same base name (subtitles, thumbnail).
+   * Directory listings are cached in listings, as the flat layout puts every video in one directory.
+   */
+  async findVideoFiles(filePath, listings = new Map()) {
+    const dir = path.dirname(filePath);
+    const baseName = path.basename(filePath, path.extname(filePath));
+    if (!listings.has(dir)) {
+      listings.set(dir, await fs.readdir(dir));
+    }
+    const entries = listings.get(dir);
+
+    return entries
+      .filter(entry => entry.startsWith(`${baseName}.`))
+      .map(entry => ({ path: path.join(dir, entry), suffix: entry.slice(baseName.length) }));
+  }
+
+  /**
+   * Work out which videos would move where, without changing anything
+   */
+  async plan(template) {
+    const result = await db.query(
+      `SELECT v.id, v.title, v.upload_date, v.channel_id, v.file_path, c.title as channel_title
+       FROM videos v
+       LEFT JOIN channel c ON v.channel_id = c.id
+       WHERE v.download_status = 'completed' AND v.file_path IS NOT NULL
+       ORDER BY v.channel_id, v.upload_date`
+    );
+
+    const moves = [];
+    const skipped = [];
+    const claimedTargets = new Set();
+    const listings = new Map();
+    let inPlace = 0;
+
+    for (const video of result.rows) {
+      const from = video.file_path;
+      const targetBase = path.join(this.storageDir, renderPathTemplate(template, video));
+      const to = `${targetBase}${path.extname(from)}`;
+
+      if (from === to) {
+        inPlace++;
+        continue;
+      }
+      if (!(await fileExists(from))) {
+        skipped.push({ videoId: video.id, from, reason: 'File not found on disk' });
+        continue;
+      }
+      if (claimedTargets.has(to)) {
+        skipped.push({ videoId: video.id, from, to, reason: 'Another video would be moved to the same path' });
+        continue;
+      }
+
+      const files = (await this.findVideoFiles(from, listings))
+        .map(file => ({ from: file.path, to: `${targetBase}${file.suffix}` }));
+      const existing = [];
+      for (const file of files) {
+        if (await fileExists(file.to)) existing.push(file.to);
+      }
+      if (existing.length > 0) {
+        skipped.push({ videoId: video.id, from, to, reason: `Target already exists: ${existing[0]}` });
+        continue;
+      }
+
+      claimedTargets.add(to);
+      moves.push({ videoId: video.id, from, to, files });
+    }
+
+    return { template, checked: result.rows.length, inPlace, moves, skipped };
+  }
+
+  /**
+   * Move one video's files and update its paths in a single transaction
+   */
+  async relocateVideo(move) {
+    const client = await db.pool.connect();
+    const moved = [];
+
+    try {
+      await client.query('BEGIN');
+
+      // The video may have been re-downloaded or removed since the plan was made
+      const current = await client.query('SELECT file_path FROM videos WHERE id = $1 FOR UPDATE', [move.videoId]);
+      if (current.rows.length === 0 || current.rows[0].file_path !== move.from) {
+        throw new Error('File path changed since the relocation was planned');
+      }
+
+      await client.query('UPDATE videos SET file_path = $1 WHERE id = $2', [move.to, move.videoId]);
+      for (const file of move.files) {
+        await client.query(
+          'UPDATE video_subtitles SET file_path = $1 WHERE video_id = $2 AND file_path = $3',
+          [file.to, move.videoId, file.from]
+        );
+      }
+
+      for (const file of move.files) {
+        await moveFile(file.from, file.to);
+        moved.push(file);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      for (const file of moved.reverse()) {
+        await moveFile(file.to, file.from).catch(moveError => {
+          console.error(`Could not move ${file.to} back to ${file.from}:`, moveError.message);
+        });
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await this.removeEmptyDirs(path.dirname(move.from));
+  }
+
+  /**
+   * Remove a directory left empty by a move, and its empty parents, up to the storage directory
+   */
+  async removeEmptyDirs(dir) {
+    const root = path.resolve(this.storageDir);
+    let current = path.resolve(dir);
+
+    while (current.startsWith(`${root}${path.sep}`)) {
+      try {
+        await fs.rmdir(current);
+      } catch (error) {
+        return; // not empty, or already gone
+      }
+      current = path.dirname(current);
+    }
+  }
+
+  /**
+   * Relocate every downloaded video to match the template.
+   * With dryRun, only reports what would be moved.
+   */
+  async relocate(template, { dryRun = false } = {}) {
+    if (this.running) {
+      throw new Error('A relocation is already running');
+    }
+
+    this.running = true;
+    const startedAt = new Date();
+
+    try {
+      const plan = await this.plan(template);
+      if (dryRun) {
+        return { dryRun: true, startedAt, ...plan };
+      }
+
+      this.lastRun = { dryRun: false, startedAt, finishedAt: null, ...plan, moved: 0, failed: [] };
+      console.log(`Relocating ${plan.moves.length} videos to ${template}`);
+
+      for (const move of plan.moves) {
+        try {
+          await this.relocateVideo(move);
+          this.lastRun.moved++;
+        } catch (error) {
+          console.error(`Error relocating ${move.videoId}:`, error.message);
+          this.lastRun.failed.push({ videoId: move.videoId, from: move.from, to: move.to, error: error.message });
+        }
+      }
+
+      this.lastRun.finishedAt = new Date();
+      console.log(`Relocation finished: ${this.lastRun.moved} moved, ${this.lastRun.failed.length} failed, ${plan.skipped.length} skipped`);
+      return this.lastRun;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Whether a relocation is running, and the outcome of the last one
+   */
+  getStatus() {
+    return { running: this.running, lastRun: this.lastRun };
+  }
+}
+
+module.exports = {
+  PATH_TEMPLATE_FIELDS,
+  LEGACY_PATH_TEMPLATE,
+  DEFAULT_PATH_TEMPLATE,
+  validatePathTemplate,
+  renderPathTemplate,
+  moveFile,
+  StorageRelocator
+};
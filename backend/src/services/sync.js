@@ -1,18 +1,76 @@
 const YouTubeAPIService = require('./youtube-api');
+const ApiKeyPool = require('./api-key-pool');
 const VideoDownloader = require('./downloader');
+const DownloadQueue = require('./download-queue');
+const MediaStore = require('./media-store');
+const { StorageRelocator } = require('./storage-layout');
+const LibraryReconciler = require('./reconcile');
+const LibraryImporter = require('./importer');
+const PreviewGenerator = require('./previews');
+const { QuotaBudgetExceededError } = require('./quota');
+const { refreshChapters } = require('./chapters');
 const db = require('../db');
 
+// Incremental sync stops after this many already-archived uploads in a row
+const INCREMENTAL_STOP_AFTER_KNOWN = parseInt(process.env.INCREMENTAL_STOP_AFTER_KNOWN || '20');
+// Every this many days an incremental sync checks the whole uploads playlist (0 = only on request)
+const DEEP_VERIFY_INTERVAL_DAYS = parseInt(process.env.DEEP_VERIFY_INTERVAL_DAYS || '7');
+// Incremental syncs snapshot the statistics of videos uploaded in the last this many days (0 = off)
+const STATS_REFRESH_DAYS = parseInt(process.env.STATS_REFRESH_DAYS || '30');
+
+/**
+ * IDs of playlist items whose order relative to the other items changed.
+ * Items kept in both versions are compared by order, not raw position, so adding
+ * or removing an item does not count as moving everything after it. The items
+ * outside the longest run that kept its relative order are the ones that moved.
+ */
+function findMovedItems(previousPositions, items) {
+  const kept = items
+    .filter(item => previousPositions.has(item.id))
+    .sort((a, b) => a.position - b.position);
+
+  // Longest increasing subsequence of the previous positions, in new order
+  const tails = []; // index into kept of the smallest tail of each length
+  const parents = new Array(kept.length).fill(-1);
+  kept.forEach((item, index) => {
+    const previous = previousPositions.get(item.id);
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (previousPositions.get(kept[tails[middle]].id) < previous) low = middle + 1;
+      else high = middle;
+    }
+    parents[index] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = index;
+  });
+
+  const inOrder = new Set();
+  for (let index = tails.length > 0 ? tails[tails.length - 1] : -1; index !== -1; index = parents[index]) {
+    inOrder.add(kept[index].id);
+  }
+  return new Set(kept.filter(item => !inOrder.has(item.id)).map(item => item.id));
+}
+
 class SyncService {
   constructor() {
     this.downloader = new VideoDownloader(process.env.VIDEO_STORAGE_PATH || '/data/videos');
+    this.mediaStore = new MediaStore();
+    this.downloadQueue = new DownloadQueue(this.downloader, this.mediaStore);
+    this.storageRelocator = new StorageRelocator(this.downloader.outputDir);
+    this.libraryReconciler = new LibraryReconciler(this.downloader.outputDir, this.downloadQueue, this.mediaStore);
+    this.libraryImporter = new LibraryImporter(this.downloader.outputDir, this.mediaStore);
+    this.previewGenerator = new PreviewGenerator(this.mediaStore);
     this.cancellationFlags = new Map(); // Track cancellation requests
   }
 
   /**
-   * Get YouTube API instance for a specific channel
+   * Get YouTube API instance for a specific channel, using the channel's
+   * keys from the pool (or apiKey if the pool is empty)
    */
-  getYouTubeAPI(apiKey) {
-    return new YouTubeAPIService(apiKey);
+  async getYouTubeAPI(apiKey, channelId = null) {
+    const keyPool = await ApiKeyPool.forChannel(channelId, apiKey);
+    return new YouTubeAPIService(keyPool, { channelId });
   }
 
   /**
@@ -48,8 +106,13 @@ class SyncService {
    * Full sync: Download all channel data
    */
   async fullSync(channelId, apiKey) {
+    // Pick up where a sync paused by the quota budget left off
+    const resumeState = await this.getPausedSyncState(channelId, 'full_sync');
+    const alreadyProcessed = new Set(resumeState?.processedVideoIds || []);
+
+    const youtubeAPI = await this.getYouTubeAPI(apiKey, channelId);
     const syncLogId = await this.createSyncLog(channelId, 'full_sync', 'running');
-    const youtubeAPI = this.getYouTubeAPI(apiKey);
+    const processedVideoIds = [];
 
     // Clear any previous cancellation flags
     this.clearCancellation(channelId);
@@ -70,6 +133,10 @@ class SyncService {
       const videos = await youtubeAPI.getAllChannelVideos(channelDetails.uploadsPlaylistId);
       console.log(`Found ${videos.length} videos to process`);
 
+      if (alreadyProcessed.size > 0) {
+        console.log(`Resuming paused sync, skipping ${alreadyProcessed.size} already processed videos`);
+      }
+
       let processedCount = 0;
 
       // 3. Process each video
@@ -80,7 +147,12 @@ class SyncService {
           throw new Error('Sync cancelled by user');
         }
 
+        if (alreadyProcessed.has(video.id)) {
+          continue;
+        }
+
         await this.processVideo(video, channelId, youtubeAPI);
+        processedVideoIds.push(video.id);
         processedCount++;
 
         if (processedCount % 10 === 0) {
@@ -88,12 +160,27 @@ class SyncService {
         }
       }
 
-      // 4. Update sync log
+      // 4. Archive the channel's playlists
+      await this.syncPlaylists(channelId, youtubeAPI);
+
+      // 5. Flag videos that were removed, privated or unlisted on YouTube
+      await this.checkRemoteStatus(channelId, youtubeAPI, videos.map(video => video.id));
+
+      // Every upload has been checked, so this also counts as a deep verify
+      await this.saveSyncCursor(channelId, videos.length > 0 ? videos[0].id : null, { deepVerified: true });
+
+      // 6. Update sync log
       await this.updateSyncLog(syncLogId, 'completed', processedCount, 0);
       console.log(`Full sync completed successfully for ${channelId}`);
 
       return { success: true, videosProcessed: processedCount };
     } catch (error) {
+      if (error instanceof QuotaBudgetExceededError) {
+        return await this.pauseSync(syncLogId, channelId, error, processedVideoIds.length, {
+          processedVideoIds: [...alreadyProcessed, ...processedVideoIds]
+        });
+      }
+
       console.error(`Full sync failed for ${channelId}:`, error);
       await this.updateSyncLog(syncLogId, 'failed', 0, 0, error.message);
       throw error;
@@ -101,9 +188,37 @@ class SyncService {
   }
 
   /**
-   * Process a single video: save metadata, download video, fetch comments
+   * Stop a sync that ran out of quota budget, saving enough state to resume it.
+   * The next sync of the same type continues from here.
+   */
+  async pauseSync(syncLogId, channelId, error, videosProcessed, resumeState = null) {
+    console.warn(`Sync paused for ${channelId}: ${error.message}`);
+    await this.updateSyncLog(syncLogId, 'paused', videosProcessed, 0, error.message, resumeState);
+    return { success: false, paused: true, reason: error.message, videosProcessed };
+  }
+
+  /**
+   * Get the saved resume state if the latest sync of this type was paused
+   */
+  async getPausedSyncState(channelId, syncType) {
+    const result = await db.query(
+      `SELECT status, resume_state FROM sync_log
+       WHERE channel_id = $1 AND sync_type = $2
+       ORDER BY started_at DESC
+       LIMIT 1`,
+      [channelId, syncType]
+    );
+
+    if (result.rows.length === 0 || result.rows[0].status !== 'paused') {
+      return null;
+    }
+    return result.rows[0].resume_state;
+  }
+
+  /**
+   * Process a single video: save metadata, queue the download, fetch comments
    */
-  async processVideo(video, channelId, youtubeAPI) {
+  async processVideo(video, channelId, youtubeAPI, { downloadPriority = 0 } = {}) {
     try {
       // Save video metadata
       await this.saveVideoMetadata(video, channelId);
@@ -117,13 +232,16 @@ class SyncService {
       if (existingVideo.rows.length > 0 && existingVideo.rows[0].download_status === 'completed') {
         console.log(`Video ${video.id} already downloaded, skipping...`);
       } else {
-        // Download the video
-        await this.downloadAndSaveVideo(video);
+        // Hand the download off to the queue worker
+        await this.downloadQueue.enqueue(video.id, channelId, { priority: downloadPriority });
       }
 
       // Fetch and save comments
       await this.fetchAndSaveComments(video.id, youtubeAPI);
     } catch (error) {
+      if (error instanceof QuotaBudgetExceededError) {
+        throw error;
+      }
       console.error(`Error processing video ${video.id}:`, error.message);
       // Mark video as failed
       await db.query(
@@ -134,79 +252,170 @@ class SyncService {
   }
 
   /**
-   * Download video and update database
-   */
-  async downloadAndSaveVideo(video) {
-    // Update status to downloading
-    await db.query(
-      'UPDATE videos SET download_status = $1 WHERE id = $2',
-      ['downloading', video.id]
-    );
-
-    const result = await this.downloader.downloadVideo(video.id, video.title);
-
-    if (result.success) {
-      await db.query(
-        'UPDATE videos SET download_status = $1, file_path = $2, downloaded_at = CURRENT_TIMESTAMP WHERE id = $3',
-        ['completed', result.filePath, video.id]
-      );
-      console.log(`Successfully downloaded: ${video.title}`);
-    } else {
-      await db.query(
-        'UPDATE videos SET download_status = $1 WHERE id = $2',
-        ['failed', video.id]
-      );
-      console.error(`Failed to download: ${video.title}`);
-    }
-  }
-
-  /**
-   * Fetch and save comments for a video
+   * Fetch and save comments for a video.
+   * Comments are never removed from the archive: ones that disappear from
+   * YouTube get deleted_at set, and edited ones keep their earlier text in
+   * comment_revisions.
    */
   async fetchAndSaveComments(videoId, youtubeAPI) {
     try {
       const comments = await youtubeAPI.getVideoComments(videoId);
 
-      // Delete existing comments for this video
-      await db.query('DELETE FROM comments WHERE video_id = $1', [videoId]);
+      // Disabling comments hides them but does not delete them, so leave the archive as is
+      if (comments === null) {
+        return 0;
+      }
+
+      const existingResult = await db.query(
+        `SELECT id, parent_comment_id, text_display, text_original, updated_at, deleted_at
+         FROM comments WHERE video_id = $1`,
+        [videoId]
+      );
+      const existing = new Map(existingResult.rows.map(row => [row.id, row]));
+
+      let edited = 0;
 
-      // Insert new comments
       for (const comment of comments) {
+        const previous = existing.get(comment.id);
+
+        if (previous && this.isCommentEdited(previous, comment)) {
+          await db.query(
+            `INSERT INTO comment_revisions (comment_id, text_display, text_original, updated_at)
+             VALUES ($1, $2, $3, $4)`,
+            [comment.id, previous.text_display, previous.text_original, previous.updated_at]
+          );
+          edited++;
+        }
+
         await db.query(
           `INSERT INTO comments (
             id, video_id, parent_comment_id, author_name, author_channel_id,
             author_profile_image_url, text_display, text_original, like_count,
-            published_at, updated_at
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+            published_at, updated_at, total_reply_count, last_seen_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, CURRENT_TIMESTAMP)
           ON CONFLICT (id) DO UPDATE SET
+            author_name = EXCLUDED.author_name,
+            author_profile_image_url = EXCLUDED.author_profile_image_url,
+            text_display = EXCLUDED.text_display,
+            text_original = EXCLUDED.text_original,
             like_count = EXCLUDED.like_count,
-            updated_at = EXCLUDED.updated_at`,
+            updated_at = EXCLUDED.updated_at,
+            total_reply_count = EXCLUDED.total_reply_count,
+            last_seen_at = CURRENT_TIMESTAMP,
+            deleted_at = NULL`,
           [
             comment.id, comment.videoId, comment.parentCommentId,
             comment.authorName, comment.authorChannelId,
             comment.authorProfileImageUrl, comment.textDisplay,
             comment.textOriginal, comment.likeCount,
-            comment.publishedAt, comment.updatedAt
+            comment.publishedAt, comment.updatedAt,
+            comment.parentCommentId ? null : comment.totalReplyCount
           ]
         );
       }
 
+      await this.saveCommentAvatars(videoId, comments);
+
+      const deletedIds = this.findDeletedCommentIds(existingResult.rows, comments);
+      if (deletedIds.length > 0) {
+        await db.query(
+          'UPDATE comments SET deleted_at = CURRENT_TIMESTAMP WHERE id = ANY($1)',
+          [deletedIds]
+        );
+        console.log(`Marked ${deletedIds.length} comments on ${videoId} as deleted`);
+      }
+      if (edited > 0) {
+        console.log(`Recorded ${edited} edited comments on ${videoId}`);
+      }
+
+      // Threads with fewer archived replies than YouTube reports are incomplete
+      await db.query(
+        `UPDATE comments c SET archived_reply_count = (
+          SELECT COUNT(*) FROM comments r
+          WHERE r.parent_comment_id = c.id AND r.deleted_at IS NULL
+        )
+        WHERE c.video_id = $1 AND c.parent_comment_id IS NULL`,
+        [videoId]
+      );
+      const incomplete = comments.filter(comment => comment.fetchedReplyCount < comment.totalReplyCount);
+      if (incomplete.length > 0) {
+        console.warn(`${incomplete.length} comment threads on ${videoId} are missing replies`);
+      }
+
       // Update comment count
       await db.query(
         'UPDATE videos SET comment_count = $1 WHERE id = $2',
         [comments.length, videoId]
       );
+
+      return comments.length;
     } catch (error) {
+      if (error instanceof QuotaBudgetExceededError) {
+        throw error;
+      }
       console.error(`Error fetching comments for video ${videoId}:`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Store comment-author avatars locally. Each distinct avatar URL is only
+   * fetched once across the whole archive.
+   */
+  async saveCommentAvatars(videoId, comments) {
+    const urls = new Set(comments.map(comment => comment.authorProfileImageUrl).filter(Boolean));
+
+    for (const url of urls) {
+      const sha256 = await this.mediaStore.storeUrl(url);
+      if (sha256) {
+        await db.query(
+          `UPDATE comments SET author_image_sha256 = $1
+           WHERE video_id = $2 AND author_profile_image_url = $3`,
+          [sha256, videoId, url]
+        );
+      }
     }
   }
 
+  /**
+   * Whether a fetched comment differs from the archived version
+   */
+  isCommentEdited(previous, comment) {
+    if (previous.text_original !== comment.textOriginal) {
+      return true;
+    }
+    return Boolean(previous.updated_at && comment.updatedAt) &&
+      new Date(previous.updated_at).getTime() !== comment.updatedAt.getTime();
+  }
+
+  /**
+   * Archived comments that are no longer on YouTube.
+   * Replies are only counted as deleted when their thread was fetched with
+   * all of its replies, or when the whole thread is gone.
+   */
+  findDeletedCommentIds(archived, comments) {
+    const fetchedIds = new Set(comments.map(comment => comment.id));
+    const completeThreads = new Set(
+      comments
+        .filter(comment => !comment.parentCommentId && comment.fetchedReplyCount >= comment.totalReplyCount)
+        .map(comment => comment.id)
+    );
+
+    return archived
+      .filter(row => !row.deleted_at && !fetchedIds.has(row.id))
+      .filter(row => !row.parent_comment_id ||
+        completeThreads.has(row.parent_comment_id) ||
+        !fetchedIds.has(row.parent_comment_id))
+      .map(row => row.id);
+  }
+
   /**
    * Refresh comments for videos from the last 6 months
    */
   async refreshRecentComments(channelId, apiKey) {
+    const youtubeAPI = await this.getYouTubeAPI(apiKey, channelId);
     const syncLogId = await this.createSyncLog(channelId, 'comments_refresh', 'running');
-    const youtubeAPI = this.getYouTubeAPI(apiKey);
+    let videosProcessed = 0;
 
     try {
       console.log(`Refreshing comments for videos from last 6 months (${channelId})...`);
@@ -225,9 +434,8 @@ class SyncService {
       let commentsProcessed = 0;
 
       for (const videoId of videoIds) {
-        const comments = await youtubeAPI.getVideoComments(videoId);
-        await this.fetchAndSaveComments(videoId, youtubeAPI);
-        commentsProcessed += comments.length;
+        commentsProcessed += await this.fetchAndSaveComments(videoId, youtubeAPI);
+        videosProcessed++;
       }
 
       await this.updateSyncLog(syncLogId, 'completed', videoIds.length, commentsProcessed);
@@ -235,6 +443,10 @@ class SyncService {
 
       return { success: true, videosProcessed: videoIds.length, commentsProcessed };
     } catch (error) {
+      if (error instanceof QuotaBudgetExceededError) {
+        return await this.pauseSync(syncLogId, channelId, error, videosProcessed);
+      }
+
       console.error(`Comments refresh failed for ${channelId}:`, error);
       await this.updateSyncLog(syncLogId, 'failed', 0, 0, error.message);
       throw error;
@@ -242,11 +454,15 @@ class SyncService {
   }
 
   /**
-   * Incremental sync: Only process new videos
+   * Incremental sync: Only process new videos.
+   * Walks the uploads playlist newest-first and stops once it reaches the
+   * channel's cursor or a run of known videos. A deep verify checks every
+   * upload instead, to catch videos missed by earlier syncs.
    */
-  async incrementalSync(channelId, apiKey) {
+  async incrementalSync(channelId, apiKey, { deepVerify = false } = {}) {
+    const youtubeAPI = await this.getYouTubeAPI(apiKey, channelId);
     const syncLogId = await this.createSyncLog(channelId, 'incremental_sync', 'running');
-    const youtubeAPI = this.getYouTubeAPI(apiKey);
+    let newVideosCount = 0;
 
     // Clear any previous cancellation flags
     this.clearCancellation(channelId);
@@ -260,9 +476,25 @@ class SyncService {
       }
 
       const channelDetails = await youtubeAPI.getChannelDetails(channelId);
-      const videos = await youtubeAPI.getAllChannelVideos(channelDetails.uploadsPlaylistId);
+      const cursor = await this.getSyncCursor(channelId);
+      const runDeepVerify = deepVerify || this.isDeepVerifyDue(cursor);
 
-      let newVideosCount = 0;
+      if (runDeepVerify) {
+        console.log(`Deep verify: checking every upload of ${channelId}`);
+      }
+
+      const { newVideoIds, newestVideoId, seenVideoIds } = await youtubeAPI.getNewVideoIds(
+        channelDetails.uploadsPlaylistId,
+        videoIds => this.findArchivedVideoIds(videoIds),
+        {
+          cursorVideoId: cursor.sync_cursor_video_id,
+          stopAfterKnown: INCREMENTAL_STOP_AFTER_KNOWN,
+          deepVerify: runDeepVerify
+        }
+      );
+
+      // Details are only fetched for videos not in the archive yet
+      const videos = await youtubeAPI.getVideosByIds(newVideoIds);
 
       for (const video of videos) {
         // Check for cancellation
@@ -271,29 +503,315 @@ class SyncService {
           throw new Error('Sync cancelled by user');
         }
 
-        const existing = await db.query('SELECT id FROM videos WHERE id = $1', [video.id]);
+        console.log(`New video found: ${video.title}`);
+        // New uploads jump ahead of any full-sync backlog
+        await this.processVideo(video, channelId, youtubeAPI, { downloadPriority: 10 });
+        newVideosCount++;
+      }
 
-        if (existing.rows.length === 0) {
-          console.log(`New video found: ${video.title}`);
-          await this.processVideo(video, channelId, youtubeAPI);
-          newVideosCount++;
-        }
+      // Only a deep verify has seen every upload, so only it can tell what disappeared
+      if (runDeepVerify) {
+        await this.checkRemoteStatus(channelId, youtubeAPI, seenVideoIds);
       }
 
+      await this.saveSyncCursor(channelId, newestVideoId, { deepVerified: runDeepVerify });
+
+      // Track how recent uploads are growing
+      await this.refreshRecentStats(channelId, youtubeAPI);
+
+      // Pick up playlist changes since the last sync
+      await this.syncPlaylists(channelId, youtubeAPI);
+
       // Also refresh comments for recent videos
-      await this.refreshRecentComments(channelId, apiKey);
+      const refreshResult = await this.refreshRecentComments(channelId, apiKey);
+      if (refreshResult.paused) {
+        // New videos are in; the comment refresh simply runs again next time
+        await this.updateSyncLog(syncLogId, 'paused', newVideosCount, 0, refreshResult.reason);
+        return { success: false, paused: true, reason: refreshResult.reason, newVideos: newVideosCount };
+      }
 
       await this.updateSyncLog(syncLogId, 'completed', newVideosCount, 0);
       console.log(`Incremental sync completed for ${channelId}. Processed ${newVideosCount} new videos`);
 
       return { success: true, newVideos: newVideosCount };
     } catch (error) {
+      if (error instanceof QuotaBudgetExceededError) {
+        // Videos not yet in the database are found again on the next run
+        return await this.pauseSync(syncLogId, channelId, error, newVideosCount);
+      }
+
       console.error(`Incremental sync failed for ${channelId}:`, error);
       await this.updateSyncLog(syncLogId, 'failed', 0, 0, error.message);
       throw error;
     }
   }
 
+  /**
+   * Compare the archived videos of a channel with its uploads playlist and
+   * record each video's remote_status (available, unlisted, private, deleted).
+   * Videos missing from the playlist are looked up individually; the API does
+   * not return private or deleted ones, so an archived playlist entry titled
+   * "Private video" is used to tell the two apart.
+   */
+  async checkRemoteStatus(channelId, youtubeAPI, remoteVideoIds) {
+    const localResult = await db.query(
+      'SELECT id, remote_status FROM videos WHERE channel_id = $1',
+      [channelId]
+    );
+
+    const inUploads = new Set(remoteVideoIds);
+    const missingIds = localResult.rows.map(row => row.id).filter(id => !inUploads.has(id));
+    const privacyStatuses = missingIds.length > 0
+      ? await youtubeAPI.getVideoStatuses(missingIds)
+      : new Map();
+
+    const hiddenIds = missingIds.filter(id => !privacyStatuses.has(id));
+    const privateIds = new Set();
+    if (hiddenIds.length > 0) {
+      const privateResult = await db.query(
+        `SELECT DISTINCT video_id FROM playlist_items
+         WHERE video_id = ANY($1) AND removed_at IS NULL AND title = 'Private video'`,
+        [hiddenIds]
+      );
+      privateResult.rows.forEach(row => privateIds.add(row.video_id));
+    }
+
+    let changed = 0;
+
+    for (const video of localResult.rows) {
+      let remoteStatus;
+      if (inUploads.has(video.id)) {
+        remoteStatus = 'available';
+      } else if (privacyStatuses.has(video.id)) {
+        const privacyStatus = privacyStatuses.get(video.id);
+        remoteStatus = privacyStatus === 'public' ? 'available' : privacyStatus;
+      } else {
+        remoteStatus = privateIds.has(video.id) ? 'private' : 'deleted';
+      }
+
+      if (remoteStatus !== (video.remote_status || 'available')) {
+        console.log(`Video ${video.id} is now ${remoteStatus} on YouTube (was ${video.remote_status || 'available'})`);
+        await db.query(
+          `UPDATE videos SET remote_status = $1, remote_status_changed_at = CURRENT_TIMESTAMP
+           WHERE id = $2`,
+          [remoteStatus, video.id]
+        );
+        changed++;
+      }
+    }
+
+    console.log(`Checked remote status of ${localResult.rows.length} videos for ${channelId}, ${changed} changed`);
+    return changed;
+  }
+
+  /**
+   * Update statistics of recent uploads, recording a snapshot for each.
+   * Costs one API unit per 50 videos.
+   */
+  async refreshRecentStats(channelId, youtubeAPI) {
+    if (STATS_REFRESH_DAYS <= 0) {
+      return 0;
+    }
+
+    const result = await db.query(
+      `SELECT id FROM videos
+       WHERE channel_id = $1 AND upload_date >= CURRENT_TIMESTAMP - ($2::int * INTERVAL '1 day')
+         AND remote_status = 'available'`,
+      [channelId, STATS_REFRESH_DAYS]
+    );
+
+    const videos = await youtubeAPI.getVideosByIds(result.rows.map(row => row.id));
+    for (const video of videos) {
+      await this.saveVideoMetadata(video, channelId);
+    }
+
+    console.log(`Refreshed statistics for ${videos.length} recent videos of ${channelId}`);
+    return videos.length;
+  }
+
+  /**
+   * Get the channel's upload cursor and when it was last deep verified
+   */
+  async getSyncCursor(channelId) {
+    const result = await db.query(
+      'SELECT sync_cursor_video_id, last_deep_verify_at FROM channel WHERE id = $1',
+      [channelId]
+    );
+    return result.rows[0] || { sync_cursor_video_id: null, last_deep_verify_at: null };
+  }
+
+  /**
+   * Whether the periodic deep verify is due for a channel
+   */
+  isDeepVerifyDue(cursor) {
+    if (DEEP_VERIFY_INTERVAL_DAYS <= 0) {
+      return false;
+    }
+    if (!cursor.last_deep_verify_at) {
+      return true;
+    }
+    const dueAt = new Date(cursor.last_deep_verify_at);
+    dueAt.setDate(dueAt.getDate() + DEEP_VERIFY_INTERVAL_DAYS);
+    return dueAt <= new Date();
+  }
+
+  /**
+   * Move the channel's cursor to the newest upload seen by a completed sync
+   */
+  async saveSyncCursor(channelId, newestVideoId, { deepVerified = false } = {}) {
+    await db.query(
+      `UPDATE channel SET
+        sync_cursor_video_id = COALESCE($1, sync_cursor_video_id),
+        sync_cursor_updated_at = CURRENT_TIMESTAMP,
+        last_deep_verify_at = CASE WHEN $2::boolean THEN CURRENT_TIMESTAMP ELSE last_deep_verify_at END
+      WHERE id = $3`,
+      [newestVideoId, deepVerified, channelId]
+    );
+  }
+
+  /**
+   * Which of the given video IDs are already in the archive
+   */
+  async findArchivedVideoIds(videoIds) {
+    if (videoIds.length === 0) {
+      return new Set();
+    }
+    const result = await db.query('SELECT id FROM videos WHERE id = ANY($1)', [videoIds]);
+    return new Set(result.rows.map(row => row.id));
+  }
+
+  /**
+   * Archive a channel's public playlists and record what changed since the last sync
+   */
+  async syncPlaylists(channelId, youtubeAPI) {
+    const playlists = await youtubeAPI.getChannelPlaylists(channelId);
+
+    const existingResult = await db.query(
+      'SELECT id, title, description, removed_at FROM playlists WHERE channel_id = $1',
+      [channelId]
+    );
+    const existing = new Map(existingResult.rows.map(row => [row.id, row]));
+
+    for (const playlist of playlists) {
+      // Check for cancellation
+      if (this.isCancelled(channelId)) {
+        throw new Error('Sync cancelled by user');
+      }
+
+      // Fetch items before touching the database so a quota pause leaves the playlist as it was
+      const items = await youtubeAPI.getPlaylistItems(playlist.id);
+      const previous = existing.get(playlist.id);
+
+      await db.query(
+        `INSERT INTO playlists (
+          id, channel_id, title, description, thumbnail_url,
+          privacy_status, item_count, published_at, removed_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NULL)
+        ON CONFLICT (id) DO UPDATE SET
+          title = EXCLUDED.title,
+          description = EXCLUDED.description,
+          thumbnail_url = EXCLUDED.thumbnail_url,
+          privacy_status = EXCLUDED.privacy_status,
+          item_count = EXCLUDED.item_count,
+          removed_at = NULL`,
+        [
+          playlist.id, channelId, playlist.title, playlist.description,
+          playlist.thumbnailUrl, playlist.privacyStatus, playlist.itemCount,
+          playlist.publishedAt
+        ]
+      );
+
+      if (!previous) {
+        await this.recordPlaylistChange(playlist.id, 'created', null, null, playlist.title);
+      } else {
+        if (previous.removed_at) {
+          await this.recordPlaylistChange(playlist.id, 'restored', null, null, playlist.title);
+        }
+        if (previous.title !== playlist.title) {
+          await this.recordPlaylistChange(playlist.id, 'renamed', null, previous.title, playlist.title);
+        }
+        if ((previous.description || '') !== (playlist.description || '')) {
+          await this.recordPlaylistChange(playlist.id, 'description_changed', null, previous.description, playlist.description);
+        }
+      }
+
+      await this.savePlaylistItems(playlist.id, items, { recordChanges: Boolean(previous) });
+    }
+
+    // Playlists that are gone (deleted or made private) stay archived
+    const remoteIds = new Set(playlists.map(playlist => playlist.id));
+    for (const row of existingResult.rows) {
+      if (!remoteIds.has(row.id) && !row.removed_at) {
+        await db.query('UPDATE playlists SET removed_at = CURRENT_TIMESTAMP WHERE id = $1', [row.id]);
+        await this.recordPlaylistChange(row.id, 'removed', null, row.title, null);
+      }
+    }
+
+    console.log(`Archived ${playlists.length} playlists for ${channelId}`);
+    return playlists.length;
+  }
+
+  /**
+   * Save a playlist's items, marking ones no longer in it as removed.
+   * Item changes are only recorded once the playlist has been archived before.
+   */
+  async savePlaylistItems(playlistId, items, { recordChanges = true } = {}) {
+    const existingResult = await db.query(
+      'SELECT id, video_id, position FROM playlist_items WHERE playlist_id = $1 AND removed_at IS NULL',
+      [playlistId]
+    );
+    const existing = new Map(existingResult.rows.map(row => [row.id, row]));
+    const moved = findMovedItems(new Map(existingResult.rows.map(row => [row.id, row.position])), items);
+
+    for (const item of items) {
+      await db.query(
+        `INSERT INTO playlist_items (
+          id, playlist_id, video_id, position, title, thumbnail_url,
+          video_owner_channel_id, added_at, removed_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NULL)
+        ON CONFLICT (id) DO UPDATE SET
+          position = EXCLUDED.position,
+          title = EXCLUDED.title,
+          thumbnail_url = EXCLUDED.thumbnail_url,
+          removed_at = NULL`,
+        [
+          item.id, playlistId, item.videoId, item.position, item.title,
+          item.thumbnailUrl, item.videoOwnerChannelId, item.addedAt
+        ]
+      );
+
+      if (!recordChanges) continue;
+
+      const previous = existing.get(item.id);
+      if (!previous) {
+        await this.recordPlaylistChange(playlistId, 'item_added', item.videoId, null, String(item.position));
+      } else if (moved.has(item.id)) {
+        await this.recordPlaylistChange(playlistId, 'item_moved', item.videoId, String(previous.position), String(item.position));
+      }
+    }
+
+    const remoteIds = new Set(items.map(item => item.id));
+    for (const row of existingResult.rows) {
+      if (!remoteIds.has(row.id)) {
+        await db.query('UPDATE playlist_items SET removed_at = CURRENT_TIMESTAMP WHERE id = $1', [row.id]);
+        if (recordChanges) {
+          await this.recordPlaylistChange(playlistId, 'item_removed', row.video_id, String(row.position), null);
+        }
+      }
+    }
+  }
+
+  /**
+   * Record a playlist change detected during sync
+   */
+  async recordPlaylistChange(playlistId, changeType, videoId, oldValue, newValue) {
+    await db.query(
+      `INSERT INTO playlist_changes (playlist_id, change_type, video_id, old_value, new_value)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [playlistId, changeType, videoId, oldValue, newValue]
+    );
+  }
+
   /**
    * Save channel details to database
    */
@@ -311,7 +829,7 @@ class SyncService {
         video_count = EXCLUDED.video_count,
         view_count = EXCLUDED.view_count,
         thumbnail_url = EXCLUDED.thumbnail_url,
-        api_key = EXCLUDED.api_key,
+        api_key = COALESCE(EXCLUDED.api_key, channel.api_key),
         updated_at = CURRENT_TIMESTAMP`,
       [
         channel.id, channel.title, channel.description, channel.customUrl,
@@ -319,13 +837,20 @@ class SyncService {
         channel.thumbnailUrl, apiKey
       ]
     );
+
+    // The avatar URL changes when the channel changes its avatar
+    const avatarSha256 = await this.mediaStore.storeUrl(channel.thumbnailUrl);
+    if (avatarSha256) {
+      await db.query('UPDATE channel SET thumbnail_sha256 = $1 WHERE id = $2', [avatarSha256, channel.id]);
+    }
   }
 
   /**
-   * Save video metadata to database
+   * Save video metadata to database, keeping a snapshot of its statistics.
+   * The thumbnail is stored locally the first time the video is seen.
    */
   async saveVideoMetadata(video, channelId) {
-    await db.query(
+    const saved = await db.query(
       `INSERT INTO videos (
         id, channel_id, title, description, upload_date, duration,
         view_count, like_count, comment_count, thumbnail_url, tags,
@@ -337,7 +862,8 @@ class SyncService {
         view_count = EXCLUDED.view_count,
         like_count = EXCLUDED.like_count,
         comment_count = EXCLUDED.comment_count,
-        updated_at = CURRENT_TIMESTAMP`,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING thumbnail_sha256`,
       [
         video.id, channelId, video.title, video.description,
         video.uploadDate, video.duration, video.viewCount, video.likeCount,
@@ -345,6 +871,47 @@ class SyncService {
         video.categoryId, video.privacyStatus, 'pending'
       ]
     );
+
+    await db.query(
+      `INSERT INTO video_stat_snapshots (video_id, view_count, like_count, comment_count)
+       VALUES ($1, $2, $3, $4)`,
+      [video.id, video.viewCount, video.likeCount, video.commentCount]
+    );
+
+    if (video.raw) {
+      await this.saveRawApiResource(video.id, video.raw);
+    }
+
+    // The description may have gained or lost chapters
+    await refreshChapters(video.id).catch(error => {
+      console.error(`Error saving chapters for ${video.id}:`, error.message);
+    });
+
+    if (!saved.rows[0].thumbnail_sha256) {
+      const thumbnailSha256 = await this.mediaStore.storeUrl(video.thumbnailUrl);
+      if (thumbnailSha256) {
+        await db.query('UPDATE videos SET thumbnail_sha256 = $1 WHERE id = $2', [thumbnailSha256, video.id]);
+      }
+    }
+  }
+
+  /**
+   * Keep the complete API resource of a video, replacing the one from the last sync.
+   * A resource that cannot be stored is logged, not treated as a sync error.
+   */
+  async saveRawApiResource(videoId, resource) {
+    try {
+      await db.query(
+        `INSERT INTO video_raw_metadata (video_id, api_resource, api_fetched_at)
+         VALUES ($1, $2, CURRENT_TIMESTAMP)
+         ON CONFLICT (video_id) DO UPDATE SET
+           api_resource = EXCLUDED.api_resource,
+           api_fetched_at = EXCLUDED.api_fetched_at`,
+        [videoId, JSON.stringify(resource)]
+      );
+    } catch (error) {
+      console.error(`Error saving API metadata for ${videoId}:`, error.message);
+    }
   }
 
   /**
@@ -361,16 +928,17 @@ class SyncService {
   /**
    * Update sync log entry
    */
-  async updateSyncLog(id, status, videosProcessed, commentsProcessed, errors = null) {
+  async updateSyncLog(id, status, videosProcessed, commentsProcessed, errors = null, resumeState = null) {
     await db.query(
       `UPDATE sync_log SET
         status = $1,
         videos_processed = $2,
         comments_processed = $3,
         errors = $4,
+        resume_state = $5,
         completed_at = CURRENT_TIMESTAMP
-      WHERE id = $5`,
-      [status, videosProcessed, commentsProcessed, errors, id]
+      WHERE id = $6`,
+      [status, videosProcessed, commentsProcessed, errors, resumeState ? JSON.stringify(resumeState) : null, id]
     );
   }
 }
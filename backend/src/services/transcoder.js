@@ -0,0 +1,347 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const fs = require('fs').promises;
+const { probeFile } = require('./integrity');
+
+// A different ffmpeg binary (e.g. the offline stand-in) can be used via FFMPEG_PATH
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+// Inside the video directory by default; hidden directories are skipped by library scans
+const DEFAULT_HLS_CACHE_PATH = process.env.HLS_CACHE_PATH ||
+  path.join(process.env.VIDEO_STORAGE_PATH || '/data/videos', '.hls');
+// Least recently watched videos are evicted once the cache grows past this size
+const HLS_CACHE_MAX_GB = parseFloat(process.env.HLS_CACHE_MAX_GB || '10');
+// ffmpeg runs at a time; more viewers of other videos get the direct stream instead
+const HLS_MAX_JOBS = parseInt(process.env.HLS_MAX_JOBS || '1');
+// Transcoded video is scaled down to at most this height
+const HLS_MAX_HEIGHT = parseInt(process.env.HLS_MAX_HEIGHT || '1080');
+const SEGMENT_SECONDS = 6;
+// How long a playlist request waits for the first segment of a new transcode
+const START_TIMEOUT = 30000; // ms
+const START_POLL_INTERVAL = 500; // ms
+
+const PLAYLIST_NAME = 'index.m3u8';
+const SOURCE_NAME = 'source.json';
+const SEGMENT_NAME = /^segment_\d{5}\.ts$/;
+
+// Codecs every browser plays; other codecs are transcoded to H.264 and AAC
+const COPY_VIDEO_CODECS = ['h264'];
+const COPY_AUDIO_CODECS = ['aac', 'mp3'];
+// Containers browsers play directly (with the codecs above)
+const DIRECT_PLAY_FORMATS = ['mp4', 'm4a', 'mp3'];
+
+class TranscoderBusyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TranscoderBusyError';
+  }
+}
+
+/**
+ * How a downloaded file can be played in the browser:
+ * - direct: stream the file as it is
+ * - remux: the codecs play everywhere, but the container does not; copied into HLS segments
+ * - transcode: at least one stream is re-encoded
+ * Files that were never probed are judged by their container.
+ */
+function getPlaybackMode({ file_format: format, video_codec: videoCodec, audio_codec: audioCodec }) {
+  if (!videoCodec && !audioCodec) {
+    return DIRECT_PLAY_FORMATS.includes(format) ? 'direct' : 'transcode';
+  }
+
+  const copyVideo = !videoCodec || COPY_VIDEO_CODECS.includes(videoCodec);
+  const copyAudio = !audioCodec || COPY_AUDIO_CODECS.includes(audioCodec);
+  if (!copyVideo || !copyAudio) return 'transcode';
+  return DIRECT_PLAY_FORMATS.includes(format) ? 'direct' : 'remux';
+}
+
+/**
+ * ffmpeg arguments that turn a file into an HLS playlist with MPEG-TS segments,
+ * copying the streams that can be copied
+ */
+function buildHlsArgs(inputPath, outputDir, { copyVideo, copyAudio }) {
+  const videoArgs = copyVideo
+    ? ['-c:v', 'copy']
+    : [
+      '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p',
+      '-vf', `scale=-2:'min(ih,${HLS_MAX_HEIGHT})'`,
+      // A keyframe at every segment boundary, so segments have the same length
+      '-force_key_frames', `expr:gte(t,n_forced*${SEGMENT_SECONDS})`, '-sc_threshold', '0'
+    ];
+  const audioArgs = copyAudio ? ['-c:a', 'copy'] : ['-c:a', 'aac', '-b:a', '160k', '-ac', '2'];
+
+  return [
+    '-hide_banner', '-loglevel', 'error', '-nostdin', '-y',
+    '-i', inputPath,
+    // First real video stream (not cover art) and first audio stream, if present
+    '-map', '0:V:0?', '-map', '0:a:0?',
+    ...videoArgs,
+    ...audioArgs,
+    '-f', 'hls',
+    '-hls_time', String(SEGMENT_SECONDS),
+    '-hls_list_size', '0',
+    '-hls_playlist_type', 'event',
+    '-hls_segment_filename', path.join(outputDir, 'segment_%05d.ts'),
+    path.join(outputDir, PLAYLIST_NAME)
+  ];
+}
+
+/**
+ * Makes HLS versions of files browsers cannot play, on first request.
+ * Each video is remuxed or transcoded once by a single ffmpeg run whose
+ * playlist can be watched while it grows; the results are cached per video
+ * and evicted least recently watched first.
+ */
+class HlsTranscoder {
+  constructor(cacheDir = DEFAULT_HLS_CACHE_PATH) {
+    this.cacheDir = cacheDir;
+    this.maxCacheBytes = HLS_CACHE_MAX_GB * 1024 ** 3;
+    this.maxJobs = HLS_MAX_JOBS;
+    this.jobs = new Map(); // video id -> { process, promise, mode, startedAt }
+    this.failures = new Map(); // video id -> error of its last run, until the source changes
+    this.lastAccess = new Map(); // video id -> time its playlist was last requested
+  }
+
+  dirFor(videoId) {
+    return path.join(this.cacheDir, encodeURIComponent(videoId));
+  }
+
+  /**
+   * Identity of the source file; a cached version is discarded when it changes
+   */
+  async sourceIdentity(filePath) {
+    const stats = await fs.stat(filePath);
+    return { filePath, size: stats.size, modifiedAt: stats.mtimeMs };
+  }
+
+  /**
+   * Contents of a video's cached playlist, or null if there is none yet
+   */
+  async readPlaylist(videoId) {
+    try {
+      return await fs.readFile(path.join(this.dirFor(videoId), PLAYLIST_NAME), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Whether the cached version of a video was made from the current file and is complete or still being made
+   */
+  async isCacheUsable(videoId, source) {
+    try {
+      const cached = JSON.parse(await fs.readFile(path.join(this.dirFor(videoId), SOURCE_NAME), 'utf8'));
+      if (cached.filePath !== source.filePath || cached.size !== source.size || cached.modifiedAt !== source.modifiedAt) {
+        return false;
+      }
+    } catch (error) {
+      return false;
+    }
+
+    if (this.jobs.has(videoId)) return true;
+    const playlist = await this.readPlaylist(videoId);
+    // Left unfinished by a restart
+    return Boolean(playlist && playlist.includes('#EXT-X-ENDLIST'));
+  }
+
+  /**
+   * Start remuxing or transcoding a video into its cache directory
+   */
+  async startJob(video, source) {
+    if (this.jobs.size >= this.maxJobs) {
+      throw new TranscoderBusyError('All transcoder slots are in use');
+    }
+
+    // Registered right away, so concurrent requests for the video wait for this run
+    const job = { process: null, mode: null, startedAt: new Date() };
+    this.jobs.set(video.id, job);
+    const outputDir = this.dirFor(video.id);
+    let child;
+
+    try {
+      await fs.rm(outputDir, { recursive: true, force: true });
+      await fs.mkdir(outputDir, { recursive: true });
+      await this.evictCache();
+
+      // Files downloaded without ffprobe are probed now, so streams that can be copied are
+      let codecs = { videoCodec: video.video_codec, audioCodec: video.audio_codec };
+      if (!codecs.videoCodec && !codecs.audioCodec) {
+        codecs = (await probeFile(source.filePath).catch(() => null)) || codecs;
+      }
+      // Streams of files that could not be probed are all transcoded
+      const probed = Boolean(codecs.videoCodec || codecs.audioCodec);
+      const copyVideo = probed && (!codecs.videoCodec || COPY_VIDEO_CODECS.includes(codecs.videoCodec));
+      const copyAudio = probed && (!codecs.audioCodec || COPY_AUDIO_CODECS.includes(codecs.audioCodec));
+      job.mode = copyVideo && copyAudio ? 'remux' : 'transcode';
+
+      await fs.writeFile(path.join(outputDir, SOURCE_NAME), JSON.stringify(source));
+
+      child = spawn(FFMPEG_PATH, buildHlsArgs(source.filePath, outputDir, { copyVideo, copyAudio }), {
+        stdio: ['ignore', 'ignore', 'pipe']
+      });
+    } catch (error) {
+      this.jobs.delete(video.id);
+      throw error;
+    }
+
+    const { mode } = job;
+    job.process = child;
+    let stderr = '';
+    child.stderr.on('data', chunk => {
+      stderr = (stderr + chunk).slice(-2000);
+    });
+
+    job.promise = new Promise(resolve => {
+      child.on('error', error => {
+        job.error = error.code === 'ENOENT' ? `${FFMPEG_PATH} not found` : error.message;
+      });
+      child.on('close', code => {
+        if (!job.error && code !== 0) {
+          job.error = job.stopped ? 'Stopped' : `ffmpeg failed: ${stderr.trim() || `exit code ${code}`}`;
+        }
+        resolve();
+      });
+    }).then(async () => {
+      this.jobs.delete(video.id);
+      if (job.error) {
+        console.error(`HLS ${mode} of ${video.id} failed:`, job.error);
+        this.failures.set(video.id, { error: job.error, source });
+        await fs.rm(outputDir, { recursive: true, force: true }).catch(() => {});
+      } else {
+        console.log(`HLS ${mode} of ${video.id} finished`);
+      }
+      await this.evictCache().catch(error => console.error('Error evicting HLS cache:', error.message));
+    });
+
+    console.log(`Started HLS ${mode} of ${video.id}`);
+    return job;
+  }
+
+  /**
+   * Playlist of a video, starting its transcode if there is no usable cached one.
+   * Waits for the first segment of a new transcode.
+   * video has id, file_path, file_format, video_codec and audio_codec.
+   */
+  async getPlaylist(video) {
+    const source = await this.sourceIdentity(video.file_path);
+    this.lastAccess.set(video.id, Date.now());
+
+    const failure = this.failures.get(video.id);
+    if (failure && JSON.stringify(failure.source) === JSON.stringify(source)) {
+      throw new Error(failure.error);
+    }
+    this.failures.delete(video.id);
+
+    if (!this.jobs.has(video.id) && !(await this.isCacheUsable(video.id, source)) && !this.jobs.has(video.id)) {
+      await this.startJob(video, source);
+    }
+
+    const deadline = Date.now() + START_TIMEOUT;
+    for (;;) {
+      const job = this.jobs.get(video.id);
+      const playlist = await this.readPlaylist(video.id);
+      if (playlist && playlist.includes('#EXTINF')) {
+        return playlist.includes('#EXT-X-ENDLIST')
+          ? playlist
+          // Players start growing playlists at their end unless told otherwise
+          : playlist.replace('#EXTM3U', '#EXTM3U\n#EXT-X-START:TIME-OFFSET=0,PRECISE=YES');
+      }
+      if (!job) {
+        throw new Error(this.failures.get(video.id)?.error || 'Transcode ended without output');
+      }
+      if (Date.now() > deadline) {
+        throw new Error('Timed out waiting for the first segment');
+      }
+      await new Promise(resolve => setTimeout(resolve, START_POLL_INTERVAL));
+    }
+  }
+
+  /**
+   * Path of a cached segment, or null if the name is not a segment name
+   */
+  segmentPath(videoId, segmentName) {
+    if (!SEGMENT_NAME.test(segmentName)) return null;
+    this.lastAccess.set(videoId, Date.now());
+    return path.join(this.dirFor(videoId), segmentName);
+  }
+
+  /**
+   * Size of every cached video, with when it was last watched
+   */
+  async listCache() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.cacheDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const cached = [];
+    for (const entry of entries.filter(e => e.isDirectory())) {
+      const videoId = decodeURIComponent(entry.name);
+      const dir = path.join(this.cacheDir, entry.name);
+      let sizeBytes = 0;
+      let modifiedAt = 0;
+      for (const file of await fs.readdir(dir)) {
+        const stats = await fs.stat(path.join(dir, file)).catch(() => null);
+        if (!stats) continue;
+        sizeBytes += stats.size;
+        modifiedAt = Math.max(modifiedAt, stats.mtimeMs);
+      }
+      cached.push({ videoId, dir, sizeBytes, lastAccess: this.lastAccess.get(videoId) || modifiedAt });
+    }
+    return cached;
+  }
+
+  /**
+   * Remove the least recently watched videos until the cache fits its limit.
+   * Videos being transcoded are kept.
+   */
+  async evictCache() {
+    const cached = await this.listCache();
+    let totalBytes = cached.reduce((sum, entry) => sum + entry.sizeBytes, 0);
+
+    const candidates = cached
+      .filter(entry => !this.jobs.has(entry.videoId))
+      .sort((a, b) => a.lastAccess - b.lastAccess);
+
+    for (const entry of candidates) {
+      if (totalBytes <= this.maxCacheBytes) break;
+      await fs.rm(entry.dir, { recursive: true, force: true });
+      this.lastAccess.delete(entry.videoId);
+      totalBytes -= entry.sizeBytes;
+      console.log(`Evicted HLS cache of ${entry.videoId}`);
+    }
+  }
+
+  /**
+   * Stop running transcodes; their unfinished output is discarded on next request
+   */
+  stopAll() {
+    for (const job of this.jobs.values()) {
+      job.stopped = true;
+      if (job.process) job.process.kill('SIGTERM');
+    }
+  }
+
+  /**
+   * Running transcodes and cache usage
+   */
+  async getStatus() {
+    const cached = await this.listCache();
+    return {
+      cacheDir: this.cacheDir,
+      cacheSizeBytes: cached.reduce((sum, entry) => sum + entry.sizeBytes, 0),
+      maxCacheBytes: this.maxCacheBytes,
+      cachedVideos: cached.length,
+      maxJobs: this.maxJobs,
+      jobs: [...this.jobs.entries()].map(([videoId, job]) => ({ videoId, mode: job.mode, startedAt: job.startedAt }))
+    };
+  }
+}
+
+module.exports = HlsTranscoder;
+module.exports.TranscoderBusyError = TranscoderBusyError;
+module.exports.getPlaybackMode = getPlaybackMode;
+module.exports.FFMPEG_PATH = FFMPEG_PATH;
@@ -0,0 +1,59 @@
+const db = require('../db');
+
+// Share of a video that has to be played for it to count as watched
+const WATCHED_FRACTION = 0.9;
+// Videos played for less than this are left out of "continue watching"
+const MIN_PROGRESS_SECONDS = 5;
+
+/**
+ * Save how far a video has been played. The player's duration is preferred over
+ * the API duration when given. A video stays watched once it has been, even if it
+ * is later played again from the start. Returns null if the video does not exist.
+ */
+async function saveWatchProgress(videoId, position, duration = null) {
+  const result = await db.query(
+    `INSERT INTO watch_progress (video_id, position_seconds, duration_seconds, watched, updated_at)
+     SELECT id, $2::real, COALESCE($3::real, duration),
+            COALESCE($2::real >= COALESCE($3::real, duration) * $4, false), CURRENT_TIMESTAMP
+     FROM videos WHERE id = $1
+     ON CONFLICT (video_id) DO UPDATE SET
+       position_seconds = EXCLUDED.position_seconds,
+       duration_seconds = EXCLUDED.duration_seconds,
+       watched = watch_progress.watched OR EXCLUDED.watched,
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING video_id, position_seconds, duration_seconds, watched, updated_at`,
+    [videoId, position, duration, WATCHED_FRACTION]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Add watch_position, watched and last_watched_at to each video of a list
+ */
+async function attachWatchProgress(videos) {
+  if (videos.length === 0) return videos;
+
+  const result = await db.query(
+    `SELECT video_id, position_seconds, watched, updated_at
+     FROM watch_progress WHERE video_id = ANY($1)`,
+    [videos.map(video => video.id)]
+  );
+  const byVideo = new Map(result.rows.map(row => [row.video_id, row]));
+
+  return videos.map(video => {
+    const progress = byVideo.get(video.id);
+    return {
+      ...video,
+      watch_position: progress ? progress.position_seconds : null,
+      watched: progress ? progress.watched : false,
+      last_watched_at: progress ? progress.updated_at : null
+    };
+  });
+}
+
+module.exports = {
+  WATCHED_FRACTION,
+  MIN_PROGRESS_SECONDS,
+  saveWatchProgress,
+  attachWatchProgress
+};
@@ -1,9 +1,76 @@
 const axios = require('axios');
+const ApiKeyPool = require('./api-key-pool');
+const { QuotaTracker, QuotaBudgetExceededError } = require('./quota');
+
+// 403 reasons that mean "this key is used up, try another one"
+const KEY_EXHAUSTED_REASONS = ['quotaExceeded', 'dailyLimitExceeded', 'rateLimitExceeded'];
+// 400 reasons that mean the key itself is unusable
+const KEY_INVALID_REASONS = ['keyInvalid', 'keyExpired'];
+// Every videos part readable with an API key; a videos request costs the same whichever parts it asks for
+const VIDEO_PARTS = [
+  'snippet', 'contentDetails', 'statistics', 'status', 'topicDetails', 'localizations',
+  'recordingDetails', 'liveStreamingDetails', 'paidProductPlacementDetails'
+].join(',');
 
 class YouTubeAPIService {
-  constructor(apiKey) {
-    this.apiKey = apiKey;
-    this.baseUrl = 'https://www.googleapis.com/youtube/v3';
+  /**
+   * @param apiKey - a single API key, or an ApiKeyPool to rotate through
+   */
+  constructor(apiKey, { channelId = null } = {}) {
+    this.keyPool = apiKey instanceof ApiKeyPool ? apiKey : ApiKeyPool.fromKey(apiKey);
+    this.baseUrl = process.env.YOUTUBE_API_BASE_URL || 'https://www.googleapis.com/youtube/v3';
+    this.quota = new QuotaTracker(channelId);
+  }
+
+  /**
+   * GET an API endpoint, enforcing and recording its quota cost.
+   * Rotates to the next healthy key when the current one runs out.
+   */
+  async request(endpoint, params) {
+    await this.quota.assertChannelBudget(endpoint);
+
+    let key = this.keyPool.current();
+
+    while (key) {
+      if (await this.quota.isKeyExhausted(key.apiKey, endpoint)) {
+        key = await this.keyPool.markExhausted('quotaExceeded');
+        continue;
+      }
+
+      const usedKey = key;
+
+      try {
+        return await axios.get(`${this.baseUrl}/${endpoint}`, {
+          params: { ...params, key: usedKey.apiKey }
+        });
+      } catch (error) {
+        const reason = error.response?.data?.error?.errors?.[0]?.reason;
+
+        if (KEY_EXHAUSTED_REASONS.includes(reason)) {
+          key = await this.keyPool.markExhausted(reason);
+          continue;
+        }
+        if (KEY_INVALID_REASONS.includes(reason)) {
+          key = await this.keyPool.markInvalid(reason);
+          continue;
+        }
+        throw error;
+      } finally {
+        // Failed calls are still charged by YouTube
+        await this.quota.record(endpoint, usedKey.apiKey);
+      }
+    }
+
+    // Without any usable key the sync cannot run until the setup is fixed,
+    // rather than waiting for quota to come back
+    if (!this.keyPool.exhausted) {
+      throw new Error('No usable YouTube API key: add a key to the pool, assign one to the channel or set YOUTUBE_API_KEY');
+    }
+
+    throw new QuotaBudgetExceededError(
+      'No healthy YouTube API keys available',
+      { channelId: this.quota.channelId }
+    );
   }
 
   /**
@@ -11,12 +78,9 @@ class YouTubeAPIService {
    */
   async getChannelDetails(channelId) {
     try {
-      const response = await axios.get(`${this.baseUrl}/channels`, {
-        params: {
-          part: 'snippet,contentDetails,statistics',
-          id: channelId,
-          key: this.apiKey
-        }
+      const response = await this.request('channels', {
+        part: 'snippet,contentDetails,statistics',
+        id: channelId
       });
 
       if (response.data.items.length === 0) {
@@ -50,14 +114,11 @@ class YouTubeAPIService {
 
     try {
       do {
-        const response = await axios.get(`${this.baseUrl}/playlistItems`, {
-          params: {
-            part: 'contentDetails',
-            playlistId: uploadsPlaylistId,
-            maxResults: 50,
-            pageToken: nextPageToken,
-            key: this.apiKey
-          }
+        const response = await this.request('playlistItems', {
+          part: 'contentDetails',
+          playlistId: uploadsPlaylistId,
+          maxResults: 50,
+          pageToken: nextPageToken
         });
 
         response.data.items.forEach(item => {
@@ -76,16 +137,171 @@ class YouTubeAPIService {
   }
 
   /**
-   * Get detailed information for a batch of videos (max 50)
+   * Get IDs of videos that are not archived yet, walking the uploads playlist newest-first.
+   * findKnownIds(ids) resolves to the Set of those ids already in the archive.
+   * Stops at the cursor video or after a run of stopAfterKnown known videos,
+   * unless deepVerify is set, in which case the whole playlist is checked.
    */
-  async getVideoDetails(videoIds) {
+  async getNewVideoIds(uploadsPlaylistId, findKnownIds, { cursorVideoId = null, stopAfterKnown = 20, deepVerify = false } = {}) {
+    const newVideoIds = [];
+    const seenVideoIds = [];
+    let newestVideoId = null;
+    let knownRun = 0;
+    let pagesRead = 0;
+    let stoppedEarly = false;
+    let nextPageToken = null;
+
     try {
-      const response = await axios.get(`${this.baseUrl}/videos`, {
-        params: {
-          part: 'snippet,contentDetails,statistics',
-          id: videoIds.join(','),
-          key: this.apiKey
+      do {
+        const response = await this.request('playlistItems', {
+          part: 'contentDetails',
+          playlistId: uploadsPlaylistId,
+          maxResults: 50,
+          pageToken: nextPageToken
+        });
+        pagesRead++;
+
+        const pageIds = response.data.items.map(item => item.contentDetails.videoId);
+        if (!newestVideoId && pageIds.length > 0) {
+          newestVideoId = pageIds[0];
         }
+
+        const knownIds = await findKnownIds(pageIds);
+
+        for (const videoId of pageIds) {
+          seenVideoIds.push(videoId);
+          if (!knownIds.has(videoId)) {
+            newVideoIds.push(videoId);
+            knownRun = 0;
+            continue;
+          }
+
+          knownRun++;
+          if (!deepVerify && (videoId === cursorVideoId || knownRun >= stopAfterKnown)) {
+            stoppedEarly = true;
+            break;
+          }
+        }
+
+        nextPageToken = stoppedEarly ? null : response.data.nextPageToken;
+      } while (nextPageToken);
+
+      console.log(`Found ${newVideoIds.length} new videos after reading ${pagesRead} page(s) of uploads${stoppedEarly ? ' (stopped at known videos)' : ''}`);
+      return { newVideoIds, newestVideoId, seenVideoIds, pagesRead, stoppedEarly };
+    } catch (error) {
+      console.error('Error fetching new video IDs:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Look up the privacy status of videos (max 50 per request).
+   * Returns a Map of videoId -> privacyStatus; videos the API does not
+   * return (deleted, or private to anyone but the owner) are left out.
+   */
+  async getVideoStatuses(videoIds) {
+    const statuses = new Map();
+
+    for (const chunk of this.chunkArray(videoIds, 50)) {
+      const response = await this.request('videos', {
+        part: 'status',
+        id: chunk.join(',')
+      });
+
+      response.data.items.forEach(video => {
+        statuses.set(video.id, video.status.privacyStatus);
+      });
+    }
+
+    return statuses;
+  }
+
+  /**
+   * Get all public playlists created by a channel
+   */
+  async getChannelPlaylists(channelId) {
+    const playlists = [];
+    let nextPageToken = null;
+
+    try {
+      do {
+        const response = await this.request('playlists', {
+          part: 'snippet,contentDetails,status',
+          channelId: channelId,
+          maxResults: 50,
+          pageToken: nextPageToken
+        });
+
+        response.data.items.forEach(playlist => {
+          playlists.push({
+            id: playlist.id,
+            title: playlist.snippet.title,
+            description: playlist.snippet.description,
+            thumbnailUrl: playlist.snippet.thumbnails?.high?.url || playlist.snippet.thumbnails?.default?.url || null,
+            privacyStatus: playlist.status?.privacyStatus || 'public',
+            itemCount: playlist.contentDetails?.itemCount || 0,
+            publishedAt: new Date(playlist.snippet.publishedAt)
+          });
+        });
+
+        nextPageToken = response.data.nextPageToken;
+      } while (nextPageToken);
+
+      console.log(`Found ${playlists.length} playlists for channel ${channelId}`);
+      return playlists;
+    } catch (error) {
+      console.error('Error fetching playlists:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all items of a playlist in playlist order
+   */
+  async getPlaylistItems(playlistId) {
+    const items = [];
+    let nextPageToken = null;
+
+    try {
+      do {
+        const response = await this.request('playlistItems', {
+          part: 'snippet,contentDetails',
+          playlistId: playlistId,
+          maxResults: 50,
+          pageToken: nextPageToken
+        });
+
+        response.data.items.forEach(item => {
+          items.push({
+            id: item.id,
+            videoId: item.contentDetails.videoId,
+            position: item.snippet.position,
+            title: item.snippet.title,
+            thumbnailUrl: item.snippet.thumbnails?.high?.url || item.snippet.thumbnails?.default?.url || null,
+            videoOwnerChannelId: item.snippet.videoOwnerChannelId || null,
+            addedAt: new Date(item.snippet.publishedAt)
+          });
+        });
+
+        nextPageToken = response.data.nextPageToken;
+      } while (nextPageToken);
+
+      return items;
+    } catch (error) {
+      console.error(`Error fetching items for playlist ${playlistId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get detailed information for a batch of videos (max 50).
+   * raw is the complete videos resource; extra parts cost no extra quota.
+   */
+  async getVideoDetails(videoIds) {
+    try {
+      const response = await this.request('videos', {
+        part: VIDEO_PARTS,
+        id: videoIds.join(',')
       });
 
       return response.data.items.map(video => {
@@ -104,7 +320,8 @@ class YouTubeAPIService {
           thumbnailUrl: video.snippet.thumbnails.high.url,
           tags: video.snippet.tags || [],
           categoryId: video.snippet.categoryId,
-          privacyStatus: video.status?.privacyStatus || 'public'
+          privacyStatus: video.status?.privacyStatus || 'public',
+          raw: video
         };
       });
     } catch (error) {
@@ -114,7 +331,8 @@ class YouTubeAPIService {
   }
 
   /**
-   * Get all comments for a video (including replies)
+   * Get all comments for a video (including replies).
+   * Returns null when comments are disabled on the video.
    */
   async getVideoComments(videoId) {
     const comments = [];
@@ -122,53 +340,35 @@ class YouTubeAPIService {
 
     try {
       do {
-        const response = await axios.get(`${this.baseUrl}/commentThreads`, {
-          params: {
-            part: 'snippet,replies',
-            videoId: videoId,
-            maxResults: 100,
-            pageToken: nextPageToken,
-            key: this.apiKey
-          }
+        const response = await this.request('commentThreads', {
+          part: 'snippet,replies',
+          videoId: videoId,
+          maxResults: 100,
+          pageToken: nextPageToken
         });
 
-        response.data.items.forEach(item => {
+        for (const item of response.data.items) {
+          const threadId = item.snippet.topLevelComment.id;
+          const totalReplyCount = item.snippet.totalReplyCount || 0;
+          let replies = item.replies ? item.replies.comments : [];
+
+          // Threads only carry the first few replies; page through the rest
+          if (totalReplyCount > replies.length) {
+            replies = await this.getCommentReplies(threadId, replies);
+          }
+
           // Top-level comment
-          const topComment = item.snippet.topLevelComment.snippet;
           comments.push({
-            id: item.snippet.topLevelComment.id,
-            videoId: videoId,
-            parentCommentId: null,
-            authorName: topComment.authorDisplayName,
-            authorChannelId: topComment.authorChannelId?.value,
-            authorProfileImageUrl: topComment.authorProfileImageUrl,
-            textDisplay: topComment.textDisplay,
-            textOriginal: topComment.textOriginal,
-            likeCount: topComment.likeCount,
-            publishedAt: new Date(topComment.publishedAt),
-            updatedAt: new Date(topComment.updatedAt)
+            ...this.parseComment(item.snippet.topLevelComment, videoId, null),
+            totalReplyCount,
+            fetchedReplyCount: replies.length
           });
 
           // Replies
-          if (item.replies) {
-            item.replies.comments.forEach(reply => {
-              const replySnippet = reply.snippet;
-              comments.push({
-                id: reply.id,
-                videoId: videoId,
-                parentCommentId: item.snippet.topLevelComment.id,
-                authorName: replySnippet.authorDisplayName,
-                authorChannelId: replySnippet.authorChannelId?.value,
-                authorProfileImageUrl: replySnippet.authorProfileImageUrl,
-                textDisplay: replySnippet.textDisplay,
-                textOriginal: replySnippet.textOriginal,
-                likeCount: replySnippet.likeCount,
-                publishedAt: new Date(replySnippet.publishedAt),
-                updatedAt: new Date(replySnippet.updatedAt)
-              });
-            });
-          }
-        });
+          replies.forEach(reply => {
+            comments.push(this.parseComment(reply, videoId, threadId));
+          });
+        }
 
         nextPageToken = response.data.nextPageToken;
       } while (nextPageToken);
@@ -178,13 +378,64 @@ class YouTubeAPIService {
     } catch (error) {
       if (error.response?.status === 403 && error.response?.data?.error?.errors?.[0]?.reason === 'commentsDisabled') {
         console.log(`Comments disabled for video ${videoId}`);
-        return [];
+        return null;
       }
       console.error(`Error fetching comments for video ${videoId}:`, error.message);
       throw error;
     }
   }
 
+  /**
+   * Get every reply to a comment via comments.list.
+   * Falls back to the replies already fetched if the request fails.
+   */
+  async getCommentReplies(parentId, fetchedReplies = []) {
+    const replies = [];
+    let nextPageToken = null;
+
+    try {
+      do {
+        const response = await this.request('comments', {
+          part: 'snippet',
+          parentId: parentId,
+          maxResults: 100,
+          pageToken: nextPageToken
+        });
+
+        replies.push(...response.data.items);
+        nextPageToken = response.data.nextPageToken;
+      } while (nextPageToken);
+
+      return replies;
+    } catch (error) {
+      if (error instanceof QuotaBudgetExceededError) {
+        throw error;
+      }
+      console.error(`Error fetching replies to comment ${parentId}:`, error.message);
+      return fetchedReplies;
+    }
+  }
+
+  /**
+   * Convert a comment resource to the shape stored in the database
+   */
+  parseComment(comment, videoId, parentCommentId) {
+    const snippet = comment.snippet;
+    return {
+      id: comment.id,
+      videoId: videoId,
+      parentCommentId: parentCommentId,
+      authorName: snippet.authorDisplayName,
+      authorChannelId: snippet.authorChannelId?.value,
+      authorProfileImageUrl: snippet.authorProfileImageUrl,
+      textDisplay: snippet.textDisplay,
+      textOriginal: snippet.textOriginal,
+      likeCount: snippet.likeCount,
+      publishedAt: new Date(snippet.publishedAt),
+      updatedAt: new Date(snippet.updatedAt)
+    };
+  }
+
   /**
    * Parse ISO 8601 duration to seconds
    */
@@ -216,6 +467,13 @@ class YouTubeAPIService {
    */
   async getAllChannelVideos(uploadsPlaylistId) {
     const videoIds = await this.getAllVideoIds(uploadsPlaylistId);
+    return this.getVideosByIds(videoIds);
+  }
+
+  /**
+   * Get complete video details for any number of videos, in batches of 50
+   */
+  async getVideosByIds(videoIds) {
     const chunks = this.chunkArray(videoIds, 50);
     const allVideos = [];
 
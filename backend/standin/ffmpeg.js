@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * Offline stand-in for the ffmpeg binary.
+ *
+ * The yt-dlp stand-in writes placeholder files that real ffmpeg cannot read.
+ * This answers the HLS command line of the transcoder by writing a playlist
+ * with a few placeholder segments, adding them one at a time like ffmpeg
+ * does, so the growing playlist can be followed. The sprite sheet (.jpg) and
+ * hover clip (.mp4) of the preview generator are written as placeholder files.
+ * Missing and empty inputs fail like they do with ffmpeg. Point the backend at it with
+ *   FFMPEG_PATH=/app/standin/ffmpeg.js
+ *
+ * Environment:
+ *   STANDIN_TRANSCODE_SECONDS - how long each segment or preview file takes to write (default 0)
+ */
+const fs = require('fs');
+const path = require('path');
+
+const SEGMENT_COUNT = 5;
+const SEGMENT_BYTES = 16 * 1024;
+const PREVIEW_BYTES = 4 * 1024;
+const PREVIEW_EXTENSIONS = ['.jpg', '.mp4'];
+const TRANSCODE_SECONDS = parseFloat(process.env.STANDIN_TRANSCODE_SECONDS || '0');
+
+/**
+ * Value following an option such as -i or -hls_time
+ */
+function optionValue(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+/**
+ * Replace a %05d-style counter in a segment file name
+ */
+function segmentName(pattern, index) {
+  return pattern.replace(/%0?(\d*)d/, (match, width) => String(index).padStart(parseInt(width || '0'), '0'));
+}
+
+function writeHls(args, outputPath) {
+  const segmentDuration = parseFloat(optionValue(args, '-hls_time') || '2');
+  const pattern = optionValue(args, '-hls_segment_filename') ||
+    path.join(path.dirname(outputPath), `${path.basename(outputPath, '.m3u8')}%d.ts`);
+  const header = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    `#EXT-X-TARGETDURATION:${Math.ceil(segmentDuration)}`,
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    '#EXT-X-PLAYLIST-TYPE:EVENT'
+  ];
+  const entries = [];
+
+  for (let index = 0; index < SEGMENT_COUNT; index++) {
+    if (TRANSCODE_SECONDS > 0) Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, TRANSCODE_SECONDS * 1000);
+
+    const segmentPath = segmentName(pattern, index);
+    fs.writeFileSync(segmentPath, Buffer.alloc(SEGMENT_BYTES));
+    entries.push(`#EXTINF:${segmentDuration.toFixed(6)},`, path.basename(segmentPath));
+
+    const ended = index === SEGMENT_COUNT - 1 ? ['#EXT-X-ENDLIST'] : [];
+    fs.writeFileSync(outputPath, `${[...header, ...entries, ...ended].join('\n')}\n`);
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const inputPath = optionValue(args, '-i');
+  const outputPath = args[args.length - 1];
+
+  let stats;
+  try {
+    stats = fs.statSync(inputPath);
+  } catch (error) {
+    console.error(`${inputPath}: No such file or directory`);
+    return 1;
+  }
+  if (stats.size === 0) {
+    console.error(`${inputPath}: Invalid data found when processing input`);
+    return 1;
+  }
+
+  if (optionValue(args, '-f') === 'hls') {
+    writeHls(args, outputPath);
+    return 0;
+  }
+
+  if (PREVIEW_EXTENSIONS.includes(path.extname(outputPath))) {
+    if (TRANSCODE_SECONDS > 0) Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, TRANSCODE_SECONDS * 1000);
+    // Named after the kind of output, so sprites and clips are stored as different files
+    fs.writeFileSync(outputPath, Buffer.concat([Buffer.from(path.extname(outputPath)), Buffer.alloc(PREVIEW_BYTES)]));
+    return 0;
+  }
+
+  console.error('The ffmpeg stand-in only writes HLS output (-f hls), .jpg sprites and .mp4 clips');
+  return 1;
+}
+
+process.exit(main());
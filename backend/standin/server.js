@@ -0,0 +1,290 @@
+/**
+ * Offline stand-in for the YouTube Data API v3.
+ *
+ * Serves the endpoints the archiver uses from a fixture file so full and
+ * incremental syncs can run without network access. Point the backend at it with
+ *   YOUTUBE_API_BASE_URL=http://localhost:3099/youtube/v3
+ *
+ * The fixture file is re-read whenever it changes, so videos, comments and
+ * playlists can be changed between syncs to simulate channel activity.
+ *
+ * Environment:
+ *   STANDIN_PORT           - port to listen on (default 3099)
+ *   STANDIN_FIXTURES       - fixture file (default fixtures/default.json)
+ *   STANDIN_PAGE_SIZE      - cap on maxResults, to exercise paging with few items
+ *   STANDIN_EXHAUSTED_KEYS - comma-separated keys that get 403 quotaExceeded
+ */
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+const PORT = process.env.STANDIN_PORT || 3099;
+const FIXTURES_PATH = process.env.STANDIN_FIXTURES || path.join(__dirname, 'fixtures', 'default.json');
+const PAGE_SIZE_CAP = parseInt(process.env.STANDIN_PAGE_SIZE || '0');
+const EXHAUSTED_KEYS = (process.env.STANDIN_EXHAUSTED_KEYS || '').split(',').filter(Boolean);
+const THREAD_REPLY_LIMIT = 5;
+
+let fixtures = null;
+let fixturesMtime = 0;
+
+/**
+ * Load the fixture file, re-reading it if it changed on disk
+ */
+function loadFixtures(baseUrl) {
+  const mtime = fs.statSync(FIXTURES_PATH).mtimeMs;
+  if (!fixtures || mtime !== fixturesMtime) {
+    fixtures = fs.readFileSync(FIXTURES_PATH, 'utf8');
+    fixturesMtime = mtime;
+    console.log(`Loaded fixtures from ${FIXTURES_PATH}`);
+  }
+  return JSON.parse(fixtures.split('{{BASE_URL}}').join(baseUrl));
+}
+
+/**
+ * Error body in the same shape as the real API
+ */
+function apiError(res, code, reason, message) {
+  return res.status(code).json({
+    error: {
+      code,
+      message,
+      errors: [{ message, domain: 'youtube.standin', reason }]
+    }
+  });
+}
+
+/**
+ * Slice items into a page using offset-based page tokens
+ */
+function paginate(items, query, defaultSize = 5, maxSize = 50) {
+  let size = Math.min(parseInt(query.maxResults || defaultSize), maxSize);
+  if (PAGE_SIZE_CAP > 0) size = Math.min(size, PAGE_SIZE_CAP);
+
+  const offset = query.pageToken ? parseInt(Buffer.from(query.pageToken, 'base64').toString()) : 0;
+  const page = items.slice(offset, offset + size);
+  const nextOffset = offset + size;
+
+  return {
+    items: page,
+    nextPageToken: nextOffset < items.length ? Buffer.from(String(nextOffset)).toString('base64') : undefined,
+    pageInfo: { totalResults: items.length, resultsPerPage: size }
+  };
+}
+
+/**
+ * Keep only the requested parts of a resource, like the real API
+ */
+function pickParts(resource, part) {
+  const parts = (part || 'snippet').split(',');
+  const picked = { kind: resource.kind, id: resource.id };
+  parts.forEach(name => {
+    if (resource[name] !== undefined) picked[name] = resource[name];
+  });
+  return picked;
+}
+
+/**
+ * Videos as playlist items, in the given order
+ */
+function toPlaylistItems(videos, playlistId, channel, addedAt = null) {
+  return videos.map((video, position) => ({
+    kind: 'youtube#playlistItem',
+    id: `${playlistId}.${video.id}`,
+    snippet: {
+      publishedAt: addedAt || video.snippet.publishedAt,
+      channelId: channel.id,
+      title: video.snippet.title,
+      description: video.snippet.description,
+      thumbnails: video.snippet.thumbnails,
+      channelTitle: channel.snippet.title,
+      playlistId,
+      position,
+      resourceId: { kind: 'youtube#video', videoId: video.id },
+      videoOwnerChannelId: video.snippet.channelId
+    },
+    contentDetails: {
+      videoId: video.id,
+      videoPublishedAt: video.snippet.publishedAt
+    }
+  }));
+}
+
+/**
+ * Privacy status of a fixture video (public unless the fixture says otherwise)
+ */
+function privacyOf(video) {
+  return video.status?.privacyStatus || 'public';
+}
+
+/**
+ * Items of the uploads playlist (newest first) or of a fixture playlist.
+ * Like the real API, the uploads playlist only lists public videos.
+ */
+function playlistItems(data, playlistId) {
+  const uploadsOf = data.channels.find(c => c.contentDetails.relatedPlaylists.uploads === playlistId);
+  if (uploadsOf) {
+    const uploads = data.videos
+      .filter(video => video.snippet.channelId === uploadsOf.id && privacyOf(video) === 'public')
+      .sort((a, b) => new Date(b.snippet.publishedAt) - new Date(a.snippet.publishedAt));
+    return toPlaylistItems(uploads, playlistId, uploadsOf);
+  }
+
+  const playlist = (data.playlists || []).find(p => p.id === playlistId);
+  if (!playlist) return null;
+
+  const channel = data.channels.find(c => c.id === playlist.snippet.channelId);
+  const videos = playlist.videoIds
+    .map(videoId => data.videos.find(video => video.id === videoId))
+    .filter(Boolean);
+  return toPlaylistItems(videos, playlistId, channel, playlist.snippet.publishedAt);
+}
+
+const app = express();
+const api = express.Router();
+
+// Every call needs a key; listed keys behave as if their quota ran out
+api.use((req, res, next) => {
+  const { key } = req.query;
+  if (!key) {
+    return apiError(res, 403, 'forbidden', 'The request is missing a valid API key.');
+  }
+  if (EXHAUSTED_KEYS.includes(key)) {
+    return apiError(res, 403, 'quotaExceeded', 'The request cannot be completed because you have exceeded your quota.');
+  }
+  req.fixtures = loadFixtures(`${req.protocol}://${req.get('host')}`);
+  next();
+});
+
+api.get('/channels', (req, res) => {
+  const ids = (req.query.id || '').split(',');
+  const items = req.fixtures.channels
+    .filter(channel => ids.includes(channel.id))
+    .map(channel => pickParts(channel, req.query.part));
+
+  res.json({ kind: 'youtube#channelListResponse', items, pageInfo: { totalResults: items.length } });
+});
+
+api.get('/playlists', (req, res) => {
+  const playlists = (req.fixtures.playlists || [])
+    .filter(playlist => playlist.snippet.channelId === req.query.channelId)
+    .map(({ videoIds, ...playlist }) => pickParts({
+      ...playlist,
+      contentDetails: { itemCount: videoIds.length },
+      status: playlist.status || { privacyStatus: 'public' }
+    }, req.query.part));
+
+  const page = paginate(playlists, req.query);
+  res.json({ kind: 'youtube#playlistListResponse', ...page });
+});
+
+api.get('/playlistItems', (req, res) => {
+  const items = playlistItems(req.fixtures, req.query.playlistId);
+  if (!items) {
+    return apiError(res, 404, 'playlistNotFound', 'The playlist identified with the request\'s playlistId parameter cannot be found.');
+  }
+
+  const page = paginate(items.map(item => pickParts(item, req.query.part)), req.query);
+  res.json({ kind: 'youtube#playlistItemListResponse', ...page });
+});
+
+api.get('/videos', (req, res) => {
+  const ids = (req.query.id || '').split(',');
+  // Private videos are only visible to their owner
+  const items = req.fixtures.videos
+    .filter(video => ids.includes(video.id) && privacyOf(video) !== 'private')
+    .map(video => pickParts(video, req.query.part));
+
+  res.json({ kind: 'youtube#videoListResponse', items, pageInfo: { totalResults: items.length } });
+});
+
+api.get('/commentThreads', (req, res) => {
+  const { videoId } = req.query;
+
+  if (!req.fixtures.videos.some(video => video.id === videoId)) {
+    return apiError(res, 404, 'videoNotFound', 'The video identified by the videoId parameter could not be found.');
+  }
+  if ((req.fixtures.commentsDisabled || []).includes(videoId)) {
+    return apiError(res, 403, 'commentsDisabled', 'The video has disabled comments.');
+  }
+
+  // Like the real API, a thread carries at most five of its replies
+  const threads = (req.fixtures.commentThreads[videoId] || [])
+    .map(thread => pickParts({
+      ...thread,
+      snippet: { ...thread.snippet, totalReplyCount: thread.replies?.comments.length || 0 },
+      replies: thread.replies && { comments: thread.replies.comments.slice(0, THREAD_REPLY_LIMIT) }
+    }, req.query.part));
+
+  const page = paginate(threads, req.query, 20, 100);
+  res.json({ kind: 'youtube#commentThreadListResponse', ...page });
+});
+
+api.get('/comments', (req, res) => {
+  const { parentId } = req.query;
+
+  const thread = Object.values(req.fixtures.commentThreads)
+    .flat()
+    .find(t => t.id === parentId);
+  if (!thread) {
+    return apiError(res, 404, 'commentNotFound', 'One or more of the comments identified by the parentId parameter could not be found.');
+  }
+
+  const replies = (thread.replies?.comments || []).map(reply => pickParts(reply, req.query.part));
+  const page = paginate(replies, req.query, 20, 100);
+  res.json({ kind: 'youtube#commentListResponse', ...page });
+});
+
+app.use('/youtube/v3', api);
+
+// CRC-32 lookup table for PNG chunks (zlib.crc32 needs Node 20.15 or later)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Solid-colour PNG, coloured by the image name so each fixture image is distinct
+ * and the same name always gives the same bytes
+ */
+function placeholderPng(name, width = 160, height = 90) {
+  const [r, g, b] = crypto.createHash('md5').update(name).digest();
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(Buffer.concat([Buffer.from(type), data])));
+    return Buffer.concat([length, Buffer.from(type), data, crc]);
+  };
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 2, 0, 0, 0], 8); // 8-bit RGB
+  const row = Buffer.concat([Buffer.from([0]), Buffer.from(Array(width).fill([r, g, b]).flat())]);
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(Buffer.concat(Array(height).fill(row)))),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// Placeholder images for fixture thumbnails and avatars
+app.get('/media/:type/:name', (req, res) => {
+  res.type('image/png').send(placeholderPng(`${req.params.type}/${req.params.name}`));
+});
+
+app.listen(PORT, () => {
+  console.log(`YouTube API stand-in running on port ${PORT}`);
+  console.log(`Set YOUTUBE_API_BASE_URL=http://localhost:${PORT}/youtube/v3`);
+});
@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+/**
+ * Offline stand-in for the yt-dlp binary.
+ *
+ * Accepts the same command line VideoDownloader passes to yt-dlp and writes a
+ * video file to the requested output path instead of downloading one. Height
+ * caps in --format, --extract-audio and --print templates are honoured. With
+ * --write-subs a WebVTT file is written for every language in --sub-langs:
+ * English as uploaded captions, other languages as auto-translated ones.
+ * --progress-template lines are printed while the "download" runs, and
+ * --write-info-json writes a minimal <name>.info.json. Point the
+ * backend at it with
+ *   YTDLP_PATH=/app/standin/yt-dlp.js
+ *
+ * Environment:
+ *   STANDIN_MEDIA_DIR    - directory with real <videoId>.mp4 files to copy (optional);
+ *                          without one a small placeholder file is written
+ *   STANDIN_FAIL_VIDEOS  - comma-separated video IDs whose download fails
+ *   STANDIN_DOWNLOAD_SECONDS - how long each download takes (default 0), to watch progress
+ */
+const fs = require('fs');
+const path = require('path');
+
+const MEDIA_DIR = process.env.STANDIN_MEDIA_DIR || path.join(__dirname, 'fixtures', 'media');
+const FAIL_VIDEOS = (process.env.STANDIN_FAIL_VIDEOS || '').split(',').filter(Boolean);
+const DOWNLOAD_SECONDS = parseFloat(process.env.STANDIN_DOWNLOAD_SECONDS || '0');
+const SOURCE_HEIGHT = 1080;
+const PROGRESS_STEPS = 10;
+
+/**
+ * Parse "--flag value" / "--flag" arguments into an object, plus positional URLs.
+ * Values of repeated flags (such as --print) are collected into an array.
+ */
+function parseArgs(argv) {
+  const flags = {};
+  const urls = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const next = argv[i + 1];
+      const name = arg.slice(2);
+      if (next !== undefined && !next.startsWith('--')) {
+        flags[name] = flags[name] === undefined ? next : [].concat(flags[name], next);
+        i++;
+      } else {
+        flags[name] = true;
+      }
+    } else {
+      urls.push(arg);
+    }
+  }
+
+  return { flags, urls };
+}
+
+/**
+ * Fill a yt-dlp output template such as "%(height)s|%(ext)s" from a field map
+ * (%(name)j prints the field as JSON, %% is a literal %)
+ */
+function fillTemplate(template, fields) {
+  return template.replace(/%%|%\(([\w.]+)\)([sj])/g, (match, name, type) => {
+    if (match === '%%') return '%';
+    return type === 'j' ? JSON.stringify(fields[name] ?? null) : (fields[name] ?? 'NA');
+  });
+}
+
+/**
+ * Write a WebVTT track per requested language next to the video file
+ */
+function writeSubtitles(videoId, outputPath, languages) {
+  const basePath = outputPath.slice(0, outputPath.length - path.extname(outputPath).length);
+  const requested = {};
+
+  languages.forEach(language => {
+    const filePath = `${basePath}.${language}.vtt`;
+    fs.writeFileSync(filePath, `WEBVTT\n\n00:00:00.000 --> 00:00:05.000\n[${language}] ${videoId}\n`);
+    console.log(`[info] Writing video subtitles to: ${filePath}`);
+
+    const query = language === 'en' ? 'lang=en' : `lang=en&tlang=${language}`;
+    requested[language] = {
+      ext: 'vtt',
+      url: `https://www.youtube.com/api/timedtext?v=${videoId}&${query}&fmt=vtt`,
+      filepath: filePath
+    };
+  });
+
+  return requested;
+}
+
+/**
+ * Write an info JSON next to the video file with the fields the stand-in knows
+ */
+function writeInfoJson(url, outputPath, fields) {
+  const basePath = outputPath.slice(0, outputPath.length - path.extname(outputPath).length);
+  const filePath = `${basePath}.info.json`;
+  const info = {
+    id: fields.id,
+    _type: 'video',
+    extractor_key: 'Youtube',
+    webpage_url: url,
+    ext: fields.ext,
+    height: fields.height,
+    format_id: fields.format_id,
+    formats: fields.format_id.split('+').map(formatId => ({ format_id: formatId, ext: fields.ext })),
+    requested_subtitles: fields.requested_subtitles,
+    filename: outputPath,
+    epoch: Math.floor(Date.now() / 1000)
+  };
+
+  fs.writeFileSync(filePath, JSON.stringify(info));
+  console.log(`[info] Writing video metadata as JSON to: ${filePath}`);
+}
+
+function main() {
+  const { flags, urls } = parseArgs(process.argv.slice(2));
+
+  if (flags.version) {
+    console.log('standin');
+    return 0;
+  }
+
+  const url = urls[0];
+  const videoId = url && new URL(url).searchParams.get('v');
+
+  if (!videoId) {
+    console.error(`ERROR: Unsupported URL: ${url}`);
+    return 1;
+  }
+
+  if (FAIL_VIDEOS.includes(videoId)) {
+    console.error(`ERROR: [youtube] ${videoId}: Video unavailable`);
+    return 1;
+  }
+
+  const audioOnly = Boolean(flags['extract-audio']);
+  const ext = audioOnly ? (flags['audio-format'] || 'm4a') : (flags['merge-output-format'] || 'mp4');
+  const heightCap = /height<=(\d+)/.exec(flags.format || '');
+  const height = audioOnly ? null : Math.min(SOURCE_HEIGHT, heightCap ? parseInt(heightCap[1]) : SOURCE_HEIGHT);
+  const fields = {
+    id: videoId,
+    ext,
+    height,
+    format_id: audioOnly ? '140' : `${height}p+140`
+  };
+  const outputPath = fillTemplate(flags.output || '%(id)s.%(ext)s', fields);
+  fields.filepath = outputPath;
+
+  const printTemplates = [].concat(flags.print || []).filter(template => typeof template === 'string');
+  const subLangs = flags['write-subs'] && typeof flags['sub-langs'] === 'string'
+    ? flags['sub-langs'].split(',').filter(Boolean)
+    : [];
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+
+  const fixtureMedia = path.join(MEDIA_DIR, `${videoId}.${ext}`);
+  const totalBytes = fs.existsSync(fixtureMedia) ? fs.statSync(fixtureMedia).size : 64 * 1024;
+
+  console.log(`[youtube] ${videoId}: Downloading webpage`);
+  console.log(`[download] Destination: ${outputPath}`);
+
+  const progressTemplate = typeof flags['progress-template'] === 'string'
+    ? flags['progress-template'].replace(/^download:/, '')
+    : null;
+  const stepMs = (DOWNLOAD_SECONDS * 1000) / PROGRESS_STEPS;
+  const speed = DOWNLOAD_SECONDS > 0 ? totalBytes / DOWNLOAD_SECONDS : totalBytes;
+
+  for (let step = 1; step <= PROGRESS_STEPS; step++) {
+    if (stepMs > 0) Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, stepMs);
+    if (progressTemplate) {
+      const downloaded = Math.round((totalBytes * step) / PROGRESS_STEPS);
+      console.log(fillTemplate(progressTemplate, {
+        ...fields,
+        'progress.downloaded_bytes': downloaded,
+        'progress.total_bytes': totalBytes,
+        'progress.speed': speed,
+        'progress.eta': Math.round((totalBytes - downloaded) / speed),
+        'info.format_id': fields.format_id
+      }));
+    }
+  }
+
+  if (fs.existsSync(fixtureMedia)) {
+    fs.copyFileSync(fixtureMedia, outputPath);
+  } else {
+    fs.writeFileSync(outputPath, Buffer.alloc(totalBytes));
+  }
+  console.log(`[download] 100% of ${(totalBytes / 1024).toFixed(2)}KiB`);
+
+  fields.requested_subtitles = subLangs.length > 0 ? writeSubtitles(videoId, outputPath, subLangs) : null;
+  if (flags['write-info-json']) {
+    writeInfoJson(url, outputPath, fields);
+  }
+
+  printTemplates.forEach(template => {
+    console.log(fillTemplate(template.replace(/^after_move:/, ''), fields));
+  });
+  return 0;
+}
+
+process.exit(main());
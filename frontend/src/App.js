@@ -5,6 +5,9 @@ import VideoGrid from './components/VideoGrid';
 import VideoPlayer from './components/VideoPlayer';
 import StatsPanel from './components/StatsPanel';
 import ChannelManagement from './components/ChannelManagement';
+import ChannelPlaylists from './components/ChannelPlaylists';
+import PlaylistView from './components/PlaylistView';
+import Maintenance from './components/Maintenance';
 import './App.css';
 
 function App() {
@@ -18,6 +21,9 @@ function App() {
             <Route path="/watch/:videoId" element={<VideoPlayer />} />
             <Route path="/stats" element={<StatsPanel />} />
             <Route path="/channels" element={<ChannelManagement />} />
+            <Route path="/channels/:channelId/playlists" element={<ChannelPlaylists />} />
+            <Route path="/playlist/:playlistId" element={<PlaylistView />} />
+            <Route path="/maintenance" element={<Maintenance />} />
           </Routes>
         </div>
       </div>
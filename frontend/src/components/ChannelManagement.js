@@ -1,9 +1,13 @@
 import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import DownloadProgress from './DownloadProgress';
+import { mediaUrl } from '../media';
 import './ChannelManagement.css';
 
 const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
 function ChannelManagement() {
+  const navigate = useNavigate();
   const [channels, setChannels] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -12,10 +16,24 @@ function ChannelManagement() {
     channelId: '',
     apiKey: '',
     syncSchedule: '0 2 * * *',
-    scheduleType: 'daily-2am'
+    scheduleType: 'daily-2am',
+    quotaBudget: '',
+    apiKeyIds: [],
+    qualityProfileId: '',
+    subtitleLanguages: ''
   });
   const [addingChannel, setAddingChannel] = useState(false);
   const [runningSyncs, setRunningSyncs] = useState({});
+  const [activeDownloads, setActiveDownloads] = useState([]);
+  const [apiKeys, setApiKeys] = useState([]);
+  const [keyDailyLimit, setKeyDailyLimit] = useState(10000);
+  const [showKeyForm, setShowKeyForm] = useState(false);
+  const [newKey, setNewKey] = useState({ apiKey: '', label: '' });
+  const [editingKeysFor, setEditingKeysFor] = useState(null);
+  const [selectedKeyIds, setSelectedKeyIds] = useState([]);
+  const [qualityProfiles, setQualityProfiles] = useState([]);
+  const [showProfileForm, setShowProfileForm] = useState(false);
+  const [newProfile, setNewProfile] = useState({ name: '', maxHeight: '', container: 'mp4', videoCodec: '', audioOnly: false, audioFormat: 'm4a' });
 
   const scheduleOptions = [
     { value: 'daily-2am', label: 'Daily at 2:00 AM', cron: '0 2 * * *' },
@@ -29,8 +47,14 @@ function ChannelManagement() {
 
   useEffect(() => {
     fetchChannels();
-    // Check for running syncs every 5 seconds
-    const interval = setInterval(checkRunningSyncs, 5000);
+    fetchApiKeys();
+    fetchQualityProfiles();
+    checkActiveDownloads();
+    // Check for running syncs and downloads every 5 seconds
+    const interval = setInterval(() => {
+      checkRunningSyncs();
+      checkActiveDownloads();
+    }, 5000);
     return () => clearInterval(interval);
   }, []);
 
@@ -49,6 +73,237 @@ function ChannelManagement() {
     }
   };
 
+  const fetchApiKeys = async () => {
+    try {
+      const response = await fetch(`${API_BASE}/api/keys`);
+      if (!response.ok) throw new Error('Failed to fetch API keys');
+      const data = await response.json();
+      setApiKeys(data.keys);
+      setKeyDailyLimit(data.dailyLimit);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const fetchQualityProfiles = async () => {
+    try {
+      const response = await fetch(`${API_BASE}/api/quality-profiles`);
+      if (!response.ok) throw new Error('Failed to fetch quality profiles');
+      const data = await response.json();
+      setQualityProfiles(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleAddProfile = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    try {
+      const response = await fetch(`${API_BASE}/api/quality-profiles`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          ...newProfile,
+          maxHeight: newProfile.maxHeight ? parseInt(newProfile.maxHeight) : null,
+          videoCodec: newProfile.videoCodec || null
+        })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to add quality profile');
+      }
+
+      await fetchQualityProfiles();
+      setShowProfileForm(false);
+      setNewProfile({ name: '', maxHeight: '', container: 'mp4', videoCodec: '', audioOnly: false, audioFormat: 'm4a' });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDeleteProfile = async (profile) => {
+    if (!window.confirm(`Delete the "${profile.name}" profile? Channels using it will download with the default profile.`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_BASE}/api/quality-profiles/${profile.id}`, {
+        method: 'DELETE'
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to delete quality profile');
+      }
+
+      await Promise.all([fetchQualityProfiles(), fetchChannels()]);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleChangeQualityProfile = async (channelId, qualityProfileId) => {
+    try {
+      const response = await fetch(`${API_BASE}/api/channels/${channelId}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ qualityProfileId: qualityProfileId ? parseInt(qualityProfileId) : null })
+      });
+
+      if (!response.ok) throw new Error('Failed to update quality profile');
+
+      await Promise.all([fetchQualityProfiles(), fetchChannels()]);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const describeProfile = (profile) => {
+    if (profile.audio_only) return `Audio only (${profile.audio_format})`;
+    const parts = [
+      profile.max_height ? `Up to ${profile.max_height}p` : 'Best available',
+      profile.container
+    ];
+    if (profile.video_codec) parts.push(`prefers ${profile.video_codec}`);
+    return parts.join(' · ');
+  };
+
+  const handleAddKey = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    try {
+      const response = await fetch(`${API_BASE}/api/keys`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(newKey)
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to add API key');
+      }
+
+      await fetchApiKeys();
+      setShowKeyForm(false);
+      setNewKey({ apiKey: '', label: '' });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleToggleKey = async (key) => {
+    try {
+      const response = await fetch(`${API_BASE}/api/keys/${key.id}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ enabled: key.status === 'disabled' })
+      });
+
+      if (!response.ok) throw new Error('Failed to update API key');
+
+      await fetchApiKeys();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleResetKey = async (keyId) => {
+    try {
+      const response = await fetch(`${API_BASE}/api/keys/${keyId}/reset`, {
+        method: 'POST'
+      });
+
+      if (!response.ok) throw new Error('Failed to reset API key');
+
+      await fetchApiKeys();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDeleteKey = async (keyId) => {
+    if (!window.confirm('Are you sure you want to remove this API key from the pool?')) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_BASE}/api/keys/${keyId}`, {
+        method: 'DELETE'
+      });
+
+      if (!response.ok) throw new Error('Failed to delete API key');
+
+      await Promise.all([fetchApiKeys(), fetchChannels()]);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const startEditingKeys = (channel) => {
+    setEditingKeysFor(channel.id);
+    setSelectedKeyIds(channel.api_key_ids || []);
+  };
+
+  const toggleSelectedKey = (keyId) => {
+    setSelectedKeyIds(prev =>
+      prev.includes(keyId) ? prev.filter(id => id !== keyId) : [...prev, keyId]
+    );
+  };
+
+  const handleSaveChannelKeys = async (channelId) => {
+    try {
+      const response = await fetch(`${API_BASE}/api/channels/${channelId}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ apiKeyIds: selectedKeyIds })
+      });
+
+      if (!response.ok) throw new Error('Failed to update channel API keys');
+
+      setEditingKeysFor(null);
+      await Promise.all([fetchApiKeys(), fetchChannels()]);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const getKeyName = (key) => key.label || `Key ${key.hint}`;
+
+  const getChannelKeyNames = (channel) => {
+    const ids = channel.api_key_ids || [];
+    if (ids.length === 0) return 'Shared pool';
+    return apiKeys
+      .filter(key => ids.includes(key.id))
+      .map(getKeyName)
+      .join(', ');
+  };
+
+  const formatKeyStatus = (key) => {
+    if (key.status === 'cooling_down' && key.cooldown_until) {
+      return `Cooling down until ${new Date(key.cooldown_until).toLocaleString()}`;
+    }
+    const labels = {
+      active: 'Healthy',
+      disabled: 'Disabled',
+      invalid: 'Invalid'
+    };
+    return labels[key.status] || key.status;
+  };
+
   const checkRunningSyncs = async () => {
     try {
       const response = await fetch(`${API_BASE}/api/sync/progress`);
@@ -72,6 +327,17 @@ function ChannelManagement() {
     }
   };
 
+  const checkActiveDownloads = async () => {
+    try {
+      const response = await fetch(`${API_BASE}/api/downloads/progress`);
+      if (!response.ok) return;
+      const data = await response.json();
+      setActiveDownloads(data.downloads);
+    } catch (err) {
+      // Silently fail - don't show errors for background checks
+    }
+  };
+
   const handleCancelSync = async (channelId) => {
     if (!window.confirm('Are you sure you want to cancel the running sync?')) {
       return;
@@ -120,7 +386,12 @@ function ChannelManagement() {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify(newChannel)
+        body: JSON.stringify({
+          ...newChannel,
+          quotaBudget: newChannel.quotaBudget ? parseInt(newChannel.quotaBudget) : null,
+          qualityProfileId: newChannel.qualityProfileId ? parseInt(newChannel.qualityProfileId) : null,
+          subtitleLanguages: newChannel.subtitleLanguages.trim() || null
+        })
       });
 
       if (!response.ok) {
@@ -133,7 +404,11 @@ function ChannelManagement() {
       setNewChannel({
         channelId: '',
         apiKey: '',
-        syncSchedule: '0 2 * * *'
+        syncSchedule: '0 2 * * *',
+        quotaBudget: '',
+        apiKeyIds: [],
+        qualityProfileId: '',
+        subtitleLanguages: ''
       });
     } catch (err) {
       setError(err.message);
@@ -178,14 +453,111 @@ function ChannelManagement() {
     }
   };
 
-  const handleTriggerSync = async (channelId, syncType = 'incremental') => {
+  const handleEditQuotaBudget = async (channel) => {
+    const input = window.prompt(
+      'Daily API quota budget in units (leave empty for no limit):',
+      channel.quota_budget || ''
+    );
+    if (input === null) return;
+
+    const quotaBudget = input.trim() === '' ? null : parseInt(input.trim());
+    if (quotaBudget !== null && (isNaN(quotaBudget) || quotaBudget <= 0)) {
+      setError('Quota budget must be a positive number');
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_BASE}/api/channels/${channel.id}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ quotaBudget })
+      });
+
+      if (!response.ok) throw new Error('Failed to update quota budget');
+
+      await fetchChannels();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleEditSubtitleLanguages = async (channel) => {
+    const input = window.prompt(
+      'Subtitle languages, comma-separated (e.g. en,de). Leave empty to use the server default, or enter "none" to skip subtitles:',
+      channel.subtitle_languages ?? ''
+    );
+    if (input === null) return;
+
+    const value = input.trim().toLowerCase() === 'none' ? '' : (input.trim() || null);
+
+    try {
+      const response = await fetch(`${API_BASE}/api/channels/${channel.id}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ subtitleLanguages: value })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to update subtitle languages');
+      }
+
+      await fetchChannels();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleEditDownloadConcurrency = async (channel) => {
+    const input = window.prompt(
+      'Downloads to run at once for this channel (leave empty for the global setting):',
+      channel.download_concurrency || ''
+    );
+    if (input === null) return;
+
+    const downloadConcurrency = input.trim() === '' ? null : parseInt(input.trim());
+    if (downloadConcurrency !== null && (isNaN(downloadConcurrency) || downloadConcurrency <= 0)) {
+      setError('Parallel downloads must be a positive number');
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_BASE}/api/channels/${channel.id}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ downloadConcurrency })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to update parallel downloads');
+      }
+
+      await fetchChannels();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const formatSubtitleLanguages = (channel) => {
+    if (channel.subtitle_languages === null || channel.subtitle_languages === undefined) return 'Server default';
+    return channel.subtitle_languages || 'None';
+  };
+
+  const handleTriggerSync = async (channelId, syncType = 'incremental', deepVerify = false) => {
     try {
       const response = await fetch(`${API_BASE}/api/channels/${channelId}/sync`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ syncType })
+        body: JSON.stringify({ syncType, deepVerify })
       });
 
       if (!response.ok) throw new Error('Failed to trigger sync');
@@ -220,6 +592,172 @@ function ChannelManagement() {
 
       {error && <div className="error-message">{error}</div>}
 
+      <div className="api-keys-panel">
+        <div className="api-keys-header">
+          <h2>API Key Pool</h2>
+          <button
+            className="btn btn-sm btn-primary"
+            onClick={() => setShowKeyForm(!showKeyForm)}
+          >
+            {showKeyForm ? 'Cancel' : 'Add Key'}
+          </button>
+        </div>
+        <small className="api-keys-help">
+          When a key runs out of quota, syncs switch to the next healthy key automatically.
+          Exhausted keys cool down until the daily quota resets at midnight Pacific time.
+        </small>
+
+        {showKeyForm && (
+          <form className="api-key-form" onSubmit={handleAddKey}>
+            <input
+              type="text"
+              value={newKey.label}
+              onChange={(e) => setNewKey({ ...newKey, label: e.target.value })}
+              placeholder="Label (optional)"
+            />
+            <input
+              type="password"
+              value={newKey.apiKey}
+              onChange={(e) => setNewKey({ ...newKey, apiKey: e.target.value })}
+              placeholder="YouTube API key"
+              required
+            />
+            <button type="submit" className="btn btn-sm btn-success">Save</button>
+          </form>
+        )}
+
+        {apiKeys.length === 0 ? (
+          <div className="no-api-keys">
+            No keys in the pool. YOUTUBE_API_KEY from the environment is used.
+          </div>
+        ) : (
+          <div className="api-keys-list">
+            {apiKeys.map(key => (
+              <div key={key.id} className={`api-key-row ${key.status}`}>
+                <div className="api-key-info">
+                  <span className="api-key-name">{getKeyName(key)}</span>
+                  <span className={`api-key-status ${key.status}`}>{formatKeyStatus(key)}</span>
+                  {key.last_error && key.status !== 'active' && (
+                    <span className="api-key-error">{key.last_error}</span>
+                  )}
+                </div>
+                <div className="api-key-usage">
+                  {formatNumber(key.units_used_today)} / {formatNumber(keyDailyLimit)} units today
+                </div>
+                <div className="api-key-actions">
+                  {(key.status === 'cooling_down' || key.status === 'invalid') && (
+                    <button className="btn btn-sm btn-secondary" onClick={() => handleResetKey(key.id)}>
+                      Reset
+                    </button>
+                  )}
+                  <button className="btn btn-sm btn-secondary" onClick={() => handleToggleKey(key)}>
+                    {key.status === 'disabled' ? 'Enable' : 'Disable'}
+                  </button>
+                  <button className="btn btn-sm btn-danger" onClick={() => handleDeleteKey(key.id)}>
+                    Remove
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="quality-profiles-panel">
+        <div className="api-keys-header">
+          <h2>Quality Profiles</h2>
+          <button
+            className="btn btn-sm btn-primary"
+            onClick={() => setShowProfileForm(!showProfileForm)}
+          >
+            {showProfileForm ? 'Cancel' : 'Add Profile'}
+          </button>
+        </div>
+        <small className="api-keys-help">
+          Each channel downloads with its profile, or the default profile if none is set.
+          Changing a profile only affects videos downloaded afterwards.
+        </small>
+
+        {showProfileForm && (
+          <form className="quality-profile-form" onSubmit={handleAddProfile}>
+            <input
+              type="text"
+              value={newProfile.name}
+              onChange={(e) => setNewProfile({ ...newProfile, name: e.target.value })}
+              placeholder="Name"
+              required
+            />
+            <label className="key-checkbox">
+              <input
+                type="checkbox"
+                checked={newProfile.audioOnly}
+                onChange={(e) => setNewProfile({ ...newProfile, audioOnly: e.target.checked })}
+              />
+              Audio only
+            </label>
+            {newProfile.audioOnly ? (
+              <select
+                value={newProfile.audioFormat}
+                onChange={(e) => setNewProfile({ ...newProfile, audioFormat: e.target.value })}
+              >
+                <option value="m4a">m4a</option>
+                <option value="mp3">mp3</option>
+                <option value="opus">opus</option>
+              </select>
+            ) : (
+              <>
+                <input
+                  type="number"
+                  min="1"
+                  value={newProfile.maxHeight}
+                  onChange={(e) => setNewProfile({ ...newProfile, maxHeight: e.target.value })}
+                  placeholder="Max height (any)"
+                />
+                <select
+                  value={newProfile.container}
+                  onChange={(e) => setNewProfile({ ...newProfile, container: e.target.value })}
+                >
+                  <option value="mp4">mp4</option>
+                  <option value="mkv">mkv</option>
+                  <option value="webm">webm</option>
+                </select>
+                <select
+                  value={newProfile.videoCodec}
+                  onChange={(e) => setNewProfile({ ...newProfile, videoCodec: e.target.value })}
+                >
+                  <option value="">Any codec</option>
+                  <option value="avc1">H.264 (avc1)</option>
+                  <option value="vp9">VP9</option>
+                  <option value="av01">AV1</option>
+                </select>
+              </>
+            )}
+            <button type="submit" className="btn btn-sm btn-success">Save</button>
+          </form>
+        )}
+
+        <div className="api-keys-list">
+          {qualityProfiles.map(profile => (
+            <div key={profile.id} className="quality-profile-row">
+              <div className="api-key-info">
+                <span className="api-key-name">{profile.name}</span>
+                <span className="quality-profile-summary">{describeProfile(profile)}</span>
+              </div>
+              <div className="api-key-usage">
+                {profile.channel_count} channels · {profile.video_count} videos
+              </div>
+              <div className="api-key-actions">
+                {profile.name !== 'default' && (
+                  <button className="btn btn-sm btn-danger" onClick={() => handleDeleteProfile(profile)}>
+                    Remove
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
       {showAddForm && (
         <div className="add-channel-form">
           <h2>Add New Channel</h2>
@@ -244,9 +782,34 @@ function ChannelManagement() {
                 onChange={(e) => setNewChannel({ ...newChannel, apiKey: e.target.value })}
                 placeholder="Leave blank to use default API key from .env"
               />
-              <small>If left blank, will use YOUTUBE_API_KEY from environment variables</small>
+              <small>If left blank, will use keys from the API key pool (or YOUTUBE_API_KEY from environment variables)</small>
             </div>
 
+            {apiKeys.length > 0 && !newChannel.apiKey && (
+              <div className="form-group">
+                <label>Pool Keys (Optional)</label>
+                <div className="key-checkboxes">
+                  {apiKeys.map(key => (
+                    <label key={key.id} className="key-checkbox">
+                      <input
+                        type="checkbox"
+                        checked={newChannel.apiKeyIds.includes(key.id)}
+                        onChange={() => {
+                          const ids = newChannel.apiKeyIds;
+                          setNewChannel({
+                            ...newChannel,
+                            apiKeyIds: ids.includes(key.id) ? ids.filter(id => id !== key.id) : [...ids, key.id]
+                          });
+                        }}
+                      />
+                      {getKeyName(key)}
+                    </label>
+                  ))}
+                </div>
+                <small>Leave all unchecked to share the whole pool</small>
+              </div>
+            )}
+
             <div className="form-group">
               <label>Sync Schedule</label>
               <select
@@ -274,6 +837,46 @@ function ChannelManagement() {
               )}
             </div>
 
+            <div className="form-group">
+              <label>Daily Quota Budget (Optional)</label>
+              <input
+                type="number"
+                min="1"
+                value={newChannel.quotaBudget}
+                onChange={(e) => setNewChannel({ ...newChannel, quotaBudget: e.target.value })}
+                placeholder="No limit"
+              />
+              <small>Maximum YouTube API units this channel may use per day. Syncs pause when it runs out and resume on the next run.</small>
+            </div>
+
+            <div className="form-group">
+              <label>Quality Profile</label>
+              <select
+                value={newChannel.qualityProfileId}
+                onChange={(e) => setNewChannel({ ...newChannel, qualityProfileId: e.target.value })}
+                className="form-select"
+              >
+                <option value="">Default</option>
+                {qualityProfiles.filter(profile => profile.name !== 'default').map(profile => (
+                  <option key={profile.id} value={profile.id}>
+                    {profile.name} ({describeProfile(profile)})
+                  </option>
+                ))}
+              </select>
+              <small>Resolution and format used when downloading this channel's videos</small>
+            </div>
+
+            <div className="form-group">
+              <label>Subtitle Languages (Optional)</label>
+              <input
+                type="text"
+                value={newChannel.subtitleLanguages}
+                onChange={(e) => setNewChannel({ ...newChannel, subtitleLanguages: e.target.value })}
+                placeholder="Server default (e.g. en,de)"
+              />
+              <small>Uploaded and automatic captions in these languages are saved with each video</small>
+            </div>
+
             <div className="form-actions">
               <button
                 type="submit"
@@ -305,7 +908,7 @@ function ChannelManagement() {
             <div key={channel.id} className="channel-card">
               <div className="channel-header-section">
                 {channel.thumbnail_url && (
-                  <img src={channel.thumbnail_url} alt={channel.title} className="channel-thumbnail" />
+                  <img src={mediaUrl(channel.thumbnail_sha256, channel.thumbnail_url)} alt={channel.title} className="channel-thumbnail" />
                 )}
                 <div className="channel-info">
                   <h3>{channel.title}</h3>
@@ -342,6 +945,87 @@ function ChannelManagement() {
                   <span>Sync Schedule:</span>
                   <code>{channel.sync_schedule}</code>
                 </div>
+                <div className="setting">
+                  <span>API Keys:</span>
+                  <button
+                    className="setting-link"
+                    onClick={() => startEditingKeys(channel)}
+                  >
+                    {getChannelKeyNames(channel)}
+                  </button>
+                </div>
+                {editingKeysFor === channel.id && (
+                  <div className="channel-key-editor">
+                    {apiKeys.length === 0 ? (
+                      <small>Add keys to the pool to assign them to this channel.</small>
+                    ) : (
+                      <div className="key-checkboxes">
+                        {apiKeys.map(key => (
+                          <label key={key.id} className="key-checkbox">
+                            <input
+                              type="checkbox"
+                              checked={selectedKeyIds.includes(key.id)}
+                              onChange={() => toggleSelectedKey(key.id)}
+                            />
+                            {getKeyName(key)}
+                          </label>
+                        ))}
+                      </div>
+                    )}
+                    <div className="channel-key-editor-actions">
+                      <button className="btn btn-sm btn-success" onClick={() => handleSaveChannelKeys(channel.id)}>
+                        Save
+                      </button>
+                      <button className="btn btn-sm btn-secondary" onClick={() => setEditingKeysFor(null)}>
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
+                )}
+                <div className="setting">
+                  <span>Quota Budget:</span>
+                  <button
+                    className="setting-link"
+                    onClick={() => handleEditQuotaBudget(channel)}
+                  >
+                    {channel.quota_budget ? `${formatNumber(channel.quota_budget)} units/day` : 'No limit'}
+                  </button>
+                </div>
+                <div className="setting">
+                  <span>Quality Profile:</span>
+                  <select
+                    className="setting-select"
+                    value={channel.quality_profile_id || ''}
+                    onChange={(e) => handleChangeQualityProfile(channel.id, e.target.value)}
+                  >
+                    <option value="">Default</option>
+                    {qualityProfiles.filter(profile => profile.name !== 'default').map(profile => (
+                      <option key={profile.id} value={profile.id}>{profile.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="setting">
+                  <span>Subtitles:</span>
+                  <button
+                    className="setting-link"
+                    onClick={() => handleEditSubtitleLanguages(channel)}
+                  >
+                    {formatSubtitleLanguages(channel)}
+                  </button>
+                </div>
+                <div className="setting">
+                  <span>Parallel Downloads:</span>
+                  <button
+                    className="setting-link"
+                    onClick={() => handleEditDownloadConcurrency(channel)}
+                  >
+                    {channel.download_concurrency || 'Global setting'}
+                  </button>
+                </div>
+                <div className="setting">
+                  <span>Last Deep Verify:</span>
+                  <span>{channel.last_deep_verify_at ? new Date(channel.last_deep_verify_at).toLocaleString() : 'Never'}</span>
+                </div>
                 <div className="setting">
                   <span>Auto-sync:</span>
                   <label className="toggle">
@@ -367,6 +1051,19 @@ function ChannelManagement() {
                 </div>
               )}
 
+              {activeDownloads.some(download => download.channelId === channel.id) && (
+                <div className="channel-downloads">
+                  {activeDownloads
+                    .filter(download => download.channelId === channel.id)
+                    .map(download => (
+                      <div key={download.videoId} className="channel-download">
+                        <span className="channel-download-title">{download.title}</span>
+                        <DownloadProgress progress={download} />
+                      </div>
+                    ))}
+                </div>
+              )}
+
               <div className="channel-actions">
                 {runningSyncs[channel.id] ? (
                   <button
@@ -383,6 +1080,13 @@ function ChannelManagement() {
                     >
                       Incremental Sync
                     </button>
+                    <button
+                      className="btn btn-sm btn-success"
+                      onClick={() => handleTriggerSync(channel.id, 'incremental', true)}
+                      title="Check every upload for videos missed by earlier syncs"
+                    >
+                      Deep Verify
+                    </button>
                     <button
                       className="btn btn-sm btn-info"
                       onClick={() => handleTriggerSync(channel.id, 'full')}
@@ -391,6 +1095,12 @@ function ChannelManagement() {
                     </button>
                   </>
                 )}
+                <button
+                  className="btn btn-sm btn-secondary"
+                  onClick={() => navigate(`/channels/${channel.id}/playlists`)}
+                >
+                  Playlists
+                </button>
                 <button
                   className="btn btn-sm btn-danger"
                   onClick={() => handleDeleteChannel(channel.id)}
@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import './ChannelPlaylists.css';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+function ChannelPlaylists() {
+  const { channelId } = useParams();
+  const navigate = useNavigate();
+  const [channel, setChannel] = useState(null);
+  const [playlists, setPlaylists] = useState([]);
+  const [showRemoved, setShowRemoved] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const loadPlaylists = async () => {
+      setLoading(true);
+      try {
+        const [channelResponse, playlistsResponse] = await Promise.all([
+          axios.get(`${API_URL}/api/channels/${channelId}`),
+          axios.get(`${API_URL}/api/channels/${channelId}/playlists`, {
+            params: { includeRemoved: showRemoved }
+          })
+        ]);
+        setChannel(channelResponse.data);
+        setPlaylists(playlistsResponse.data);
+      } catch (error) {
+        console.error('Error loading playlists:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadPlaylists();
+  }, [channelId, showRemoved]);
+
+  if (loading) {
+    return <div className="playlists-loading">Loading playlists...</div>;
+  }
+
+  return (
+    <div className="channel-playlists">
+      <div className="playlists-header">
+        <h1>{channel ? `${channel.title} playlists` : 'Playlists'}</h1>
+        <label className="show-removed">
+          <input
+            type="checkbox"
+            checked={showRemoved}
+            onChange={(e) => setShowRemoved(e.target.checked)}
+          />
+          Show removed playlists
+        </label>
+      </div>
+
+      {playlists.length === 0 ? (
+        <div className="no-playlists">
+          No playlists archived yet. Playlists are archived during channel syncs.
+        </div>
+      ) : (
+        <div className="playlists-grid">
+          {playlists.map(playlist => (
+            <div
+              key={playlist.id}
+              className={`playlist-card ${playlist.removed_at ? 'removed' : ''}`}
+              onClick={() => navigate(`/playlist/${playlist.id}`)}
+            >
+              <div className="playlist-thumbnail-container">
+                {playlist.thumbnail_url && (
+                  <img src={playlist.thumbnail_url} alt={playlist.title} className="playlist-thumbnail" />
+                )}
+                <div className="playlist-count">{playlist.item_count} videos</div>
+              </div>
+              <h3 className="playlist-title">{playlist.title}</h3>
+              <div className="playlist-meta">
+                {playlist.archived_count} of {playlist.item_count} archived
+                {playlist.removed_at && <span className="playlist-removed-badge">Removed</span>}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ChannelPlaylists;
@@ -0,0 +1,76 @@
+import React, { useState, useEffect } from 'react';
+import { formatTimestamp } from '../timestamps';
+import './Chapters.css';
+
+const POSITION_POLL_INTERVAL = 500;
+
+function Chapters({ chapters, duration, playerRef, onSeek }) {
+  const [currentTime, setCurrentTime] = useState(0);
+  const [expanded, setExpanded] = useState(false);
+
+  // Follow the player here, so only the chapters re-render while it plays
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const time = playerRef.current ? playerRef.current.getCurrentTime() : null;
+      if (time !== null && time !== undefined) {
+        setCurrentTime(time);
+      }
+    }, POSITION_POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [playerRef]);
+
+  const total = duration || chapters[chapters.length - 1].end || chapters[chapters.length - 1].start;
+  const currentIndex = chapters.reduce(
+    (found, chapter, index) => (chapter.start <= currentTime ? index : found),
+    0
+  );
+  const current = chapters[currentIndex];
+  // Without a known length (a single open-ended chapter) there is nothing to scale the bar to
+  const showBar = total > 0;
+
+  return (
+    <div className="chapters">
+      {showBar && (
+        <div className="chapter-bar">
+          {chapters.map((chapter, index) => (
+            <button
+              key={index}
+              type="button"
+              className={`chapter-segment ${index === currentIndex ? 'current' : ''}`}
+              style={{ width: `${(((chapter.end ?? total) - chapter.start) / total) * 100}%` }}
+              title={`${formatTimestamp(chapter.start)} ${chapter.title}`}
+              onClick={() => onSeek(chapter.start)}
+            />
+          ))}
+          <div
+            className="chapter-bar-position"
+            style={{ left: `${Math.min(100, (currentTime / total) * 100)}%` }}
+          />
+        </div>
+      )}
+
+      <button type="button" className="chapter-current" onClick={() => setExpanded(!expanded)}>
+        <span className="chapter-current-label">Chapter {currentIndex + 1} of {chapters.length}:</span>
+        {current.title}
+        <span className="chapter-toggle">{expanded ? '▲' : '▼'}</span>
+      </button>
+
+      {expanded && (
+        <ol className="chapter-list">
+          {chapters.map((chapter, index) => (
+            <li
+              key={index}
+              className={`chapter-list-item ${index === currentIndex ? 'current' : ''}`}
+              onClick={() => onSeek(chapter.start)}
+            >
+              <span className="chapter-list-time">{formatTimestamp(chapter.start)}</span>
+              <span className="chapter-list-title">{chapter.title}</span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default Chapters;
@@ -1,12 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
+import { mediaUrl } from '../media';
+import { linkTimestamps } from '../timestamps';
 import './Comments.css';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
-function Comments({ videoId, commentCount }) {
+function Comments({ videoId, commentCount, duration, onSeek }) {
   const [comments, setComments] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [showDeleted, setShowDeleted] = useState(false);
+  const [revisions, setRevisions] = useState({}); // commentId -> earlier versions, when expanded
 
   useEffect(() => {
     loadComments();
@@ -15,8 +19,11 @@ function Comments({ videoId, commentCount }) {
   const loadComments = async () => {
     setLoading(true);
     try {
-      const response = await axios.get(`${API_URL}/api/videos/${videoId}/comments`);
+      const response = await axios.get(`${API_URL}/api/videos/${videoId}/comments`, {
+        params: { includeDeleted: true }
+      });
       setComments(response.data);
+      setRevisions({});
     } catch (error) {
       console.error('Error loading comments:', error);
     } finally {
@@ -38,10 +45,25 @@ function Comments({ videoId, commentCount }) {
     return `${Math.floor(diffDays / 365)} years ago`;
   };
 
+  const toggleRevisions = async (commentId) => {
+    if (revisions[commentId]) {
+      const { [commentId]: hidden, ...rest } = revisions;
+      setRevisions(rest);
+      return;
+    }
+
+    try {
+      const response = await axios.get(`${API_URL}/api/videos/${videoId}/comments/${commentId}/revisions`);
+      setRevisions({ ...revisions, [commentId]: response.data });
+    } catch (error) {
+      console.error('Error loading comment history:', error);
+    }
+  };
+
   const Comment = ({ comment, isReply = false }) => (
-    <div className={`comment ${isReply ? 'reply' : ''}`}>
+    <div className={`comment ${isReply ? 'reply' : ''} ${comment.deleted_at ? 'deleted' : ''}`}>
       <img
-        src={comment.author_profile_image_url}
+        src={mediaUrl(comment.author_image_sha256, comment.author_profile_image_url)}
         alt={comment.author_name}
         className="comment-avatar"
       />
@@ -49,8 +71,30 @@ function Comments({ videoId, commentCount }) {
         <div className="comment-header">
           <span className="comment-author">{comment.author_name}</span>
           <span className="comment-date">{formatDate(comment.published_at)}</span>
+          {comment.revision_count > 0 && (
+            <button className="comment-edited" onClick={() => toggleRevisions(comment.id)}>
+              (edited{comment.revision_count > 1 ? ` ${comment.revision_count} times` : ''})
+            </button>
+          )}
+          {comment.deleted_at && (
+            <span className="comment-deleted-badge" title={new Date(comment.deleted_at).toLocaleString()}>
+              Deleted from YouTube
+            </span>
+          )}
         </div>
-        <div className="comment-text">{comment.text_display}</div>
+        <div className="comment-text">{linkTimestamps(comment.text_display, onSeek, duration)}</div>
+        {revisions[comment.id] && (
+          <div className="comment-revisions">
+            {revisions[comment.id].map(revision => (
+              <div key={revision.id} className="comment-revision">
+                <div className="comment-revision-date">
+                  Before {new Date(revision.captured_at).toLocaleString()}
+                </div>
+                <div className="comment-text">{revision.text_display}</div>
+              </div>
+            ))}
+          </div>
+        )}
         {comment.like_count > 0 && (
           <div className="comment-likes">
             <span className="like-icon">👍</span>
@@ -61,6 +105,19 @@ function Comments({ videoId, commentCount }) {
     </div>
   );
 
+  const deletedCount = comments.reduce(
+    (count, comment) => count +
+      (comment.deleted_at ? 1 : 0) +
+      comment.replies.filter(reply => reply.deleted_at).length,
+    0
+  );
+
+  const visibleComments = showDeleted
+    ? comments
+    : comments
+      .filter(comment => !comment.deleted_at)
+      .map(comment => ({ ...comment, replies: comment.replies.filter(reply => !reply.deleted_at) }));
+
   if (loading) {
     return (
       <div className="comments-section">
@@ -73,13 +130,23 @@ function Comments({ videoId, commentCount }) {
     <div className="comments-section">
       <div className="comments-header">
         <h2>{commentCount.toLocaleString()} Comments</h2>
+        {deletedCount > 0 && (
+          <label className="show-deleted-toggle">
+            <input
+              type="checkbox"
+              checked={showDeleted}
+              onChange={(e) => setShowDeleted(e.target.checked)}
+            />
+            Show {deletedCount} deleted
+          </label>
+        )}
       </div>
 
-      {comments.length === 0 ? (
+      {visibleComments.length === 0 ? (
         <div className="no-comments">No comments yet</div>
       ) : (
         <div className="comments-list">
-          {comments.map(comment => (
+          {visibleComments.map(comment => (
             <div key={comment.id} className="comment-thread">
               <Comment comment={comment} />
               {comment.replies && comment.replies.length > 0 && (
@@ -89,6 +156,11 @@ function Comments({ videoId, commentCount }) {
                   ))}
                 </div>
               )}
+              {comment.total_reply_count > comment.archived_reply_count && (
+                <div className="replies-incomplete">
+                  {comment.archived_reply_count} of {comment.total_reply_count} replies archived
+                </div>
+              )}
             </div>
           ))}
         </div>
@@ -0,0 +1,60 @@
+import React from 'react';
+import './DownloadProgress.css';
+
+const formatBytes = (bytes) => {
+  if (bytes === null || bytes === undefined) return '?';
+  const units = ['B', 'KiB', 'MiB', 'GiB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+};
+
+const formatEta = (seconds) => {
+  if (seconds === null || seconds === undefined) return null;
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60);
+  if (hours > 0) {
+    return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  }
+  return `${minutes}:${secs.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Progress bar with size, speed and time left for a running download
+ */
+function DownloadProgress({ progress }) {
+  const hasPercent = progress.percent !== null && progress.percent !== undefined;
+
+  const details = [];
+  if (progress.stalled) {
+    details.push('Stalled');
+  } else {
+    if (hasPercent) details.push(`${Math.floor(progress.percent)}%`);
+    details.push(
+      progress.totalBytes
+        ? `${formatBytes(progress.downloadedBytes)} of ${progress.totalIsEstimate ? '~' : ''}${formatBytes(progress.totalBytes)}`
+        : formatBytes(progress.downloadedBytes)
+    );
+    if (progress.speed) details.push(`${formatBytes(progress.speed)}/s`);
+    if (formatEta(progress.eta)) details.push(`${formatEta(progress.eta)} left`);
+  }
+
+  return (
+    <div className={`download-progress ${progress.stalled ? 'stalled' : ''}`}>
+      <div className="download-progress-bar">
+        <div
+          className={`download-progress-fill ${hasPercent ? '' : 'indeterminate'}`}
+          style={hasPercent ? { width: `${progress.percent}%` } : undefined}
+        />
+      </div>
+      <div className="download-progress-text">{details.join(' · ')}</div>
+    </div>
+  );
+}
+
+export default DownloadProgress;
@@ -72,6 +72,9 @@ function Header() {
         <Link to="/stats" className="nav-button">
           Stats
         </Link>
+        <Link to="/maintenance" className="nav-button">
+          Maintenance
+        </Link>
         <button
           className="nav-button"
           onClick={() => handleSync('incremental')}
@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import './Maintenance.css';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+const CATEGORIES = [
+  {
+    key: 'missing',
+    title: 'Missing Files',
+    description: 'Marked as downloaded, but the file is gone.',
+    fixLabel: 'Re-queue downloads',
+    confirm: 'Mark these videos as not downloaded and queue them for download again?'
+  },
+  {
+    key: 'moved',
+    title: 'Mismatched Paths',
+    description: 'A file for the video exists, but the database points elsewhere or not at all.',
+    fixLabel: 'Update paths',
+    confirm: 'Point these videos at the files found for them?'
+  },
+  {
+    key: 'orphaned',
+    title: 'Orphaned Files',
+    description: 'Media files that belong to no archived video, or duplicates of a recorded file.',
+    fixLabel: 'Move to .orphaned',
+    confirm: 'Move these files into the .orphaned folder of the video directory?'
+  }
+];
+
+function Maintenance() {
+  const [report, setReport] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const loadLastRun = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/api/maintenance/reconcile`);
+        setReport(response.data.lastRun);
+        setRunning(response.data.running);
+      } catch (error) {
+        console.error('Error loading reconciliation status:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadLastRun();
+  }, []);
+
+  const runReconcile = async (fix = false) => {
+    setRunning(true);
+    try {
+      const response = await axios.post(`${API_URL}/api/maintenance/reconcile`, { fix });
+      setReport(response.data);
+    } catch (error) {
+      console.error('Error reconciling library:', error);
+      alert(error.response?.data?.error || 'Failed to reconcile library');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleFix = (category) => {
+    if (window.confirm(category.confirm)) {
+      runReconcile([category.key]);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleString();
+  };
+
+  const renderItem = (categoryKey, item, index) => {
+    if (categoryKey === 'orphaned') {
+      return (
+        <li key={index} className="reconcile-item">
+          <span className="reconcile-path">{item.movedTo || item.filePath}</span>
+          <span className="reconcile-note">
+            {item.videoId ? <Link to={`/watch/${item.videoId}`}>{item.reason}</Link> : item.reason}
+          </span>
+          {item.error && <span className="reconcile-error">{item.error}</span>}
+        </li>
+      );
+    }
+
+    return (
+      <li key={index} className="reconcile-item">
+        <Link to={`/watch/${item.videoId}`} className="reconcile-title">{item.title || item.videoId}</Link>
+        {categoryKey === 'moved' ? (
+          <span className="reconcile-path">
+            {item.from || '(no file recorded)'} → {item.to}
+          </span>
+        ) : (
+          <span className="reconcile-path">{item.filePath}</span>
+        )}
+        {item.error && <span className="reconcile-error">{item.error}</span>}
+      </li>
+    );
+  };
+
+  if (loading) {
+    return <div className="maintenance-loading">Loading...</div>;
+  }
+
+  return (
+    <div className="maintenance">
+      <div className="maintenance-header">
+        <h1 className="maintenance-title">Library Reconciliation</h1>
+        <button className="maintenance-button primary" onClick={() => runReconcile(false)} disabled={running}>
+          {running ? 'Scanning...' : 'Scan Library'}
+        </button>
+      </div>
+      <p className="maintenance-intro">
+        Compares the video directory with the database. Scanning only reports what it finds;
+        nothing is changed until you fix a category.
+      </p>
+
+      {!report ? (
+        <div className="maintenance-empty">No scan has been run since the backend started.</div>
+      ) : (
+        <>
+          <div className="maintenance-summary">
+            Last scan {formatDate(report.finishedAt)}: {report.scannedFiles.toLocaleString()} files
+            checked against {report.checkedVideos.toLocaleString()} videos
+            {report.fix.length > 0 && ` (fixed: ${report.fix.join(', ')})`}
+          </div>
+
+          {CATEGORIES.map(category => {
+            const items = report[category.key];
+            const fixedCount = report.fixed[category.key];
+            return (
+              <div key={category.key} className="reconcile-section">
+                <div className="reconcile-section-header">
+                  <h2>
+                    {category.title}
+                    <span className={`reconcile-count ${items.length > 0 ? 'has-items' : ''}`}>{items.length}</span>
+                  </h2>
+                  {fixedCount !== undefined ? (
+                    <span className="reconcile-fixed">{fixedCount} fixed</span>
+                  ) : items.length > 0 && (
+                    <button
+                      className="maintenance-button"
+                      onClick={() => handleFix(category)}
+                      disabled={running}
+                    >
+                      {category.fixLabel}
+                    </button>
+                  )}
+                </div>
+                <p className="reconcile-description">{category.description}</p>
+                {items.length > 0 && (
+                  <ul className="reconcile-items">
+                    {items.map((item, index) => renderItem(category.key, item, index))}
+                  </ul>
+                )}
+              </div>
+            );
+          })}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default Maintenance;
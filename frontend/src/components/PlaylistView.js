@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import axios from 'axios';
+import { mediaUrl } from '../media';
+import './PlaylistView.css';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+function PlaylistView() {
+  const { playlistId } = useParams();
+  const navigate = useNavigate();
+  const [playlist, setPlaylist] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [showChanges, setShowChanges] = useState(false);
+
+  useEffect(() => {
+    const loadPlaylist = async () => {
+      setLoading(true);
+      try {
+        const response = await axios.get(`${API_URL}/api/playlists/${playlistId}`);
+        setPlaylist(response.data);
+      } catch (error) {
+        console.error('Error loading playlist:', error);
+        setPlaylist(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadPlaylist();
+  }, [playlistId]);
+
+  const formatDuration = (seconds) => {
+    if (!seconds) return '';
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = seconds % 60;
+
+    if (hours > 0) {
+      return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    }
+    return `${minutes}:${secs.toString().padStart(2, '0')}`;
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleString();
+  };
+
+  const formatPosition = (value) => {
+    return value === null ? '' : `#${parseInt(value) + 1}`;
+  };
+
+  const describeChange = (change) => {
+    switch (change.change_type) {
+      case 'created':
+        return 'Playlist created';
+      case 'renamed':
+        return `Renamed from "${change.old_value}" to "${change.new_value}"`;
+      case 'description_changed':
+        return 'Description changed';
+      case 'removed':
+        return 'Playlist removed from YouTube';
+      case 'restored':
+        return 'Playlist available again';
+      case 'item_added':
+        return `${change.video_id} added at ${formatPosition(change.new_value)}`;
+      case 'item_removed':
+        return `${change.video_id} removed from ${formatPosition(change.old_value)}`;
+      case 'item_moved':
+        return `${change.video_id} moved from ${formatPosition(change.old_value)} to ${formatPosition(change.new_value)}`;
+      default:
+        return change.change_type;
+    }
+  };
+
+  const isPlayable = (item) => item.download_status === 'completed';
+
+  const playItem = (item) => {
+    if (isPlayable(item)) {
+      navigate(`/watch/${item.video_id}?list=${playlistId}`);
+    }
+  };
+
+  if (loading) {
+    return <div className="playlist-view-loading">Loading playlist...</div>;
+  }
+
+  if (!playlist) {
+    return <div className="playlist-view-error">Playlist not found</div>;
+  }
+
+  const firstPlayable = playlist.items.find(isPlayable);
+
+  return (
+    <div className="playlist-view">
+      <div className="playlist-header">
+        <h1 className="playlist-view-title">{playlist.title}</h1>
+        <div className="playlist-view-meta">
+          {playlist.channel_id && (
+            <Link to={`/channels/${playlist.channel_id}/playlists`}>{playlist.channel_title}</Link>
+          )}
+          <span className="dot">•</span>
+          <span>{playlist.items.length} videos</span>
+          <span className="dot">•</span>
+          <span>{playlist.items.filter(isPlayable).length} archived</span>
+          {playlist.removed_at && <span className="playlist-removed-badge">Removed from YouTube</span>}
+        </div>
+        {playlist.description && (
+          <div className="playlist-view-description">{playlist.description}</div>
+        )}
+        <div className="playlist-header-actions">
+          <button
+            className="btn btn-primary"
+            onClick={() => playItem(firstPlayable)}
+            disabled={!firstPlayable}
+          >
+            ▶ Play all
+          </button>
+          {playlist.changes.length > 0 && (
+            <button className="btn btn-secondary" onClick={() => setShowChanges(!showChanges)}>
+              {showChanges ? 'Hide changes' : `Changes (${playlist.changes.length})`}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {showChanges && (
+        <ul className="playlist-changes">
+          {playlist.changes.map(change => (
+            <li key={change.id}>
+              <span className="change-date">{formatDate(change.detected_at)}</span>
+              <span>{describeChange(change)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <ol className="playlist-items">
+        {playlist.items.map(item => (
+          <li
+            key={item.id}
+            className={`playlist-item ${isPlayable(item) ? '' : 'unavailable'}`}
+            onClick={() => playItem(item)}
+          >
+            <span className="playlist-item-position">{item.position + 1}</span>
+            <div className="playlist-item-thumbnail-container">
+              {(item.video_thumbnail_url || item.thumbnail_url) && (
+                <img
+                  src={item.video_thumbnail_sha256
+                    ? mediaUrl(item.video_thumbnail_sha256)
+                    : item.video_thumbnail_url || item.thumbnail_url}
+                  alt={item.title}
+                  className="playlist-item-thumbnail"
+                />
+              )}
+              {item.duration > 0 && (
+                <span className="playlist-item-duration">{formatDuration(item.duration)}</span>
+              )}
+            </div>
+            <div className="playlist-item-info">
+              <div className="playlist-item-title">{item.video_title || item.title}</div>
+              <div className="playlist-item-status">
+                {!item.download_status && 'Not archived'}
+                {item.download_status === 'pending' && 'Pending download'}
+                {item.download_status === 'downloading' && 'Downloading...'}
+                {item.download_status === 'failed' && 'Download failed'}
+              </div>
+            </div>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+export default PlaylistView;
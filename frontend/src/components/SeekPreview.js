@@ -0,0 +1,85 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { formatTimestamp } from '../timestamps';
+import './SeekPreview.css';
+
+// How long the frame stays up after seeking ends
+const HIDE_DELAY = 800; // ms
+
+// 00:01:05.000 or 01:05.000 -> 65
+const parseVttTime = (value) =>
+  value.trim().split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+
+// Cues of a WebVTT thumbnails track: the image and the area of it shown for each time range
+const parseThumbnailTrack = (text, trackUrl) => {
+  const cues = [];
+  for (const block of text.split(/\r?\n\r?\n/)) {
+    const lines = block.trim().split(/\r?\n/);
+    const timing = lines.findIndex(line => line.includes('-->'));
+    if (timing === -1 || !lines[timing + 1]) continue;
+
+    const [start, end] = lines[timing].split('-->').map(parseVttTime);
+    const [image, fragment = ''] = lines[timing + 1].trim().split('#xywh=');
+    const [x = 0, y = 0, width = 0, height = 0] = fragment.split(',').map(Number);
+    cues.push({ start, end, url: new URL(image, trackUrl).href, x, y, width, height });
+  }
+  return cues;
+};
+
+// Frame of the position being sought to, shown over the player while seeking
+function SeekPreview({ mediaElement, trackUrl }) {
+  const [cues, setCues] = useState([]);
+  const [seekTime, setSeekTime] = useState(null);
+
+  useEffect(() => {
+    setCues([]);
+    if (!trackUrl) return;
+
+    axios.get(trackUrl, { responseType: 'text' })
+      .then(response => setCues(parseThumbnailTrack(response.data, trackUrl)))
+      .catch(error => console.error('Error loading seek previews:', error));
+  }, [trackUrl]);
+
+  useEffect(() => {
+    if (!mediaElement || cues.length === 0) return;
+
+    let hideTimer = null;
+    const handleSeeking = () => {
+      clearTimeout(hideTimer);
+      setSeekTime(mediaElement.currentTime);
+    };
+    const handleSeeked = () => {
+      clearTimeout(hideTimer);
+      hideTimer = setTimeout(() => setSeekTime(null), HIDE_DELAY);
+    };
+
+    mediaElement.addEventListener('seeking', handleSeeking);
+    mediaElement.addEventListener('seeked', handleSeeked);
+    return () => {
+      clearTimeout(hideTimer);
+      mediaElement.removeEventListener('seeking', handleSeeking);
+      mediaElement.removeEventListener('seeked', handleSeeked);
+    };
+  }, [mediaElement, cues]);
+
+  if (seekTime === null || cues.length === 0) return null;
+
+  const cue = cues.find(c => seekTime >= c.start && seekTime < c.end) || cues[cues.length - 1];
+
+  return (
+    <div className="seek-preview">
+      <div
+        className="seek-preview-frame"
+        style={{
+          width: cue.width,
+          height: cue.height,
+          backgroundImage: `url(${cue.url})`,
+          backgroundPosition: `-${cue.x}px -${cue.y}px`
+        }}
+      />
+      <div className="seek-preview-time">{formatTimestamp(seekTime)}</div>
+    </div>
+  );
+}
+
+export default SeekPreview;
@@ -0,0 +1,124 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import './StatsHistory.css';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+const METRICS = [
+  { key: 'view_count', label: 'Views' },
+  { key: 'like_count', label: 'Likes' },
+  { key: 'comment_count', label: 'Comments' }
+];
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 200;
+const PADDING = { top: 10, right: 10, bottom: 24, left: 56 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function StatsHistory({ videoId }) {
+  const [history, setHistory] = useState(null);
+  const [metric, setMetric] = useState('view_count');
+
+  useEffect(() => {
+    axios.get(`${API_URL}/api/videos/${videoId}/stats/history`)
+      .then(response => setHistory(response.data))
+      .catch(error => console.error('Error loading stats history:', error));
+  }, [videoId]);
+
+  // A single snapshot has no growth to show yet
+  if (!history || history.snapshots.length < 2) {
+    return null;
+  }
+
+  const formatNumber = (num) => {
+    if (num >= 1000000) return `${(num / 1000000).toFixed(1)}M`;
+    if (num >= 1000) return `${(num / 1000).toFixed(1)}K`;
+    return `${num}`;
+  };
+
+  // Plot against days since upload, so videos can be compared by age
+  const uploadTime = new Date(history.uploadDate).getTime();
+  const points = history.snapshots.map(snapshot => ({
+    day: (new Date(snapshot.captured_at).getTime() - uploadTime) / DAY_MS,
+    value: snapshot[metric] || 0,
+    capturedAt: snapshot.captured_at
+  }));
+
+  const minDay = points[0].day;
+  const maxDay = Math.max(points[points.length - 1].day, minDay + 1);
+  const maxValue = Math.max(...points.map(point => point.value), 1);
+
+  const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (day) => PADDING.left + ((day - minDay) / (maxDay - minDay)) * plotWidth;
+  const y = (value) => PADDING.top + plotHeight - (value / maxValue) * plotHeight;
+
+  const path = points
+    .map((point, index) => `${index === 0 ? 'M' : 'L'}${x(point.day).toFixed(1)},${y(point.value).toFixed(1)}`)
+    .join(' ');
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const growth = last.value - first.value;
+  const growthDays = Math.max(last.day - first.day, 1 / 24);
+
+  return (
+    <div className="stats-history">
+      <div className="stats-history-header">
+        <h3>Growth</h3>
+        <div className="stats-history-metrics">
+          {METRICS.map(({ key, label }) => (
+            <button
+              key={key}
+              className={`stats-history-metric ${metric === key ? 'active' : ''}`}
+              onClick={() => setMetric(key)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <svg
+        className="stats-history-chart"
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      >
+        {[0, 0.5, 1].map(fraction => (
+          <g key={fraction}>
+            <line
+              className="stats-history-grid"
+              x1={PADDING.left}
+              x2={CHART_WIDTH - PADDING.right}
+              y1={y(maxValue * fraction)}
+              y2={y(maxValue * fraction)}
+            />
+            <text className="stats-history-axis" x={PADDING.left - 8} y={y(maxValue * fraction) + 4} textAnchor="end">
+              {formatNumber(Math.round(maxValue * fraction))}
+            </text>
+          </g>
+        ))}
+        <text className="stats-history-axis" x={PADDING.left} y={CHART_HEIGHT - 6}>
+          Day {Math.floor(minDay)}
+        </text>
+        <text className="stats-history-axis" x={CHART_WIDTH - PADDING.right} y={CHART_HEIGHT - 6} textAnchor="end">
+          Day {Math.floor(maxDay)}
+        </text>
+        <path className="stats-history-line" d={path} />
+        {points.map(point => (
+          <circle key={point.capturedAt} className="stats-history-point" cx={x(point.day)} cy={y(point.value)} r="3">
+            <title>{`${new Date(point.capturedAt).toLocaleString()}: ${point.value.toLocaleString()}`}</title>
+          </circle>
+        ))}
+      </svg>
+
+      <div className="stats-history-summary">
+        +{growth.toLocaleString()} over {growthDays >= 1 ? `${Math.round(growthDays)} days` : 'the last day'}
+        {' '}({formatNumber(Math.round(growth / growthDays))}/day)
+        <span className="dot">•</span>
+        {points.length} snapshots
+      </div>
+    </div>
+  );
+}
+
+export default StatsHistory;
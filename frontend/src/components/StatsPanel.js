@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
+import { mediaUrl } from '../media';
 import './StatsPanel.css';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
@@ -8,6 +9,7 @@ function StatsPanel() {
   const [stats, setStats] = useState(null);
   const [channel, setChannel] = useState(null);
   const [syncLogs, setSyncLogs] = useState([]);
+  const [quota, setQuota] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -17,14 +19,16 @@ function StatsPanel() {
   const loadData = async () => {
     setLoading(true);
     try {
-      const [statsResponse, syncResponse] = await Promise.all([
+      const [statsResponse, syncResponse, quotaResponse] = await Promise.all([
         axios.get(`${API_URL}/api/videos/stats/overview`),
-        axios.get(`${API_URL}/api/sync/status`)
+        axios.get(`${API_URL}/api/sync/status`),
+        axios.get(`${API_URL}/api/quota`)
       ]);
 
       setStats(statsResponse.data.stats);
       setChannel(statsResponse.data.channel);
       setSyncLogs(syncResponse.data);
+      setQuota(quotaResponse.data);
     } catch (error) {
       console.error('Error loading stats:', error);
     } finally {
@@ -50,6 +54,37 @@ function StatsPanel() {
     return `${minutes}m ${seconds}s`;
   };
 
+  const getUsagePercent = (used, limit) => {
+    if (!limit) return 0;
+    return Math.min(100, Math.round((used / limit) * 100));
+  };
+
+  const getUsageLevel = (percent) => {
+    if (percent >= 90) return 'critical';
+    if (percent >= 70) return 'high';
+    return 'normal';
+  };
+
+  const QuotaBar = ({ label, used, limit }) => {
+    const percent = getUsagePercent(used, limit);
+    return (
+      <div className="quota-row">
+        <div className="quota-row-header">
+          <span className="quota-label">{label}</span>
+          <span className="quota-numbers">
+            {formatNumber(used)} / {limit ? formatNumber(limit) : 'No limit'}
+          </span>
+        </div>
+        <div className="quota-bar">
+          <div
+            className={`quota-bar-fill ${getUsageLevel(percent)}`}
+            style={{ width: `${limit ? percent : 0}%` }}
+          />
+        </div>
+      </div>
+    );
+  };
+
   if (loading) {
     return <div className="stats-panel-loading">Loading statistics...</div>;
   }
@@ -61,7 +96,7 @@ function StatsPanel() {
       {channel && (
         <div className="channel-info-card">
           <img
-            src={channel.thumbnail_url}
+            src={mediaUrl(channel.thumbnail_sha256, channel.thumbnail_url)}
             alt={channel.title}
             className="channel-avatar"
           />
@@ -129,6 +164,57 @@ function StatsPanel() {
             <div className="stat-value">{formatNumber(stats.failed_videos)}</div>
             <div className="stat-label">Failed</div>
           </div>
+
+          <div className="stat-card">
+            <div className="stat-icon">🚫</div>
+            <div className="stat-value">{formatNumber(stats.removed_from_youtube)}</div>
+            <div className="stat-label">Gone from YouTube</div>
+          </div>
+        </div>
+      )}
+
+      {quota && (
+        <div className="quota-panel">
+          <h2>API Quota Usage</h2>
+          <div className="quota-date">Pacific-time day {quota.quotaDate} (resets at midnight PT)</div>
+
+          <div className="quota-section">
+            <h3>By API Key</h3>
+            {quota.keys.length === 0 ? (
+              <div className="no-logs">No API calls made today</div>
+            ) : (
+              quota.keys.map(key => (
+                <QuotaBar
+                  key={key.api_key_hash}
+                  label={`Key ${key.api_key_hint || key.api_key_hash}`}
+                  used={key.units_used}
+                  limit={quota.dailyLimit}
+                />
+              ))
+            )}
+          </div>
+
+          <div className="quota-section">
+            <h3>By Channel</h3>
+            {quota.channels.map(c => (
+              <QuotaBar
+                key={c.channel_id}
+                label={c.title}
+                used={c.units_used}
+                limit={c.quota_budget}
+              />
+            ))}
+          </div>
+
+          {quota.endpoints.length > 0 && (
+            <div className="quota-endpoints">
+              {quota.endpoints.map(endpoint => (
+                <span key={endpoint.endpoint} className="quota-endpoint">
+                  {endpoint.endpoint}: {formatNumber(endpoint.units_used)} units
+                </span>
+              ))}
+            </div>
+          )}
         </div>
       )}
 
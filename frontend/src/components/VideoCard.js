@@ -1,9 +1,25 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
+import DownloadProgress from './DownloadProgress';
+import { mediaUrl } from '../media';
 import './VideoCard.css';
 
-function VideoCard({ video, formatDuration, formatViews, formatDate }) {
+const REMOTE_STATUS_LABELS = {
+  unlisted: 'Unlisted',
+  private: 'Private',
+  deleted: 'Deleted'
+};
+
+function VideoCard({ video, progress, formatDuration, formatViews, formatDate }) {
   const navigate = useNavigate();
+  const [hovered, setHovered] = useState(false);
+
+  // Share of the video played in the web interface; finished videos show a full bar
+  const watchedPercent = video.watched
+    ? 100
+    : video.watch_position > 0 && video.duration > 0
+      ? Math.min(100, (video.watch_position / video.duration) * 100)
+      : 0;
 
   const handleClick = () => {
     if (video.download_status === 'completed') {
@@ -13,21 +29,58 @@ function VideoCard({ video, formatDuration, formatViews, formatDate }) {
 
   return (
     <div
-      className={`video-card ${video.download_status !== 'completed' ? 'disabled' : ''}`}
+      className={`video-card ${video.download_status !== 'completed' ? 'disabled' : ''} ${video.watched ? 'watched' : ''}`}
       onClick={handleClick}
+      onMouseEnter={() => setHovered(true)}
+      onMouseLeave={() => setHovered(false)}
     >
       <div className="video-thumbnail-container">
         <img
-          src={video.thumbnail_url}
+          src={mediaUrl(video.thumbnail_sha256, video.thumbnail_url)}
           alt={video.title}
           className="video-thumbnail"
         />
+        {hovered && video.preview_clip_sha256 && (
+          <video
+            src={mediaUrl(video.preview_clip_sha256)}
+            className="video-preview-clip"
+            autoPlay
+            muted
+            loop
+            playsInline
+          />
+        )}
         <div className="video-duration">{formatDuration(video.duration)}</div>
+        {video.watched && <div className="watched-badge">Watched</div>}
+        {watchedPercent > 0 && (
+          <div className="watch-progress-bar">
+            <div className="watch-progress-fill" style={{ width: `${watchedPercent}%` }} />
+          </div>
+        )}
+        {REMOTE_STATUS_LABELS[video.remote_status] && (
+          <div
+            className={`remote-status-badge ${video.remote_status}`}
+            title={video.remote_status_changed_at
+              ? `Since ${new Date(video.remote_status_changed_at).toLocaleDateString()}`
+              : undefined}
+          >
+            {REMOTE_STATUS_LABELS[video.remote_status]}
+          </div>
+        )}
         {video.download_status !== 'completed' && (
           <div className="download-overlay">
-            {video.download_status === 'pending' && 'Pending Download'}
-            {video.download_status === 'downloading' && 'Downloading...'}
-            {video.download_status === 'failed' && 'Download Failed'}
+            {progress ? (
+              <div className="download-overlay-progress">
+                <span>Downloading</span>
+                <DownloadProgress progress={progress} />
+              </div>
+            ) : (
+              <>
+                {video.download_status === 'pending' && 'Pending Download'}
+                {video.download_status === 'downloading' && 'Downloading...'}
+                {video.download_status === 'failed' && 'Download Failed'}
+              </>
+            )}
           </div>
         )}
       </div>
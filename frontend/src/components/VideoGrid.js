@@ -5,21 +5,103 @@ import VideoCard from './VideoCard';
 import './VideoGrid.css';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+const PROGRESS_POLL_INTERVAL = 3000;
+const CONTINUE_WATCHING_LIMIT = 8;
 
 function VideoGrid() {
   const [videos, setVideos] = useState([]);
   const [loading, setLoading] = useState(true);
   const [pagination, setPagination] = useState(null);
+  const [downloadProgress, setDownloadProgress] = useState({});
+  const [continueWatching, setContinueWatching] = useState([]);
   const [searchParams] = useSearchParams();
   const navigate = useNavigate();
 
   const search = searchParams.get('search') || '';
   const searchIn = searchParams.get('searchIn') || 'all';
   const page = parseInt(searchParams.get('page') || '1');
+  const remoteStatus = searchParams.get('remoteStatus') || '';
 
   useEffect(() => {
     loadVideos();
-  }, [search, searchIn, page]);
+  }, [search, searchIn, page, remoteStatus]);
+
+  // Videos started but not finished, shown above the first page of the unfiltered grid
+  const showContinueWatching = !search && !remoteStatus && page === 1;
+
+  useEffect(() => {
+    if (!showContinueWatching) {
+      setContinueWatching([]);
+      return;
+    }
+
+    axios.get(`${API_URL}/api/history`, {
+      params: { inProgress: true, limit: CONTINUE_WATCHING_LIMIT }
+    })
+      .then(response => setContinueWatching(response.data.videos))
+      .catch(error => console.error('Error loading watch history:', error));
+  }, [showContinueWatching]);
+
+  // Follow downloads of the videos on this page that are queued or running
+  const activeVideoIds = videos
+    .filter(video => video.download_status === 'pending' || video.download_status === 'downloading')
+    .map(video => video.id)
+    .join(',');
+
+  useEffect(() => {
+    if (!activeVideoIds) {
+      setDownloadProgress({});
+      return;
+    }
+
+    // Videos whose download was running at the last poll
+    let running = [];
+
+    // Update the cards of videos whose download finished or failed
+    const refreshVideos = async (videoIds) => {
+      const responses = await Promise.all(
+        videoIds.map(videoId => axios.get(`${API_URL}/api/videos/${videoId}`))
+      );
+      const updated = {};
+      responses.forEach(response => {
+        updated[response.data.id] = response.data;
+      });
+      setVideos(current => current.map(video => (updated[video.id]
+        ? {
+          ...video,
+          download_status: updated[video.id].download_status,
+          thumbnail_sha256: updated[video.id].thumbnail_sha256,
+          preview_clip_sha256: updated[video.id].preview_clip_sha256
+        }
+        : video)));
+    };
+
+    const loadProgress = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/api/downloads/progress`, {
+          params: { videoIds: activeVideoIds }
+        });
+        const byVideo = {};
+        response.data.downloads.forEach(progress => {
+          byVideo[progress.videoId] = progress;
+        });
+        setDownloadProgress(byVideo);
+
+        // A download that is no longer reported has finished or failed
+        const finished = running.filter(videoId => !byVideo[videoId]);
+        if (finished.length > 0) {
+          await refreshVideos(finished);
+        }
+        running = Object.keys(byVideo);
+      } catch (error) {
+        console.error('Error loading download progress:', error);
+      }
+    };
+
+    loadProgress();
+    const interval = setInterval(loadProgress, PROGRESS_POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [activeVideoIds]);
 
   const loadVideos = async () => {
     setLoading(true);
@@ -31,7 +113,8 @@ function VideoGrid() {
           search,
           searchIn,
           sortBy: 'upload_date',
-          order: 'DESC'
+          order: 'DESC',
+          remoteStatus
         }
       });
 
@@ -44,12 +127,21 @@ function VideoGrid() {
     }
   };
 
-  const handlePageChange = (newPage) => {
+  const buildParams = (newPage, newRemoteStatus) => {
     const params = new URLSearchParams();
     if (search) params.set('search', search);
     if (searchIn !== 'all') params.set('searchIn', searchIn);
+    if (newRemoteStatus) params.set('remoteStatus', newRemoteStatus);
     params.set('page', newPage);
-    navigate(`/?${params.toString()}`);
+    return params.toString();
+  };
+
+  const handlePageChange = (newPage) => {
+    navigate(`/?${buildParams(newPage, remoteStatus)}`);
+  };
+
+  const handleRemoteStatusChange = (newRemoteStatus) => {
+    navigate(`/?${buildParams(1, newRemoteStatus)}`);
   };
 
   const getSearchInLabel = () => {
@@ -106,6 +198,40 @@ function VideoGrid() {
 
   return (
     <div className="video-grid-container">
+      <div className="video-filters">
+        <label>
+          On YouTube:
+          <select
+            value={remoteStatus}
+            onChange={(e) => handleRemoteStatusChange(e.target.value)}
+          >
+            <option value="">All videos</option>
+            <option value="available">Still available</option>
+            <option value="unlisted,private,deleted">No longer public</option>
+            <option value="unlisted">Unlisted</option>
+            <option value="private">Private</option>
+            <option value="deleted">Deleted</option>
+          </select>
+        </label>
+      </div>
+
+      {continueWatching.length > 0 && (
+        <div className="continue-watching">
+          <h2 className="continue-watching-title">Continue watching</h2>
+          <div className="continue-watching-row">
+            {continueWatching.map(video => (
+              <VideoCard
+                key={video.id}
+                video={video}
+                formatDuration={formatDuration}
+                formatViews={formatViews}
+                formatDate={formatDate}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+
       {search && (
         <div className="search-info">
           Search results for "{search}" in <strong>{getSearchInLabel()}</strong> - {pagination?.totalCount || 0} videos found
@@ -117,6 +243,7 @@ function VideoGrid() {
           <VideoCard
             key={video.id}
             video={video}
+            progress={downloadProgress[video.id]}
             formatDuration={formatDuration}
             formatViews={formatViews}
             formatDate={formatDate}
@@ -126,7 +253,7 @@ function VideoGrid() {
 
       {videos.length === 0 && (
         <div className="no-videos">
-          {search ? 'No videos found for your search.' : 'No videos available yet. Try running a sync!'}
+          {search || remoteStatus ? 'No videos found for your search.' : 'No videos available yet. Try running a sync!'}
         </div>
       )}
 
@@ -1,26 +1,128 @@
-import React, { useState, useEffect } from 'react';
-import { useParams } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, useSearchParams, useNavigate, Link } from 'react-router-dom';
 import axios from 'axios';
 import ReactPlayer from 'react-player';
 import Comments from './Comments';
+import StatsHistory from './StatsHistory';
+import Chapters from './Chapters';
+import SeekPreview from './SeekPreview';
+import { mediaUrl } from '../media';
+import { linkTimestamps } from '../timestamps';
 import './VideoPlayer.css';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
+const REMOTE_STATUS_LABELS = {
+  unlisted: 'Unlisted on YouTube',
+  private: 'Private on YouTube',
+  deleted: 'Deleted from YouTube'
+};
+
+const INTEGRITY_LABELS = {
+  mismatch: 'File changed since download',
+  missing: 'File missing',
+  unreadable: 'File unreadable'
+};
+
+const PROGRESS_SAVE_INTERVAL = 5000;
+// Saved positions this close to the start or the end are not resumed from
+const RESUME_MIN_SECONDS = 5;
+const RESUME_END_MARGIN_SECONDS = 15;
+
+/**
+ * Position to resume a video from, or null to start from the beginning
+ */
+const resumePosition = (video) => {
+  const position = video.watch_position;
+  if (!position || position < RESUME_MIN_SECONDS) return null;
+  if (video.duration && position > video.duration - RESUME_END_MARGIN_SECONDS) return null;
+  return position;
+};
+
+/**
+ * Save the playback position, unless it has not changed since the last save
+ */
+const saveProgress = (videoId, playback) => {
+  if (!playback.started || playback.position === playback.savedPosition) return;
+
+  playback.savedPosition = playback.position;
+  playback.savedAt = Date.now();
+  axios.put(`${API_URL}/api/videos/${videoId}/progress`, {
+    position: playback.position,
+    duration: playback.duration
+  }).catch(error => console.error('Error saving watch progress:', error));
+};
+
+const newPlayback = () => ({ position: 0, duration: null, started: false, savedPosition: null, savedAt: 0 });
+
 function VideoPlayer() {
   const { videoId } = useParams();
+  const [searchParams] = useSearchParams();
+  const playlistId = searchParams.get('list');
+  const navigate = useNavigate();
   const [video, setVideo] = useState(null);
+  const [playlist, setPlaylist] = useState(null);
+  const [subtitles, setSubtitles] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showFullDescription, setShowFullDescription] = useState(false);
+  // Set when the HLS version cannot be played, to fall back to the file itself
+  const [hlsFailed, setHlsFailed] = useState(false);
+  const playerRef = useRef(null);
+  // The <video> element, for seek previews
+  const [mediaElement, setMediaElement] = useState(null);
+  // Position to seek to once the player is ready
+  const resumeAtRef = useRef(null);
+  // Where playback is and what was last saved of it
+  const playbackRef = useRef(newPlayback());
 
   useEffect(() => {
+    setHlsFailed(false);
+    setMediaElement(null);
     loadVideo();
   }, [videoId]);
 
+  useEffect(() => {
+    playbackRef.current = newPlayback();
+    // Keep the last position when leaving the video
+    return () => saveProgress(videoId, playbackRef.current);
+  }, [videoId]);
+
+  useEffect(() => {
+    setSubtitles([]);
+    axios.get(`${API_URL}/api/videos/${videoId}/subtitles`)
+      .then(response => setSubtitles(response.data))
+      .catch(error => console.error('Error loading subtitles:', error));
+  }, [videoId]);
+
+  useEffect(() => {
+    if (!playlistId) {
+      setPlaylist(null);
+      return;
+    }
+
+    axios.get(`${API_URL}/api/playlists/${playlistId}`)
+      .then(response => setPlaylist(response.data))
+      .catch(error => console.error('Error loading playlist:', error));
+  }, [playlistId]);
+
+  // Archived playlist videos in playlist order; the rest are skipped
+  const playableItems = playlist
+    ? playlist.items.filter(item => item.download_status === 'completed')
+    : [];
+  const currentIndex = playableItems.findIndex(item => item.video_id === videoId);
+
+  const playNext = () => {
+    const next = playableItems[currentIndex + 1];
+    if (next) {
+      navigate(`/watch/${next.video_id}?list=${playlistId}`);
+    }
+  };
+
   const loadVideo = async () => {
     setLoading(true);
     try {
       const response = await axios.get(`${API_URL}/api/videos/${videoId}`);
+      resumeAtRef.current = resumePosition(response.data);
       setVideo(response.data);
     } catch (error) {
       console.error('Error loading video:', error);
@@ -50,27 +152,117 @@ function VideoPlayer() {
     return <div className="video-player-error">Video not found</div>;
   }
 
-  const videoUrl = `${API_URL}/api/videos/${videoId}/stream`;
+  // Files browsers cannot play are remuxed or transcoded to HLS by the backend
+  const useHls = Boolean(video.playback_mode) && video.playback_mode !== 'direct' && !hlsFailed;
+  const videoUrl = useHls
+    ? `${API_URL}/api/videos/${videoId}/hls/index.m3u8`
+    : `${API_URL}/api/videos/${videoId}/stream`;
+
+  const handlePlayerError = (error, data) => {
+    // hls.js also reports errors it recovers from itself
+    if (useHls && (!data || data.fatal)) {
+      console.error('HLS playback failed, playing the file directly:', data || error);
+      resumeAtRef.current = playbackRef.current.position || resumeAtRef.current;
+      setHlsFailed(true);
+    }
+  };
+
+  const handleReady = () => {
+    setMediaElement(playerRef.current.getInternalPlayer());
+    if (resumeAtRef.current !== null) {
+      playerRef.current.seekTo(resumeAtRef.current, 'seconds');
+      resumeAtRef.current = null;
+    }
+  };
+
+  const handleDuration = (duration) => {
+    // A playlist that is still being transcoded reports only the part converted so far
+    if (!useHls) {
+      playbackRef.current.duration = duration;
+    }
+  };
+
+  const handleProgress = ({ playedSeconds }) => {
+    const playback = playbackRef.current;
+    if (playedSeconds === playback.position) return;
+
+    playback.position = playedSeconds;
+    playback.started = true;
+    if (Date.now() - playback.savedAt >= PROGRESS_SAVE_INTERVAL) {
+      saveProgress(videoId, playback);
+    }
+  };
+
+  const seekTo = (seconds) => {
+    const player = playerRef.current;
+    if (!player) return;
+
+    resumeAtRef.current = null;
+    player.seekTo(seconds, 'seconds');
+    const media = player.getInternalPlayer();
+    if (media && typeof media.play === 'function') {
+      media.play().catch(() => {});
+    }
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleEnded = () => {
+    const playback = playbackRef.current;
+    playback.position = playback.duration || playback.position;
+    saveProgress(videoId, playback);
+    playNext();
+  };
+
+  const subtitleTracks = subtitles.map(subtitle => ({
+    kind: 'subtitles',
+    src: `${API_URL}/api/videos/${videoId}/subtitles/${encodeURIComponent(subtitle.language)}`,
+    srcLang: subtitle.language,
+    label: subtitle.is_auto ? `${subtitle.language} (auto-generated)` : subtitle.language
+  }));
 
   return (
     <div className="video-player-container">
       <div className="video-player-main">
         <div className="player-wrapper">
           <ReactPlayer
+            ref={playerRef}
             url={videoUrl}
             controls
+            playing={Boolean(playlist)}
+            onReady={handleReady}
+            onDuration={handleDuration}
+            onProgress={handleProgress}
+            onPause={() => saveProgress(videoId, playbackRef.current)}
+            onEnded={handleEnded}
+            onError={handlePlayerError}
             width="100%"
             height="100%"
             config={{
               file: {
                 attributes: {
-                  controlsList: 'nodownload'
-                }
+                  controlsList: 'nodownload',
+                  // Tracks come from the API origin and need CORS to load
+                  crossOrigin: 'anonymous'
+                },
+                tracks: subtitleTracks
               }
             }}
           />
+          <SeekPreview
+            mediaElement={mediaElement}
+            trackUrl={video.preview_vtt_sha256 ? mediaUrl(video.preview_vtt_sha256) : null}
+          />
         </div>
 
+        {video.chapters && video.chapters.length > 0 && (
+          <Chapters
+            chapters={video.chapters}
+            duration={video.file_duration || video.duration}
+            playerRef={playerRef}
+            onSeek={seekTo}
+          />
+        )}
+
         <div className="video-details">
           <h1 className="video-title">{video.title}</h1>
 
@@ -79,6 +271,33 @@ function VideoPlayer() {
               <span>{formatViews(video.view_count)} views</span>
               <span className="dot">•</span>
               <span>{formatDate(video.upload_date)}</span>
+              {REMOTE_STATUS_LABELS[video.remote_status] && (
+                <span className={`remote-status-badge ${video.remote_status}`}>
+                  {REMOTE_STATUS_LABELS[video.remote_status]}
+                  {video.remote_status_changed_at && ` since ${formatDate(video.remote_status_changed_at)}`}
+                </span>
+              )}
+              {video.file_format && (
+                <span
+                  className="download-quality"
+                  title={[
+                    video.quality_profile && `Quality profile: ${video.quality_profile}`,
+                    (video.video_codec || video.audio_codec) &&
+                      `Codecs: ${[video.video_codec, video.audio_codec].filter(Boolean).join(' / ')}`,
+                    useHls && `Played as HLS (${video.playback_mode === 'remux' ? 'remuxed' : 'transcoded'})`
+                  ].filter(Boolean).join('\n') || undefined}
+                >
+                  {video.video_height ? `${video.video_height}p ` : ''}{video.file_format}
+                </span>
+              )}
+              {INTEGRITY_LABELS[video.integrity_status] && (
+                <span
+                  className="integrity-badge"
+                  title={video.integrity_checked_at ? `Checked ${formatDate(video.integrity_checked_at)}` : undefined}
+                >
+                  {INTEGRITY_LABELS[video.integrity_status]}
+                </span>
+              )}
             </div>
             <div className="stats-right">
               <div className="stat-item">
@@ -94,7 +313,9 @@ function VideoPlayer() {
 
           <div className="video-description-container">
             <div className={`video-description ${showFullDescription ? 'expanded' : ''}`}>
-              {video.description || 'No description available'}
+              {video.description
+                ? linkTimestamps(video.description, seekTo, video.file_duration || video.duration)
+                : 'No description available'}
             </div>
             {video.description && video.description.length > 200 && (
               <button
@@ -115,7 +336,39 @@ function VideoPlayer() {
           )}
         </div>
 
-        <Comments videoId={videoId} commentCount={video.comment_count} />
+        <StatsHistory videoId={videoId} />
+
+        {playlist && (
+          <div className="playlist-panel">
+            <div className="playlist-panel-header">
+              <Link to={`/playlist/${playlistId}`} className="playlist-panel-title">{playlist.title}</Link>
+              <span className="playlist-panel-position">
+                {currentIndex + 1} / {playableItems.length}
+              </span>
+            </div>
+            <ol className="playlist-panel-items">
+              {playableItems.map((item, index) => (
+                <li
+                  key={item.id}
+                  className={`playlist-panel-item ${item.video_id === videoId ? 'current' : ''}`}
+                  onClick={() => navigate(`/watch/${item.video_id}?list=${playlistId}`)}
+                >
+                  <span className="playlist-panel-index">
+                    {item.video_id === videoId ? '▶' : index + 1}
+                  </span>
+                  <span className="playlist-panel-item-title">{item.video_title || item.title}</span>
+                </li>
+              ))}
+            </ol>
+          </div>
+        )}
+
+        <Comments
+          videoId={videoId}
+          commentCount={video.comment_count}
+          duration={video.file_duration || video.duration}
+          onSeek={seekTo}
+        />
       </div>
     </div>
   );
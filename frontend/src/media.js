@@ -0,0 +1,6 @@
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+// Locally stored copy of a thumbnail or avatar, or the remote URL if there is none yet
+export function mediaUrl(sha256, remoteUrl) {
+  return sha256 ? `${API_URL}/api/media/${sha256}` : remoteUrl;
+}
@@ -0,0 +1,51 @@
+import React from 'react';
+
+// 1:23, 01:23 or 1:02:03, not part of a longer number or time
+const TIMESTAMP_PATTERN = /(^|[^\d:])((?:(\d{1,2}):)?(\d{1,2}):(\d{2}))(?![\d:])/g;
+
+// 83 -> "1:23", 3723 -> "1:02:03"
+export function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = (total % 60).toString().padStart(2, '0');
+
+  if (hours > 0) {
+    return `${hours}:${minutes.toString().padStart(2, '0')}:${secs}`;
+  }
+  return `${minutes}:${secs}`;
+}
+
+// Text with each timestamp turned into a link that seeks the player there.
+// Timestamps past the end of the video are left as text.
+export function linkTimestamps(text, onSeek, duration = null) {
+  if (!text) return text;
+
+  const parts = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(TIMESTAMP_PATTERN)) {
+    const [, before, timestamp, hours, minutes, secs] = match;
+    const seconds = parseInt(hours || '0', 10) * 3600 + parseInt(minutes, 10) * 60 + parseInt(secs, 10);
+    if (parseInt(secs, 10) >= 60 || (hours && parseInt(minutes, 10) >= 60) || (duration && seconds > duration)) {
+      continue;
+    }
+
+    const start = match.index + before.length;
+    parts.push(text.slice(lastIndex, start));
+    parts.push(
+      <button
+        key={start}
+        type="button"
+        className="timestamp-link"
+        onClick={() => onSeek(seconds)}
+      >
+        {timestamp}
+      </button>
+    );
+    lastIndex = start + timestamp.length;
+  }
+
+  parts.push(text.slice(lastIndex));
+  return parts;
+}